@@ -10,12 +10,22 @@ require('dotenv').config();
 const userRoutes = require('./routes/user.routes');
 const petRoutes = require('./routes/pet.routes'); // Importar rotas de pets
 const parametrosPetRoutes = require('./routes/parametrosPet.routes'); // Importar rotas de parâmetros
+const ninhadaRoutes = require('./routes/ninhada.routes'); // Importar rotas de ninhadas
+const solicitacaoCruzamentoRoutes = require('./routes/solicitacaoCruzamento.routes'); // Importar rotas de solicitações de cruzamento
+const testeSaudeRoutes = require('./routes/testeSaude.routes'); // Importar rotas de testes de saúde
+const analisePopulacionalRoutes = require('./routes/analisePopulacional.routes'); // Importar rotas de análises populacionais
+const planoCruzamentoRoutes = require('./routes/planoCruzamento.routes'); // Importar rotas de planos de cruzamento
+const locoGeneticoRoutes = require('./routes/locoGenetico.routes'); // Importar rotas de loci genéticos
+const certificadoPedigreeRoutes = require('./routes/certificadoPedigree.routes'); // Importar rotas de certificados de pedigree
+const petPerdidoRoutes = require('./routes/petPerdido.routes'); // Importar rotas de pets perdidos
 
 // Inicializar app
 const app = express();
 
 // Configuração de middlewares
-app.use(express.json());
+// A importação de pedigrees lê o próprio corpo (CSV ou JSON), com limite maior, na rota
+const lerJson = express.json();
+app.use((req, res, next) => (req.path === '/api/pets/importar' ? next() : lerJson(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev')); // Logging
 app.use(cors()); // Habilitar CORS
@@ -32,6 +42,14 @@ app.use('/api/', limiter);
 app.use('/api/users', userRoutes);
 app.use('/api/pets', petRoutes); // Adicionar rotas de pets
 app.use('/api/parametros-pet', parametrosPetRoutes); // Adicionar rotas de parâmetros de pets
+app.use('/api/ninhadas', ninhadaRoutes); // Adicionar rotas de ninhadas
+app.use('/api/solicitacoes-cruzamento', solicitacaoCruzamentoRoutes); // Adicionar rotas de solicitações de cruzamento
+app.use('/api/testes-saude', testeSaudeRoutes); // Adicionar rotas de testes de saúde
+app.use('/api/analises-populacionais', analisePopulacionalRoutes); // Adicionar rotas de análises populacionais
+app.use('/api/planos-cruzamento', planoCruzamentoRoutes); // Adicionar rotas de planos de cruzamento
+app.use('/api/loci-geneticos', locoGeneticoRoutes); // Adicionar rotas de loci genéticos
+app.use('/api/certificados', certificadoPedigreeRoutes); // Adicionar rotas de certificados de pedigree
+app.use('/api/pets-perdidos', petPerdidoRoutes); // Adicionar rotas de pets perdidos
 
 // Rota de teste
 app.get('/', (req, res) => {
@@ -45,6 +63,15 @@ app.use((req, res) => {
 
 // Middleware de tratamento de erros
 app.use((err, req, res, next) => {
+  // Erros lançados pelos serviços com status HTTP definido
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message,
+      ...(err.erros && { erros: err.erros })
+    });
+  }
+  
   console.error(err.stack);
   res.status(500).json({
     message: 'Erro interno do servidor',
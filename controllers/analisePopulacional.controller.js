@@ -0,0 +1,66 @@
+const analisePopulacionalService = require('../services/analisePopulacional.service');
+
+/**
+ * Controller para as análises de genética populacional por raça
+ */
+class AnalisePopulacionalController {
+  /**
+   * Solicita a análise de uma raça (executada em segundo plano)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async solicitarAnalise(req, res) {
+    try {
+      const forcar = req.query.atualizar === 'true';
+      const analise = await analisePopulacionalService.solicitarAnalise(req.params.raca, req.user, forcar);
+      
+      // Resultado em cache é devolvido diretamente; caso contrário, a análise foi enfileirada
+      const concluida = analise.status === 'concluida';
+      
+      return res.status(concluida ? 200 : 202).json({
+        success: true,
+        message: concluida
+          ? 'Análise recente reaproveitada do cache'
+          : 'Análise em processamento; consulte o status pelo GET da raça',
+        data: analise
+      });
+    } catch (error) {
+      console.error('Erro ao solicitar análise populacional:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Erro ao solicitar análise populacional'
+      });
+    }
+  }
+  
+  /**
+   * Obtém a análise mais recente de uma raça
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getAnalise(req, res) {
+    try {
+      const analise = await analisePopulacionalService.getAnalise(req.params.raca);
+      
+      if (!analise) {
+        return res.status(404).json({
+          success: false,
+          message: 'A raça ainda não foi analisada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: analise
+      });
+    } catch (error) {
+      console.error('Erro ao obter análise populacional:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao obter análise populacional'
+      });
+    }
+  }
+}
+
+module.exports = new AnalisePopulacionalController();
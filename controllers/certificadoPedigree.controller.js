@@ -0,0 +1,58 @@
+const certificadoPedigreeService = require('../services/certificadoPedigree.service');
+const { responderErro } = require('../utils/erros');
+
+// Resposta padrão para código de certificado inexistente
+const naoEncontrado = res =>
+  res.status(404).json({
+    success: false,
+    message: 'Certificado não encontrado'
+  });
+
+/**
+ * Controller para reimpressão e verificação pública de certificados de pedigree
+ */
+class CertificadoPedigreeController {
+  /**
+   * Reimprime um certificado já emitido, com os dados da emissão
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getCertificado(req, res) {
+    try {
+      const certificado = await certificadoPedigreeService.getCertificado(req.params.codigo, req.user);
+      if (!certificado) return naoEncontrado(res);
+      
+      const formato = (req.query.formato || 'html').toLowerCase();
+      const documento = certificadoPedigreeService.renderizar(certificado, formato);
+      
+      res.set('Content-Type', documento.tipoConteudo);
+      res.set('Content-Disposition', `${formato === 'pdf' ? 'attachment' : 'inline'}; filename="${documento.nomeArquivo}"`);
+      return res.status(200).send(documento.conteudo);
+    } catch (error) {
+      console.error('Erro ao obter certificado de pedigree:', error);
+      return responderErro(res, error, 'Erro ao obter certificado de pedigree');
+    }
+  }
+  
+  /**
+   * Verifica se um certificado é autêntico e se os dados do pet continuam os mesmos
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async verificarCertificado(req, res) {
+    try {
+      const verificacao = await certificadoPedigreeService.verificarCertificado(req.params.codigo);
+      if (!verificacao) return naoEncontrado(res);
+      
+      return res.status(200).json({
+        success: true,
+        data: verificacao
+      });
+    } catch (error) {
+      console.error('Erro ao verificar certificado de pedigree:', error);
+      return responderErro(res, error, 'Erro ao verificar certificado de pedigree');
+    }
+  }
+}
+
+module.exports = new CertificadoPedigreeController();
@@ -0,0 +1,139 @@
+const locoGeneticoService = require('../services/locoGenetico.service');
+const { responderErro } = require('../utils/erros');
+
+/**
+ * Controller para os loci genéticos (cor de pelagem e outras características mendelianas)
+ */
+class LocoGeneticoController {
+  /**
+   * Lista os loci genéticos (todos, ou os que valem para a raça informada em ?raca=)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarLoci(req, res) {
+    try {
+      const loci = await locoGeneticoService.listarLoci(req.query.raca);
+      
+      return res.status(200).json({
+        success: true,
+        count: loci.length,
+        data: loci
+      });
+    } catch (error) {
+      console.error('Erro ao listar loci genéticos:', error);
+      return responderErro(res, error, 'Erro ao listar loci genéticos');
+    }
+  }
+  
+  /**
+   * Obtém um locus genético (a definição padrão, ou a da raça informada em ?raca=)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getLoco(req, res) {
+    try {
+      const loco = await locoGeneticoService.getLoco(req.params.codigo, req.query.raca);
+      
+      if (!loco) {
+        return res.status(404).json({
+          success: false,
+          message: 'Locus genético não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: loco
+      });
+    } catch (error) {
+      console.error('Erro ao obter locus genético:', error);
+      return responderErro(res, error, 'Erro ao obter locus genético');
+    }
+  }
+  
+  /**
+   * Cadastra um locus genético
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async criarLoco(req, res) {
+    try {
+      const loco = await locoGeneticoService.criarLoco(req.body || {});
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Locus genético cadastrado com sucesso',
+        data: loco
+      });
+    } catch (error) {
+      console.error('Erro ao criar locus genético:', error);
+      return responderErro(res, error, 'Erro ao criar locus genético');
+    }
+  }
+  
+  /**
+   * Atualiza um locus genético
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarLoco(req, res) {
+    try {
+      const novosDados = req.body;
+      
+      // Validação básica
+      if (!novosDados || Object.keys(novosDados).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum dado fornecido para atualização'
+        });
+      }
+      
+      const loco = await locoGeneticoService.atualizarLoco(req.params.codigo, req.query.raca, novosDados);
+      
+      if (!loco) {
+        return res.status(404).json({
+          success: false,
+          message: 'Locus genético não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Locus genético atualizado com sucesso',
+        data: loco
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar locus genético:', error);
+      return responderErro(res, error, 'Erro ao atualizar locus genético');
+    }
+  }
+  
+  /**
+   * Remove um locus genético
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async removerLoco(req, res) {
+    try {
+      const loco = await locoGeneticoService.removerLoco(req.params.codigo, req.query.raca);
+      
+      if (!loco) {
+        return res.status(404).json({
+          success: false,
+          message: 'Locus genético não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Locus genético removido',
+        data: {}
+      });
+    } catch (error) {
+      console.error('Erro ao remover locus genético:', error);
+      return responderErro(res, error, 'Erro ao remover locus genético');
+    }
+  }
+}
+
+module.exports = new LocoGeneticoController();
@@ -0,0 +1,106 @@
+const ninhadaService = require('../services/ninhada.service');
+const { responderErro } = require('../utils/erros');
+
+/**
+ * Controller para operações relacionadas às ninhadas
+ */
+class NinhadaController {
+  /**
+   * Registra uma nova ninhada
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async registrarNinhada(req, res) {
+    try {
+      const ninhada = await ninhadaService.registrarNinhada(req.body || {}, req.user);
+      
+      return res.status(201).json({
+        success: true,
+        data: ninhada
+      });
+    } catch (error) {
+      console.error('Erro ao registrar ninhada:', error);
+      return responderErro(res, error, 'Erro ao registrar ninhada');
+    }
+  }
+  
+  /**
+   * Obtém uma ninhada com seus filhotes
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getNinhada(req, res) {
+    try {
+      const ninhada = await ninhadaService.getNinhada(req.params.id);
+      
+      if (!ninhada) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ninhada não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: ninhada
+      });
+    } catch (error) {
+      console.error('Erro ao obter ninhada:', error);
+      return responderErro(res, error, 'Erro ao obter ninhada');
+    }
+  }
+  
+  /**
+   * Atualiza os dados do parto de uma ninhada
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarNinhada(req, res) {
+    try {
+      const ninhada = await ninhadaService.atualizarNinhada(req.params.id, req.body || {}, req.user);
+      
+      if (!ninhada) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ninhada não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: ninhada
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar ninhada:', error);
+      return responderErro(res, error, 'Erro ao atualizar ninhada');
+    }
+  }
+  
+  /**
+   * Cadastra um filhote na ninhada
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async adicionarFilhote(req, res) {
+    try {
+      const filhote = await ninhadaService.adicionarFilhote(req.params.id, req.body || {}, req.user);
+      
+      if (!filhote) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ninhada não encontrada'
+        });
+      }
+      
+      return res.status(201).json({
+        success: true,
+        data: filhote
+      });
+    } catch (error) {
+      console.error('Erro ao cadastrar filhote:', error);
+      return responderErro(res, error, 'Erro ao cadastrar filhote');
+    }
+  }
+}
+
+module.exports = new NinhadaController();
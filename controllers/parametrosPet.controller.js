@@ -1,4 +1,15 @@
 const parametrosPetService = require('../services/parametrosPet.service');
+const locoGeneticoService = require('../services/locoGenetico.service');
+
+// Limita percentuais a 2 casas decimais
+const formatarPercentual = valor => parseFloat(valor.toFixed(2));
+
+// Formata a contribuição de cada ancestral comum para a resposta
+const formatarContribuicoes = contribuicoes => contribuicoes.map(contribuicao => ({
+  ...contribuicao,
+  endogamiaAncestral: formatarPercentual(contribuicao.endogamiaAncestral),
+  contribuicao: formatarPercentual(contribuicao.contribuicao)
+}));
 
 /**
  * Controller para operações relacionadas aos parâmetros de reprodução de pets
@@ -38,7 +49,89 @@ class ParametrosPetController {
   }
   
   /**
-   * Calcula o coeficiente de consanguinidade entre dois pets
+   * Calcula a matriz de compatibilidade entre listas de padreadores e matrizes
+   * (?formato=csv para exportar; ?apenasCompativeis=true para só os pares compatíveis, por pontuação)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async calcularMatrizCompatibilidade(req, res) {
+    try {
+      const { padreadores, matrizes } = req.body || {};
+      const apenasCompativeis = req.query.apenasCompativeis === 'true' || (req.body || {}).apenasCompativeis === true;
+      const formato = (req.query.formato || 'json').toLowerCase();
+      
+      if (!['json', 'csv'].includes(formato)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Formato inválido. Use json ou csv'
+        });
+      }
+      
+      const matriz = await parametrosPetService.calcularMatrizCompatibilidade(
+        padreadores,
+        matrizes,
+        { apenasCompativeis }
+      );
+      
+      if (formato === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="matriz-compatibilidade.csv"');
+        return res.status(200).send(parametrosPetService.exportarMatrizCsv(matriz));
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: matriz
+      });
+    } catch (error) {
+      console.error('Erro ao calcular matriz de compatibilidade:', error);
+      const resposta = {
+        success: false,
+        message: error.message || 'Erro ao calcular matriz de compatibilidade'
+      };
+      
+      if (error.erros) {
+        resposta.erros = error.erros;
+      }
+      
+      return res.status(error.statusCode || 500).json(resposta);
+    }
+  }
+  
+  /**
+   * Prevê genótipos e fenótipos dos filhotes de dois pets, junto com a compatibilidade
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async preverHeranca(req, res) {
+    try {
+      const { petId1, petId2 } = req.body;
+      
+      // Validação básica
+      if (!petId1 || !petId2) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'É necessário fornecer os IDs de ambos os pets' 
+        });
+      }
+      
+      const resultado = await locoGeneticoService.preverHeranca(petId1, petId2);
+      
+      return res.status(200).json({
+        success: true,
+        data: resultado
+      });
+    } catch (error) {
+      console.error('Erro ao prever herança:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Erro ao prever herança'
+      });
+    }
+  }
+  
+  /**
+   * Calcula o COI projetado da ninhada de dois pets
    * @param {Request} req - Objeto de requisição Express
    * @param {Response} res - Objeto de resposta Express
    */
@@ -55,14 +148,20 @@ class ParametrosPetController {
       }
       
       // Chama o serviço para calcular consanguinidade
-      const coeficiente = await parametrosPetService.calcularConsanguinidade(petId1, petId2);
+      const resultado = await parametrosPetService.calcularConsanguinidade(petId1, petId2);
       
       return res.status(200).json({
         success: true,
         data: {
           petId1,
           petId2,
-          coeficiente: parseFloat(coeficiente.toFixed(2)) // Limita a 2 casas decimais
+          metrica: resultado.metrica,
+          descricao: resultado.descricao,
+          coeficiente: formatarPercentual(resultado.coeficiente),
+          limiteConsanguinidade: resultado.limiteConsanguinidade,
+          dentroDoLimite: resultado.coeficiente <= resultado.limiteConsanguinidade,
+          contribuicoes: formatarContribuicoes(resultado.contribuicoes),
+          parametrosUtilizados: resultado.parametrosUtilizados
         }
       });
     } catch (error) {
@@ -74,6 +173,81 @@ class ParametrosPetController {
     }
   }
   
+  /**
+   * Calcula o COI individual de um pet a partir dos seus pais
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async calcularConsanguinidadeIndividual(req, res) {
+    try {
+      const resultado = await parametrosPetService.calcularConsanguinidadeIndividual(req.params.petId);
+      
+      if (!resultado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pet não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...resultado,
+          coeficiente: formatarPercentual(resultado.coeficiente),
+          contribuicoes: formatarContribuicoes(resultado.contribuicoes)
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao calcular consanguinidade individual:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao calcular consanguinidade individual'
+      });
+    }
+  }
+  
+  /**
+   * Calcula o coeficiente de parentesco entre dois pets
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async calcularParentesco(req, res) {
+    try {
+      const { petId1, petId2 } = req.body;
+      
+      // Validação básica
+      if (!petId1 || !petId2) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'É necessário fornecer os IDs de ambos os pets' 
+        });
+      }
+      
+      const resultado = await parametrosPetService.calcularParentesco(petId1, petId2);
+      
+      return res.status(200).json({
+        success: true,
+        data: {
+          petId1,
+          petId2,
+          metrica: resultado.metrica,
+          descricao: resultado.descricao,
+          coeficiente: formatarPercentual(resultado.coeficiente),
+          coancestria: formatarPercentual(resultado.coancestria),
+          consanguinidadePet1: formatarPercentual(resultado.consanguinidadePet1),
+          consanguinidadePet2: formatarPercentual(resultado.consanguinidadePet2),
+          contribuicoes: formatarContribuicoes(resultado.contribuicoes)
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao calcular parentesco:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao calcular parentesco'
+      });
+    }
+  }
+  
   /**
    * Verifica compatibilidade de displasia entre dois pets
    * @param {Request} req - Objeto de requisição Express
@@ -81,7 +255,7 @@ class ParametrosPetController {
    */
   async verificarDisplasia(req, res) {
     try {
-      const { displasia1, displasia2 } = req.body;
+      const { displasia1, displasia2, raca } = req.body;
       
       // Validação básica
       if (!displasia1 || !displasia2) {
@@ -92,22 +266,20 @@ class ParametrosPetController {
       }
       
       // Chama o serviço para verificar compatibilidade de displasia
-      const compativel = await parametrosPetService.verificarCompatibilidadeDisplasia(
+      // (cada classificação pode ser um grau A-E ou { esquema, valor } em FCI, OFA ou BVA)
+      const resultado = await parametrosPetService.verificarCompatibilidadeDisplasia(
         displasia1, 
-        displasia2
+        displasia2,
+        raca
       );
       
       return res.status(200).json({
         success: true,
-        data: {
-          displasia1,
-          displasia2,
-          compativel
-        }
+        data: resultado
       });
     } catch (error) {
       console.error('Erro ao verificar compatibilidade de displasia:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Erro ao verificar compatibilidade de displasia'
       });
@@ -143,18 +315,21 @@ class ParametrosPetController {
    */
   async atualizarParametros(req, res) {
     try {
-      const novosDados = req.body;
+      const { notaAlteracao, ...novosDados } = req.body || {};
       
       // Validação básica
-      if (!novosDados || Object.keys(novosDados).length === 0) {
+      if (Object.keys(novosDados).length === 0) {
         return res.status(400).json({ 
           success: false, 
           message: 'Nenhum dado fornecido para atualização' 
         });
       }
       
-      // Atualiza parâmetros
-      const parametrosAtualizados = await parametrosPetService.atualizarParametros(novosDados);
+      // Atualiza parâmetros (gerando uma nova versão)
+      const parametrosAtualizados = await parametrosPetService.atualizarParametros(novosDados, {
+        autor: req.user.id,
+        notaAlteracao
+      });
       
       return res.status(200).json({
         success: true,
@@ -169,6 +344,273 @@ class ParametrosPetController {
       });
     }
   }
+  
+  /**
+   * Lista os parâmetros específicos de cada raça
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarParametrosRacas(req, res) {
+    try {
+      const parametros = await parametrosPetService.listarParametrosRacas();
+      
+      return res.status(200).json({
+        success: true,
+        count: parametros.length,
+        data: parametros
+      });
+    } catch (error) {
+      console.error('Erro ao listar parâmetros por raça:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao listar parâmetros por raça'
+      });
+    }
+  }
+  
+  /**
+   * Obtém os parâmetros de uma raça
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getParametrosRaca(req, res) {
+    try {
+      const parametros = await parametrosPetService.getParametrosRaca(req.params.raca);
+      
+      if (!parametros) {
+        return res.status(404).json({
+          success: false,
+          message: 'A raça não possui parâmetros próprios (usa os parâmetros globais)'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: parametros
+      });
+    } catch (error) {
+      console.error('Erro ao obter parâmetros da raça:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao obter parâmetros da raça'
+      });
+    }
+  }
+  
+  /**
+   * Cria os parâmetros de uma raça
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async criarParametrosRaca(req, res) {
+    try {
+      const { notaAlteracao, ...novosDados } = req.body || {};
+      
+      const parametros = await parametrosPetService.criarParametrosRaca(req.params.raca, novosDados, {
+        autor: req.user.id,
+        notaAlteracao
+      });
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Parâmetros da raça criados com sucesso',
+        data: parametros
+      });
+    } catch (error) {
+      console.error('Erro ao criar parâmetros da raça:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Erro ao criar parâmetros da raça'
+      });
+    }
+  }
+  
+  /**
+   * Atualiza os parâmetros de uma raça
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarParametrosRaca(req, res) {
+    try {
+      const { notaAlteracao, ...novosDados } = req.body || {};
+      
+      // Validação básica
+      if (Object.keys(novosDados).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum dado fornecido para atualização'
+        });
+      }
+      
+      const parametros = await parametrosPetService.atualizarParametrosRaca(req.params.raca, novosDados, {
+        autor: req.user.id,
+        notaAlteracao
+      });
+      
+      if (!parametros) {
+        return res.status(404).json({
+          success: false,
+          message: 'A raça não possui parâmetros próprios'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Parâmetros da raça atualizados com sucesso',
+        data: parametros
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar parâmetros da raça:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao atualizar parâmetros da raça'
+      });
+    }
+  }
+  
+  /**
+   * Remove os parâmetros de uma raça (voltando aos parâmetros globais)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async removerParametrosRaca(req, res) {
+    try {
+      const parametros = await parametrosPetService.removerParametrosRaca(req.params.raca);
+      
+      if (!parametros) {
+        return res.status(404).json({
+          success: false,
+          message: 'A raça não possui parâmetros próprios'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Parâmetros da raça removidos; a raça passa a usar os parâmetros globais',
+        data: {}
+      });
+    } catch (error) {
+      console.error('Erro ao remover parâmetros da raça:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao remover parâmetros da raça'
+      });
+    }
+  }
+  
+  /**
+   * Lista o histórico de versões dos parâmetros (globais ou de uma raça)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarVersoes(req, res) {
+    try {
+      const versoes = await parametrosPetService.listarVersoes(req.query.raca);
+      
+      return res.status(200).json({
+        success: true,
+        count: versoes.length,
+        data: versoes
+      });
+    } catch (error) {
+      console.error('Erro ao listar versões de parâmetros:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao listar versões de parâmetros'
+      });
+    }
+  }
+  
+  /**
+   * Obtém uma versão específica dos parâmetros
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getVersao(req, res) {
+    try {
+      const versao = await parametrosPetService.getVersao(req.params.id);
+      
+      if (!versao) {
+        return res.status(404).json({
+          success: false,
+          message: 'Versão de parâmetros não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: versao
+      });
+    } catch (error) {
+      console.error('Erro ao obter versão de parâmetros:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao obter versão de parâmetros'
+      });
+    }
+  }
+  
+  /**
+   * Compara duas versões dos parâmetros
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async compararVersoes(req, res) {
+    try {
+      const comparacao = await parametrosPetService.compararVersoes(req.params.id, req.params.outraId);
+      
+      if (!comparacao) {
+        return res.status(404).json({
+          success: false,
+          message: 'Versão de parâmetros não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: comparacao
+      });
+    } catch (error) {
+      console.error('Erro ao comparar versões de parâmetros:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao comparar versões de parâmetros'
+      });
+    }
+  }
+  
+  /**
+   * Restaura uma versão antiga dos parâmetros (criando uma nova versão)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async restaurarVersao(req, res) {
+    try {
+      const parametros = await parametrosPetService.restaurarVersao(req.params.id, {
+        autor: req.user.id,
+        notaAlteracao: req.body && req.body.notaAlteracao
+      });
+      
+      if (!parametros) {
+        return res.status(404).json({
+          success: false,
+          message: 'Versão de parâmetros não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Versão restaurada com sucesso',
+        data: parametros
+      });
+    } catch (error) {
+      console.error('Erro ao restaurar versão de parâmetros:', error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao restaurar versão de parâmetros'
+      });
+    }
+  }
 }
 
 module.exports = new ParametrosPetController();
\ No newline at end of file
@@ -0,0 +1,267 @@
+const petPerdidoService = require('../services/petPerdido.service');
+const { responderErro } = require('../utils/erros');
+
+// Resposta padrão para caso (ou pet) inexistente
+const naoEncontrado = (res, mensagem = 'Caso de pet perdido não encontrado') =>
+  res.status(404).json({
+    success: false,
+    message: mensagem
+  });
+
+// Mensagem quando o microchip não pertence a um pet perdido
+const MICROCHIP_SEM_CASO = 'Nenhum pet perdido com este microchip';
+
+/**
+ * Controller para o modo perdido e encontrado
+ */
+class PetPerdidoController {
+  /**
+   * Marca um pet do usuário como perdido
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async marcarPerdido(req, res) {
+    try {
+      const caso = await petPerdidoService.marcarPerdido(req.body || {}, req.user);
+      if (!caso) return naoEncontrado(res, 'Pet não encontrado');
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Pet marcado como perdido',
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao marcar pet como perdido:', error);
+      return responderErro(res, error, 'Erro ao marcar pet como perdido');
+    }
+  }
+  
+  /**
+   * Lista pública dos pets perdidos
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarPerdidos(req, res) {
+    try {
+      const { page = 1, limit = 10, especie, raca, cidade, estado, bairro } = req.query;
+      const resultado = await petPerdidoService.listarPerdidos({ especie, raca, cidade, estado, bairro }, page, limit);
+      
+      return res.status(200).json({
+        success: true,
+        count: resultado.casos.length,
+        data: resultado.casos,
+        pagination: resultado.pagination
+      });
+    } catch (error) {
+      console.error('Erro ao listar pets perdidos:', error);
+      return responderErro(res, error, 'Erro ao listar pets perdidos');
+    }
+  }
+  
+  /**
+   * Cartão público de um caso
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getCasoPublico(req, res) {
+    try {
+      const caso = await petPerdidoService.getCasoPublico(req.params.id);
+      if (!caso) return naoEncontrado(res);
+      
+      return res.status(200).json({
+        success: true,
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao obter caso de pet perdido:', error);
+      return responderErro(res, error, 'Erro ao obter caso de pet perdido');
+    }
+  }
+  
+  /**
+   * Consulta pelo microchip lido por quem encontrou o pet
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async consultarMicrochip(req, res) {
+    try {
+      const caso = await petPerdidoService.consultarMicrochip(req.params.microchip);
+      if (!caso) return naoEncontrado(res, MICROCHIP_SEM_CASO);
+      
+      return res.status(200).json({
+        success: true,
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao consultar microchip:', error);
+      return responderErro(res, error, 'Erro ao consultar microchip');
+    }
+  }
+  
+  /**
+   * Registra um avistamento em um caso
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async registrarAvistamento(req, res) {
+    try {
+      const resultado = await petPerdidoService.registrarAvistamento(req.params.id, req.body || {});
+      if (!resultado) return naoEncontrado(res);
+      
+      return res.status(201).json({
+        success: true,
+        message: resultado.mensagem,
+        data: resultado.caso
+      });
+    } catch (error) {
+      console.error('Erro ao registrar avistamento:', error);
+      return responderErro(res, error, 'Erro ao registrar avistamento');
+    }
+  }
+  
+  /**
+   * Registra um avistamento identificando o pet pelo microchip
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async registrarAvistamentoPorMicrochip(req, res) {
+    try {
+      const resultado = await petPerdidoService.registrarAvistamentoPorMicrochip(req.params.microchip, req.body || {});
+      if (!resultado) return naoEncontrado(res, MICROCHIP_SEM_CASO);
+      
+      return res.status(201).json({
+        success: true,
+        message: resultado.mensagem,
+        data: resultado.caso
+      });
+    } catch (error) {
+      console.error('Erro ao registrar avistamento:', error);
+      return responderErro(res, error, 'Erro ao registrar avistamento');
+    }
+  }
+  
+  /**
+   * Lista os casos do usuário, com os avistamentos
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarMeusCasos(req, res) {
+    try {
+      const casos = await petPerdidoService.listarMeusCasos(req.user, req.query.status);
+      
+      return res.status(200).json({
+        success: true,
+        count: casos.length,
+        data: casos
+      });
+    } catch (error) {
+      console.error('Erro ao listar casos de pets perdidos:', error);
+      return responderErro(res, error, 'Erro ao listar casos de pets perdidos');
+    }
+  }
+  
+  /**
+   * Lista os avistamentos ainda não lidos pelo proprietário
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarNotificacoes(req, res) {
+    try {
+      const notificacoes = await petPerdidoService.listarNotificacoes(req.user);
+      
+      return res.status(200).json({
+        success: true,
+        count: notificacoes.length,
+        data: notificacoes
+      });
+    } catch (error) {
+      console.error('Erro ao listar notificações de avistamentos:', error);
+      return responderErro(res, error, 'Erro ao listar notificações de avistamentos');
+    }
+  }
+  
+  /**
+   * Histórico de casos de um pet
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async historicoPet(req, res) {
+    try {
+      const casos = await petPerdidoService.historicoPet(req.params.petId, req.user);
+      if (!casos) return naoEncontrado(res, 'Pet não encontrado');
+      
+      return res.status(200).json({
+        success: true,
+        count: casos.length,
+        data: casos
+      });
+    } catch (error) {
+      console.error('Erro ao obter histórico de perdas do pet:', error);
+      return responderErro(res, error, 'Erro ao obter histórico de perdas do pet');
+    }
+  }
+  
+  /**
+   * Atualiza o local e a data em que o pet foi visto pela última vez e as preferências de contato
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarCaso(req, res) {
+    try {
+      const caso = await petPerdidoService.atualizarCaso(req.params.id, req.body || {}, req.user);
+      if (!caso) return naoEncontrado(res);
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Caso atualizado com sucesso',
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar caso de pet perdido:', error);
+      return responderErro(res, error, 'Erro ao atualizar caso de pet perdido');
+    }
+  }
+  
+  /**
+   * Marca o pet como encontrado e encerra o caso
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async marcarEncontrado(req, res) {
+    try {
+      const caso = await petPerdidoService.marcarEncontrado(req.params.id, req.body || {}, req.user);
+      if (!caso) return naoEncontrado(res);
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Pet marcado como encontrado',
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao marcar pet como encontrado:', error);
+      return responderErro(res, error, 'Erro ao marcar pet como encontrado');
+    }
+  }
+  
+  /**
+   * Marca como lidos os avistamentos de um caso
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async marcarAvistamentosLidos(req, res) {
+    try {
+      const caso = await petPerdidoService.marcarAvistamentosLidos(req.params.id, req.user);
+      if (!caso) return naoEncontrado(res);
+      
+      return res.status(200).json({
+        success: true,
+        data: caso
+      });
+    } catch (error) {
+      console.error('Erro ao marcar avistamentos como lidos:', error);
+      return responderErro(res, error, 'Erro ao marcar avistamentos como lidos');
+    }
+  }
+}
+
+module.exports = new PetPerdidoController();
@@ -0,0 +1,265 @@
+const planoCruzamentoService = require('../services/planoCruzamento.service');
+const { responderErro } = require('../utils/erros');
+
+// Resposta padrão para plano (ou pet virtual) inexistente
+const naoEncontrado = (res, mensagem = 'Plano de cruzamento não encontrado') =>
+  res.status(404).json({
+    success: false,
+    message: mensagem
+  });
+
+/**
+ * Controller para planos de cruzamento com pets virtuais
+ */
+class PlanoCruzamentoController {
+  /**
+   * Cria um plano de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async criarPlano(req, res) {
+    try {
+      const plano = await planoCruzamentoService.criarPlano(req.body || {}, req.user);
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Plano de cruzamento criado com sucesso',
+        data: plano
+      });
+    } catch (error) {
+      console.error('Erro ao criar plano de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao criar plano de cruzamento');
+    }
+  }
+  
+  /**
+   * Lista os planos de cruzamento do usuário
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarPlanos(req, res) {
+    try {
+      const planos = await planoCruzamentoService.listarPlanos(req.user);
+      
+      return res.status(200).json({
+        success: true,
+        count: planos.length,
+        data: planos
+      });
+    } catch (error) {
+      console.error('Erro ao listar planos de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao listar planos de cruzamento');
+    }
+  }
+  
+  /**
+   * Obtém um plano de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getPlano(req, res) {
+    try {
+      const plano = await planoCruzamentoService.getPlano(req.params.id, req.user);
+      
+      if (!plano) {
+        return naoEncontrado(res);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: plano
+      });
+    } catch (error) {
+      console.error('Erro ao obter plano de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao obter plano de cruzamento');
+    }
+  }
+  
+  /**
+   * Atualiza nome e descrição de um plano de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarPlano(req, res) {
+    try {
+      const novosDados = req.body;
+      
+      // Validação básica
+      if (!novosDados || Object.keys(novosDados).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum dado fornecido para atualização'
+        });
+      }
+      
+      const plano = await planoCruzamentoService.atualizarPlano(req.params.id, novosDados, req.user);
+      
+      if (!plano) {
+        return naoEncontrado(res);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Plano de cruzamento atualizado com sucesso',
+        data: plano
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar plano de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao atualizar plano de cruzamento');
+    }
+  }
+  
+  /**
+   * Remove um plano de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async removerPlano(req, res) {
+    try {
+      const plano = await planoCruzamentoService.removerPlano(req.params.id, req.user);
+      
+      if (!plano) {
+        return naoEncontrado(res);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Plano de cruzamento removido com sucesso',
+        data: {}
+      });
+    } catch (error) {
+      console.error('Erro ao remover plano de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao remover plano de cruzamento');
+    }
+  }
+  
+  /**
+   * Adiciona um pet virtual ao plano
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async adicionarPetVirtual(req, res) {
+    try {
+      const plano = await planoCruzamentoService.adicionarPetVirtual(req.params.id, req.body || {}, req.user);
+      
+      if (!plano) {
+        return naoEncontrado(res);
+      }
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Pet virtual adicionado ao plano',
+        data: plano
+      });
+    } catch (error) {
+      console.error('Erro ao adicionar pet virtual:', error);
+      return responderErro(res, error, 'Erro ao adicionar pet virtual');
+    }
+  }
+  
+  /**
+   * Remove um pet virtual do plano
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async removerPetVirtual(req, res) {
+    try {
+      const plano = await planoCruzamentoService.removerPetVirtual(req.params.id, req.params.virtualId, req.user);
+      
+      if (!plano) {
+        return naoEncontrado(res, 'Plano ou pet virtual não encontrado');
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Pet virtual removido do plano',
+        data: plano
+      });
+    } catch (error) {
+      console.error('Erro ao remover pet virtual:', error);
+      return responderErro(res, error, 'Erro ao remover pet virtual');
+    }
+  }
+  
+  /**
+   * Avalia a compatibilidade de um par do plano (pets reais, virtuais ou mistos)
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async avaliarPar(req, res) {
+    try {
+      const { pet1, pet2, dataCruzamento } = req.body || {};
+      const resultado = await planoCruzamentoService.avaliarPar(req.params.id, pet1, pet2, req.user, dataCruzamento);
+      
+      if (!resultado) {
+        return naoEncontrado(res);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: resultado
+      });
+    } catch (error) {
+      console.error('Erro ao avaliar par do plano:', error);
+      return responderErro(res, error, 'Erro ao avaliar par do plano');
+    }
+  }
+  
+  /**
+   * Calcula o COI projetado de um pet virtual
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async calcularConsanguinidade(req, res) {
+    try {
+      const resultado = await planoCruzamentoService.calcularConsanguinidade(
+        req.params.id,
+        req.params.virtualId,
+        req.user
+      );
+      
+      if (!resultado) {
+        return naoEncontrado(res, 'Plano ou pet virtual não encontrado');
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: resultado
+      });
+    } catch (error) {
+      console.error('Erro ao calcular consanguinidade do pet virtual:', error);
+      return responderErro(res, error, 'Erro ao calcular consanguinidade do pet virtual');
+    }
+  }
+  
+  /**
+   * Converte um pet virtual em pet real após o nascimento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async converterPetVirtual(req, res) {
+    try {
+      const resultado = await planoCruzamentoService.converterPetVirtual(
+        req.params.id,
+        req.params.virtualId,
+        req.body || {},
+        req.user
+      );
+      
+      if (!resultado) {
+        return naoEncontrado(res, 'Plano ou pet virtual não encontrado');
+      }
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Pet virtual convertido em pet real com sucesso',
+        data: resultado
+      });
+    } catch (error) {
+      console.error('Erro ao converter pet virtual:', error);
+      return responderErro(res, error, 'Erro ao converter pet virtual');
+    }
+  }
+}
+
+module.exports = new PlanoCruzamentoController();
@@ -0,0 +1,143 @@
+const solicitacaoCruzamentoService = require('../services/solicitacaoCruzamento.service');
+const { responderErro } = require('../utils/erros');
+
+/**
+ * Cria o handler que move a solicitação para uma nova situação
+ * @param {String} novoStatus - Situação de destino
+ * @param {String} mensagemSucesso - Mensagem da resposta
+ * @returns {Function} - Handler Express
+ */
+const alterarStatus = (novoStatus, mensagemSucesso) => async (req, res) => {
+  try {
+    const { observacao } = req.body || {};
+    const solicitacao = await solicitacaoCruzamentoService.alterarStatus(
+      req.params.id,
+      novoStatus,
+      req.user,
+      observacao
+    );
+    
+    if (!solicitacao) {
+      return res.status(404).json({
+        success: false,
+        message: 'Solicitação não encontrada'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: mensagemSucesso,
+      data: solicitacao
+    });
+  } catch (error) {
+    console.error(`Erro ao marcar solicitação como ${novoStatus}:`, error);
+    return responderErro(res, error, 'Erro ao alterar a solicitação de cruzamento');
+  }
+};
+
+/**
+ * Controller para operações relacionadas às solicitações de cruzamento
+ */
+class SolicitacaoCruzamentoController {
+  constructor() {
+    this.aceitar = alterarStatus('aceita', 'Solicitação aceita');
+    this.recusar = alterarStatus('recusada', 'Solicitação recusada');
+    this.cancelar = alterarStatus('cancelada', 'Solicitação cancelada');
+    this.concluir = alterarStatus('concluída', 'Solicitação concluída');
+  }
+  
+  /**
+   * Envia uma solicitação de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async criarSolicitacao(req, res) {
+    try {
+      const solicitacao = await solicitacaoCruzamentoService.criarSolicitacao(req.body || {}, req.user);
+      
+      return res.status(201).json({
+        success: true,
+        data: solicitacao
+      });
+    } catch (error) {
+      console.error('Erro ao criar solicitação de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao criar solicitação de cruzamento');
+    }
+  }
+  
+  /**
+   * Lista as solicitações enviadas pelo usuário
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarEnviadas(req, res) {
+    try {
+      const solicitacoes = await solicitacaoCruzamentoService.listarSolicitacoes(
+        req.user,
+        'enviadas',
+        req.query.status
+      );
+      
+      return res.status(200).json({
+        success: true,
+        count: solicitacoes.length,
+        data: solicitacoes
+      });
+    } catch (error) {
+      console.error('Erro ao listar solicitações enviadas:', error);
+      return responderErro(res, error, 'Erro ao listar solicitações enviadas');
+    }
+  }
+  
+  /**
+   * Lista as solicitações recebidas pelo usuário
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarRecebidas(req, res) {
+    try {
+      const solicitacoes = await solicitacaoCruzamentoService.listarSolicitacoes(
+        req.user,
+        'recebidas',
+        req.query.status
+      );
+      
+      return res.status(200).json({
+        success: true,
+        count: solicitacoes.length,
+        data: solicitacoes
+      });
+    } catch (error) {
+      console.error('Erro ao listar solicitações recebidas:', error);
+      return responderErro(res, error, 'Erro ao listar solicitações recebidas');
+    }
+  }
+  
+  /**
+   * Obtém uma solicitação de cruzamento
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getSolicitacao(req, res) {
+    try {
+      const solicitacao = await solicitacaoCruzamentoService.getSolicitacao(req.params.id, req.user);
+      
+      if (!solicitacao) {
+        return res.status(404).json({
+          success: false,
+          message: 'Solicitação não encontrada'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: solicitacao
+      });
+    } catch (error) {
+      console.error('Erro ao obter solicitação de cruzamento:', error);
+      return responderErro(res, error, 'Erro ao obter solicitação de cruzamento');
+    }
+  }
+}
+
+module.exports = new SolicitacaoCruzamentoController();
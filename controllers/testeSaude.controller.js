@@ -0,0 +1,139 @@
+const testeSaudeService = require('../services/testeSaude.service');
+const { responderErro } = require('../utils/erros');
+
+/**
+ * Controller para o catálogo de testes de saúde
+ */
+class TesteSaudeController {
+  /**
+   * Lista os testes de saúde do catálogo
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async listarCatalogo(req, res) {
+    try {
+      const testes = await testeSaudeService.listarCatalogo();
+      
+      return res.status(200).json({
+        success: true,
+        count: testes.length,
+        data: testes
+      });
+    } catch (error) {
+      console.error('Erro ao listar testes de saúde:', error);
+      return responderErro(res, error, 'Erro ao listar testes de saúde');
+    }
+  }
+  
+  /**
+   * Obtém um teste de saúde do catálogo
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async getTeste(req, res) {
+    try {
+      const teste = await testeSaudeService.getTeste(req.params.codigo);
+      
+      if (!teste) {
+        return res.status(404).json({
+          success: false,
+          message: 'Teste de saúde não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        data: teste
+      });
+    } catch (error) {
+      console.error('Erro ao obter teste de saúde:', error);
+      return responderErro(res, error, 'Erro ao obter teste de saúde');
+    }
+  }
+  
+  /**
+   * Cadastra um teste de saúde no catálogo
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async criarTeste(req, res) {
+    try {
+      const teste = await testeSaudeService.criarTeste(req.body || {});
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Teste de saúde cadastrado com sucesso',
+        data: teste
+      });
+    } catch (error) {
+      console.error('Erro ao criar teste de saúde:', error);
+      return responderErro(res, error, 'Erro ao criar teste de saúde');
+    }
+  }
+  
+  /**
+   * Atualiza um teste de saúde do catálogo
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async atualizarTeste(req, res) {
+    try {
+      const novosDados = req.body;
+      
+      // Validação básica
+      if (!novosDados || Object.keys(novosDados).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum dado fornecido para atualização'
+        });
+      }
+      
+      const teste = await testeSaudeService.atualizarTeste(req.params.codigo, novosDados);
+      
+      if (!teste) {
+        return res.status(404).json({
+          success: false,
+          message: 'Teste de saúde não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Teste de saúde atualizado com sucesso',
+        data: teste
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar teste de saúde:', error);
+      return responderErro(res, error, 'Erro ao atualizar teste de saúde');
+    }
+  }
+  
+  /**
+   * Remove um teste de saúde do catálogo
+   * @param {Request} req - Objeto de requisição Express
+   * @param {Response} res - Objeto de resposta Express
+   */
+  async removerTeste(req, res) {
+    try {
+      const teste = await testeSaudeService.removerTeste(req.params.codigo);
+      
+      if (!teste) {
+        return res.status(404).json({
+          success: false,
+          message: 'Teste de saúde não encontrado'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Teste de saúde removido do catálogo',
+        data: {}
+      });
+    } catch (error) {
+      console.error('Erro ao remover teste de saúde:', error);
+      return responderErro(res, error, 'Erro ao remover teste de saúde');
+    }
+  }
+}
+
+module.exports = new TesteSaudeController();
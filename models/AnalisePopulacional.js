@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Execução da análise de genética populacional de uma raça
+ *
+ * Cada documento é um job: é criado como pendente, processado em segundo plano
+ * e guarda o resultado, que serve de cache até ficar desatualizado.
+ */
+const analisePopulacionalSchema = new mongoose.Schema({
+  raca: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'processando', 'concluida', 'erro'],
+    default: 'pendente'
+  },
+  // Indicadores calculados (COI, tamanho efetivo, perda de ancestrais, reprodutores, displasia, tendências)
+  resultado: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  erro: {
+    type: String
+  },
+  // Parâmetros usados no cálculo (id, versão, raça e escopo)
+  parametrosUtilizados: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  solicitadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  iniciadoEm: {
+    type: Date
+  },
+  // Sinal de vida do job: renovado pelo processamento a cada lote; sem renovação, o job é considerado interrompido
+  atualizadoEm: {
+    type: Date
+  },
+  concluidoEm: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+analisePopulacionalSchema.index({ raca: 1, createdAt: -1 });
+
+// Uma única análise pendente ou em andamento por raça (sem diferenciar maiúsculas):
+// solicitações simultâneas reaproveitam o mesmo job
+analisePopulacionalSchema.index({ raca: 1 }, {
+  unique: true,
+  collation: { locale: 'pt', strength: 2 },
+  partialFilterExpression: { status: { $in: ['pendente', 'processando'] } }
+});
+
+const AnalisePopulacional = mongoose.model('AnalisePopulacional', analisePopulacionalSchema);
+
+module.exports = AnalisePopulacional;
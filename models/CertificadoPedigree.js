@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Certificado de pedigree emitido para um pet
+ *
+ * Guarda uma cópia dos dados impressos e a assinatura (HMAC) desses dados: a verificação
+ * pública confirma que o certificado existe, que a cópia não foi adulterada e se os dados
+ * atuais do pet ainda são os mesmos da emissão.
+ */
+const certificadoPedigreeSchema = new mongoose.Schema({
+  // Código impresso no certificado e usado na verificação pública
+  codigo: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  geracoes: {
+    type: Number,
+    enum: [4, 5],
+    required: true
+  },
+  // Dados impressos (pet, proprietário, COI e ancestrais) no momento da emissão
+  dados: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  assinatura: {
+    type: String,
+    required: true
+  },
+  emitidoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+certificadoPedigreeSchema.index({ pet: 1, createdAt: -1 });
+
+const CertificadoPedigree = mongoose.model('CertificadoPedigree', certificadoPedigreeSchema);
+
+module.exports = CertificadoPedigree;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const cicloCioSchema = new mongoose.Schema({
+  // Fêmea à qual o cio pertence
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  dataInicio: {
+    type: Date,
+    required: true
+  },
+  // Data de término (vazia enquanto o cio está em andamento)
+  dataFim: {
+    type: Date
+  },
+  observacoes: {
+    type: String,
+    trim: true
+  },
+  // Usuário que registrou o cio
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+cicloCioSchema.index({ pet: 1, dataInicio: -1 });
+
+// Valida a coerência das datas
+cicloCioSchema.pre('validate', function(next) {
+  if (this.dataFim && this.dataInicio && this.dataFim < this.dataInicio) {
+    this.invalidate('dataFim', 'A data de término deve ser posterior à data de início do cio');
+  }
+  
+  next();
+});
+
+const CicloCio = mongoose.model('CicloCio', cicloCioSchema);
+
+module.exports = CicloCio;
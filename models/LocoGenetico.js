@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coloca os alelos de um genótipo na ordem de dominância do locus (ex.: e/E -> E/e)
+ * @param {Array} ordem - Símbolos dos alelos, do mais dominante para o mais recessivo
+ * @param {Array} alelos - Os dois alelos do genótipo
+ * @returns {String} - Genótipo normalizado
+ */
+const normalizarGenotipo = (ordem, alelos) =>
+  [...alelos].sort((a, b) => ordem.indexOf(a) - ordem.indexOf(b)).join('/');
+
+/**
+ * Locus genético (cor de pelagem e outras características mendelianas)
+ *
+ * Os alelos são cadastrados em ordem de dominância: o fenótipo de um genótipo é o do
+ * alelo mais dominante, salvo quando há um fenótipo específico para o genótipo
+ * (dominância incompleta). A epistasia indica genótipos que escondem outros loci
+ * (ex.: e/e esconde K e A). Loci sem raça valem para todas as raças; um locus com
+ * o mesmo código cadastrado para uma raça substitui o padrão nessa raça.
+ */
+const locoGeneticoSchema = new mongoose.Schema({
+  // Símbolo do locus (ex.: E, K, A, B, D, S)
+  codigo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  descricao: {
+    type: String,
+    trim: true
+  },
+  // Raça à qual a definição se aplica (null = padrão para todas as raças)
+  raca: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // Alelos do mais dominante para o mais recessivo, com o fenótipo que cada um determina
+  alelos: {
+    type: [{
+      simbolo: { type: String, required: true, trim: true },
+      fenotipo: { type: String, required: true, trim: true },
+      _id: false
+    }],
+    validate: {
+      validator: alelos => alelos.length >= 2,
+      message: 'Informe ao menos dois alelos'
+    }
+  },
+  // Fenótipos de genótipos específicos (dominância incompleta), ex.: S/sp
+  fenotipos: [{
+    genotipo: { type: String, required: true, trim: true },
+    fenotipo: { type: String, required: true, trim: true },
+    _id: false
+  }],
+  // Genótipos deste locus que escondem a expressão de outros loci
+  epistasia: [{
+    genotipos: [{ type: String, trim: true }],
+    lociMascarados: [{ type: String, trim: true }],
+    _id: false
+  }],
+  ativo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+locoGeneticoSchema.index({ codigo: 1, raca: 1 }, { unique: true });
+
+// Genótipos das regras sempre na ordem de dominância, para comparar com os dos pets
+locoGeneticoSchema.pre('validate', function(next) {
+  const ordem = this.simbolos();
+  const normalizar = genotipo => normalizarGenotipo(ordem, genotipo.split('/'));
+  
+  (this.fenotipos || []).forEach(regra => {
+    regra.genotipo = normalizar(regra.genotipo);
+  });
+  
+  (this.epistasia || []).forEach(regra => {
+    regra.genotipos = regra.genotipos.map(normalizar);
+  });
+  
+  next();
+});
+
+/**
+ * Símbolos dos alelos, do mais dominante para o mais recessivo
+ * @returns {Array} - Símbolos
+ */
+locoGeneticoSchema.methods.simbolos = function() {
+  return (this.alelos || []).map(alelo => alelo.simbolo);
+};
+
+/**
+ * Normaliza os dois alelos de um genótipo na ordem de dominância do locus
+ * @param {Array} alelos - Os dois alelos
+ * @returns {String} - Genótipo normalizado (ex.: E/e)
+ */
+locoGeneticoSchema.methods.normalizarGenotipo = function(alelos) {
+  return normalizarGenotipo(this.simbolos(), alelos);
+};
+
+/**
+ * Fenótipo determinado por um genótipo normalizado
+ * @param {String} genotipo - Genótipo (ex.: E/e)
+ * @returns {String} - Fenótipo
+ */
+locoGeneticoSchema.methods.getFenotipo = function(genotipo) {
+  const especifico = this.fenotipos.find(regra => regra.genotipo === genotipo);
+  if (especifico) return especifico.fenotipo;
+  
+  const presentes = genotipo.split('/');
+  return this.alelos.find(alelo => presentes.includes(alelo.simbolo)).fenotipo;
+};
+
+/**
+ * Loci escondidos por um genótipo deste locus
+ * @param {String} genotipo - Genótipo normalizado
+ * @returns {Array} - Códigos dos loci mascarados
+ */
+locoGeneticoSchema.methods.getLociMascarados = function(genotipo) {
+  return this.epistasia
+    .filter(regra => regra.genotipos.includes(genotipo))
+    .flatMap(regra => regra.lociMascarados);
+};
+
+/**
+ * Loci padrão de cor de pelagem em cães, criados quando ainda não existe nenhum locus
+ */
+locoGeneticoSchema.statics.CATALOGO_PADRAO = [
+  {
+    codigo: 'E',
+    nome: 'Extensão',
+    alelos: [
+      { simbolo: 'Em', fenotipo: 'Máscara melânica' },
+      { simbolo: 'E', fenotipo: 'Pigmento preto/marrom na pelagem, sem máscara' },
+      { simbolo: 'e', fenotipo: 'Amarelo/vermelho recessivo' }
+    ],
+    epistasia: [{ genotipos: ['e/e'], lociMascarados: ['K', 'A'] }]
+  },
+  {
+    codigo: 'K',
+    nome: 'Preto dominante',
+    alelos: [
+      { simbolo: 'KB', fenotipo: 'Preto sólido' },
+      { simbolo: 'kbr', fenotipo: 'Tigrado' },
+      { simbolo: 'ky', fenotipo: 'Padrão do locus A expresso' }
+    ],
+    epistasia: [{ genotipos: ['KB/KB', 'KB/kbr', 'KB/ky'], lociMascarados: ['A'] }]
+  },
+  {
+    codigo: 'A',
+    nome: 'Agouti',
+    alelos: [
+      { simbolo: 'Ay', fenotipo: 'Fulvo/sable' },
+      { simbolo: 'aw', fenotipo: 'Agouti (lobo)' },
+      { simbolo: 'at', fenotipo: 'Tan points' },
+      { simbolo: 'a', fenotipo: 'Preto recessivo' }
+    ]
+  },
+  {
+    codigo: 'B',
+    nome: 'Marrom',
+    alelos: [
+      { simbolo: 'B', fenotipo: 'Pigmento preto' },
+      { simbolo: 'b', fenotipo: 'Pigmento marrom (fígado/chocolate)' }
+    ]
+  },
+  {
+    codigo: 'D',
+    nome: 'Diluição',
+    alelos: [
+      { simbolo: 'D', fenotipo: 'Pigmento intenso' },
+      { simbolo: 'd', fenotipo: 'Pigmento diluído (azul/isabela)' }
+    ]
+  },
+  {
+    codigo: 'S',
+    nome: 'Manchas brancas',
+    alelos: [
+      { simbolo: 'S', fenotipo: 'Sólido, sem manchas brancas' },
+      { simbolo: 'sp', fenotipo: 'Malhado (piebald)' }
+    ],
+    fenotipos: [{ genotipo: 'S/sp', fenotipo: 'Sólido com pouco branco' }]
+  }
+];
+
+/**
+ * Carrega os loci ativos, criando o catálogo padrão se ainda estiver vazio
+ * @returns {Promise<Array>} - Loci ativos (padrão e específicos de raça)
+ */
+locoGeneticoSchema.statics.carregarCatalogo = async function() {
+  if (await this.estimatedDocumentCount() === 0) {
+    try {
+      await this.create(this.CATALOGO_PADRAO);
+    } catch (error) {
+      // Outra requisição criou o catálogo ao mesmo tempo
+      if (error.code !== 11000) throw error;
+    }
+  }
+  
+  return await this.find({ ativo: true }).sort({ codigo: 1 });
+};
+
+/**
+ * Loci que valem para uma raça: os padrão, substituídos pelos definidos para a raça
+ * @param {String|null} raca - Raça (null = apenas os loci padrão)
+ * @returns {Promise<Array>} - Loci da raça, ordenados por código
+ */
+locoGeneticoSchema.statics.carregarLociRaca = async function(raca) {
+  const catalogo = await this.carregarCatalogo();
+  const racaNormalizada = raca ? raca.trim().toLowerCase() : null;
+  const loci = new Map();
+  
+  catalogo.filter(loco => !loco.raca).forEach(loco => loci.set(loco.codigo, loco));
+  
+  if (racaNormalizada) {
+    catalogo.filter(loco => loco.raca === racaNormalizada).forEach(loco => loci.set(loco.codigo, loco));
+  }
+  
+  return [...loci.values()];
+};
+
+const LocoGenetico = mongoose.model('LocoGenetico', locoGeneticoSchema);
+
+module.exports = LocoGenetico;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const ninhadaSchema = new mongoose.Schema({
+  pai: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  mae: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  dataCruzamento: {
+    type: Date,
+    required: true
+  },
+  // Data do parto (obrigatória para cadastrar os filhotes)
+  dataParto: {
+    type: Date
+  },
+  quantidadeNascidos: {
+    type: Number,
+    min: 0
+  },
+  quantidadeVivos: {
+    type: Number,
+    min: 0
+  },
+  // Resultado de verificarCompatibilidade no momento do cruzamento
+  compatibilidade: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  observacoes: {
+    type: String,
+    trim: true
+  },
+  // Usuário que registrou a ninhada
+  proprietario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+ninhadaSchema.index({ pai: 1 });
+ninhadaSchema.index({ mae: 1 });
+
+// Valida a coerência das datas e quantidades
+ninhadaSchema.pre('validate', function(next) {
+  if (this.dataParto && this.dataCruzamento && this.dataParto < this.dataCruzamento) {
+    this.invalidate('dataParto', 'A data do parto deve ser posterior à data do cruzamento');
+  }
+  
+  if (this.quantidadeVivos !== undefined && this.quantidadeNascidos !== undefined &&
+      this.quantidadeVivos > this.quantidadeNascidos) {
+    this.invalidate('quantidadeVivos', 'A quantidade de vivos não pode ser maior que a de nascidos');
+  }
+  
+  next();
+});
+
+const Ninhada = mongoose.model('Ninhada', ninhadaSchema);
+
+module.exports = Ninhada;
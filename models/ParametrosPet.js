@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 
 const parametrosPetSchema = new mongoose.Schema({
+  // Raça à qual os parâmetros se aplicam (null = parâmetros globais, usados como padrão)
+  raca: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  
   // Matriz de compatibilidade de displasia
   // Define quais graus de displasia podem ser cruzados
   matrizDisplasia: {
@@ -25,7 +32,36 @@ const parametrosPetSchema = new mongoose.Schema({
     ])
   },
   
-  // Limite de consanguinidade aceitável (percentual)
+  // Conversão dos esquemas de avaliação de displasia para os graus A-E usados na matriz
+  // (o esquema FCI já usa os graus A-E e não precisa de conversão)
+  conversaoDisplasia: {
+    // OFA: classificação (em inglês, sem diferenciar maiúsculas) -> grau
+    ofa: {
+      type: Map,
+      of: { type: String, enum: ['A', 'B', 'C', 'D', 'E'] },
+      default: () => new Map([
+        ['excellent', 'A'], ['good', 'A'], ['fair', 'B'], ['borderline', 'C'],
+        ['mild', 'C'], ['moderate', 'D'], ['severe', 'E']
+      ])
+    },
+    // BVA: pontuação total dos dois quadris (0-106) -> grau da primeira faixa que a comporta
+    bva: {
+      type: [{
+        pontuacaoMaxima: { type: Number, required: true, min: 0 },
+        grau: { type: String, enum: ['A', 'B', 'C', 'D', 'E'], required: true },
+        _id: false
+      }],
+      default: () => [
+        { pontuacaoMaxima: 4, grau: 'A' },
+        { pontuacaoMaxima: 10, grau: 'B' },
+        { pontuacaoMaxima: 18, grau: 'C' },
+        { pontuacaoMaxima: 35, grau: 'D' },
+        { pontuacaoMaxima: 106, grau: 'E' }
+      ]
+    }
+  },
+  
+  // Limite de consanguinidade aceitável (percentual), aplicado ao COI projetado da ninhada
   limiteConsanguinidade: {
     type: Number,
     default: 12.5, // Geralmente, limite de 12.5% (equivalente a primos de primeiro grau)
@@ -41,15 +77,88 @@ const parametrosPetSchema = new mongoose.Schema({
     max: 10
   },
   
+  // Pesos de cada fator na pontuação de compatibilidade (0-100)
+  // O gênero não entra na pontuação: gêneros iguais sempre bloqueiam o cruzamento
+  pesosCompatibilidade: {
+    consanguinidade: { type: Number, default: 40, min: 0 },
+    displasia: { type: Number, default: 30, min: 0 },
+    idade: { type: Number, default: 15, min: 0 },
+    saude: { type: Number, default: 15, min: 0 },
+    testesSaude: { type: Number, default: 10, min: 0 }
+  },
+  
+  // Faixa de idade (em anos) considerada ideal para reprodução
+  faixaIdadeIdeal: {
+    minima: { type: Number, default: 2, min: 0 },
+    maxima: { type: Number, default: 7, min: 0 }
+  },
+  
+  // Regras de elegibilidade reprodutiva (idades em anos, calculadas com Pet.getIdade)
+  regrasReprodutivas: {
+    idadeMinimaMacho: { type: Number, default: 1, min: 0 },
+    idadeMaximaMacho: { type: Number, default: 10, min: 0 },
+    idadeMinimaFemea: { type: Number, default: 2, min: 0 },
+    idadeMaximaFemea: { type: Number, default: 8, min: 0 },
+    // Número máximo de ninhadas ao longo da vida de uma fêmea
+    maximoNinhadasFemea: { type: Number, default: 6, min: 0 },
+    // Intervalo mínimo entre a última ninhada e um novo cruzamento da fêmea
+    intervaloMinimoNinhadasMeses: { type: Number, default: 6, min: 0 }
+  },
+  
+  // Ciclo de cio padrão da raça, usado enquanto a fêmea não tem histórico suficiente
+  cicloCio: {
+    // Intervalo entre o início de dois cios consecutivos
+    intervaloDias: { type: Number, default: 180, min: 1 },
+    duracaoDias: { type: Number, default: 21, min: 1 },
+    // Janela de cruzamento, contada a partir do primeiro dia do cio
+    inicioJanelaCruzamentoDias: { type: Number, default: 9, min: 0 },
+    fimJanelaCruzamentoDias: { type: Number, default: 14, min: 0 }
+  },
+  
   // Configurações adicionais
+  // Indica a versão em vigor para o escopo (raça ou global)
   ativo: {
     type: Boolean,
     default: true
+  },
+  
+  // Controle de versões: cada alteração gera um novo documento imutável
+  versao: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  autor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notaAlteracao: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
 });
 
+parametrosPetSchema.index({ raca: 1, ativo: 1 });
+parametrosPetSchema.index({ raca: 1, versao: -1 });
+
+// Cada escopo (raça, sem diferenciar maiúsculas, ou global) tem números de versão únicos:
+// alterações simultâneas não geram duas versões com o mesmo número
+parametrosPetSchema.index({ raca: 1, versao: 1 }, {
+  unique: true,
+  collation: { locale: 'pt', strength: 2 }
+});
+
+// Versões já gravadas não podem ser alteradas; mudanças geram uma nova versão
+parametrosPetSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Versões de parâmetros são imutáveis; crie uma nova versão'));
+  }
+  
+  next();
+});
+
 const ParametrosPet = mongoose.model('ParametrosPet', parametrosPetSchema);
 
 module.exports = ParametrosPet;
\ No newline at end of file
@@ -1,4 +1,51 @@
 const mongoose = require('mongoose');
+const TesteSaude = require('./TesteSaude');
+
+// Idade mínima (em dias) que um genitor deve ter no nascimento da cria
+const IDADE_MINIMA_GENITOR_DIAS = 180;
+const DIA_EM_MS = 24 * 60 * 60 * 1000;
+
+// Profundidade máxima do índice de ancestrais (máximo de geracoesConsanguinidade)
+const GERACOES_MAXIMAS_ANCESTRAIS = 10;
+
+// Microchip: ISO 11784/11785 (15 dígitos), FDX-A (10 caracteres hexadecimais) ou AVID (9 dígitos)
+const FORMATO_MICROCHIP = /^(?:\d{15}|[0-9A-F]{10}|\d{9})$/;
+
+// Registro oficial: letras e dígitos com separadores simples (ex.: CBKC-12345/19, RGA 123456)
+const FORMATO_REGISTRO = /^(?=.{3,30}$)[A-Z0-9]+(?:[ ./-][A-Z0-9]+)*$/;
+
+// Remove espaços, pontos e hífens que os leitores e formulários costumam incluir no microchip
+// (em maiúsculas, para os códigos hexadecimais FDX-A)
+const normalizarMicrochip = valor => {
+  if (valor === undefined || valor === null) return undefined;
+  const normalizado = String(valor).replace(/[\s.-]/g, '').toUpperCase();
+  return normalizado === '' ? undefined : normalizado;
+};
+
+// Registro em maiúsculas, sem espaços repetidos
+const normalizarRegistro = valor => {
+  if (valor === undefined || valor === null) return undefined;
+  const normalizado = String(valor).trim().replace(/\s+/g, ' ').toUpperCase();
+  return normalizado === '' ? undefined : normalizado;
+};
+
+// Identificações únicas entre os pets ativos
+const IDENTIFICACOES = [
+  {
+    campo: 'microchip',
+    descricao: 'microchip',
+    formato: FORMATO_MICROCHIP,
+    normalizar: normalizarMicrochip,
+    mensagemFormato: 'O microchip deve ter 15 dígitos (ISO 11784), 10 caracteres hexadecimais (FDX-A) ou 9 dígitos (AVID)'
+  },
+  {
+    campo: 'registroOficial',
+    descricao: 'registro oficial',
+    formato: FORMATO_REGISTRO,
+    normalizar: normalizarRegistro,
+    mensagemFormato: 'O registro oficial deve ter de 3 a 30 letras ou dígitos, separados apenas por espaço, ponto, hífen ou barra'
+  }
+];
 
 const petSchema = new mongoose.Schema({
   nome: {
@@ -6,11 +53,21 @@ const petSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  especie: {
+    type: String,
+    enum: ['cão', 'gato'],
+    default: 'cão'
+  },
   raca: {
     type: String,
     required: true,
     trim: true
   },
+  // Indica cruzamento entre raças (dispensa a verificação de raça dos pais)
+  mestico: {
+    type: Boolean,
+    default: false
+  },
   dataNascimento: {
     type: Date,
     required: true
@@ -29,14 +86,27 @@ const petSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Pet'
   },
+  // Pai e mãe em um único array (mantido automaticamente) para permitir
+  // percorrer a genealogia com $graphLookup
+  pais: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  }],
   // Ancestrais para cálculos mais complexos de consanguinidade
+  // (mantido automaticamente até GERACOES_MAXIMAS_ANCESTRAIS gerações)
   ancestrais: [{
     pet: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Pet'
     },
-    geracao: Number
+    geracao: Number,
+    _id: false
   }],
+  // Ninhada em que o pet nasceu (quando cadastrado a partir de uma ninhada)
+  ninhada: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ninhada'
+  },
   // Classificação de displasia coxofemoral (A, B, C, D, E)
   // A e B = Normal, C = Leve, D = Moderada, E = Grave
   displasia: {
@@ -44,19 +114,57 @@ const petSchema = new mongoose.Schema({
     enum: ['A', 'B', 'C', 'D', 'E'],
     required: true
   },
+  // Avaliação de displasia como informada (esquema FCI, OFA ou BVA e valor original);
+  // o campo displasia guarda o grau A-E convertido pelos parâmetros da raça
+  displasiaOriginal: {
+    esquema: { type: String, enum: ['fci', 'ofa', 'bva'] },
+    valor: { type: String, trim: true }
+  },
+  // Resultados de testes de saúde (códigos do catálogo TesteSaude)
+  // O resultado mais recente de displasia-quadril é mantido em sincronia com o campo displasia
+  testesSaude: [{
+    teste: { type: String, required: true, trim: true, lowercase: true },
+    resultado: { type: String, required: true, trim: true },
+    data: { type: Date, required: true },
+    laboratorio: { type: String, trim: true },
+    observacoes: { type: String, trim: true }
+  }],
+  // Genótipos conhecidos nos loci genéticos (códigos do catálogo LocoGenetico),
+  // com os alelos na ordem de dominância do locus
+  genotipos: [{
+    loco: { type: String, required: true, trim: true },
+    alelos: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: alelos => alelos.length === 2,
+        message: 'Um genótipo deve ter exatamente dois alelos'
+      }
+    },
+    laboratorio: { type: String, trim: true },
+    data: { type: Date },
+    _id: false
+  }],
   // Outros dados do pet
   proprietario: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Normalizados ao serem atribuídos; o formato é validado apenas quando alterados (ver pre('validate'))
   registroOficial: {
     type: String,
-    trim: true
+    set: normalizarRegistro
   },
   microchip: {
     type: String,
-    trim: true
+    set: normalizarMicrochip
+  },
+  // Disponibilidade do pet para cruzamento com pets de outros proprietários
+  disponibilidadeReproducao: {
+    disponivel: { type: Boolean, default: false },
+    termos: { type: String, trim: true },
+    observacoes: { type: String, trim: true },
+    atualizadoEm: { type: Date }
   },
   ativo: {
     type: Boolean,
@@ -66,9 +174,299 @@ const petSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Método para obter a idade do pet em anos
-petSchema.methods.getIdade = function() {
-  const hoje = new Date();
+petSchema.index({ pai: 1 });
+petSchema.index({ mae: 1 });
+petSchema.index({ 'ancestrais.pet': 1 });
+petSchema.index({ 'disponibilidadeReproducao.disponivel': 1, raca: 1 });
+
+// Microchip e registro oficial não se repetem entre os pets ativos
+// (em bancos existentes, execute antes npm run migrar:identificacao)
+petSchema.index({ microchip: 1 }, {
+  unique: true,
+  partialFilterExpression: { ativo: true, microchip: { $type: 'string' } }
+});
+petSchema.index({ registroOficial: 1 }, {
+  unique: true,
+  partialFilterExpression: { ativo: true, registroOficial: { $type: 'string' } }
+});
+
+// Valida o formato do microchip e do registro oficial apenas quando são informados ou alterados:
+// pets antigos, gravados antes da validação, continuam podendo ser salvos
+petSchema.pre('validate', function(next) {
+  for (const { campo, formato, mensagemFormato } of IDENTIFICACOES) {
+    const valor = this[campo];
+    
+    if (valor && (this.isNew || this.isModified(campo)) && !formato.test(valor)) {
+      this.invalidate(campo, mensagemFormato, valor);
+    }
+  }
+  
+  next();
+});
+
+// Mantém o campo displasia e o teste displasia-quadril do catálogo sincronizados:
+// clientes antigos continuam lendo e gravando apenas displasia
+petSchema.pre('validate', function(next) {
+  const codigo = TesteSaude.CODIGO_DISPLASIA;
+  const ultimo = this.getResultadoTeste(codigo, { ignorarDisplasia: true });
+  
+  if (this.isModified('testesSaude') && ultimo && ultimo.resultado !== this.displasia &&
+      !this.isModified('displasia')) {
+    this.displasia = ultimo.resultado;
+    // O resultado do teste já é um grau FCI; a avaliação original anterior deixa de valer
+    this.displasiaOriginal = { esquema: 'fci', valor: ultimo.resultado };
+  } else if (this.displasia && (this.isNew || this.isModified('displasia')) &&
+      (!ultimo || ultimo.resultado !== this.displasia)) {
+    // Apenas um grau novo ou alterado vira teste; pets antigos seguem lendo o campo displasia
+    this.testesSaude.push({ teste: codigo, resultado: this.displasia, data: new Date() });
+  }
+  
+  next();
+});
+
+// Mantém o array de pais e o índice de ancestrais sincronizados com os campos pai e mae
+petSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('pai') && !this.isModified('mae')) return;
+  
+  this.pais = [this.pai, this.mae].filter(Boolean);
+  
+  const genitores = await this.constructor.find({ _id: { $in: this.pais } })
+    .select('ancestrais');
+  this.ancestrais = this.constructor.calcularAncestrais(this.pai, this.mae, genitores);
+  
+  // Os descendentes de um pet já existente também mudaram de ancestralidade
+  this.$locals.atualizarDescendentes = !this.isNew;
+});
+
+petSchema.post('save', async function() {
+  if (!this.$locals.atualizarDescendentes) return;
+  
+  this.$locals.atualizarDescendentes = false;
+  await this.constructor.atualizarDescendentes(this._id);
+});
+
+// Cadastros simultâneos podem passar pela verificação prévia e esbarrar nos índices únicos:
+// a violação vira o mesmo conflito 409, com o pet já cadastrado
+petSchema.post('save', function(error, doc, next) {
+  const campo = error.code === 11000 && error.keyValue && Object.keys(error.keyValue)[0];
+  
+  if (!IDENTIFICACOES.some(identificacao => identificacao.campo === campo)) {
+    return next(error);
+  }
+  
+  this.constructor.validarIdentificacao(doc.toObject())
+    .then(erros => {
+      const conflito = new Error('Microchip ou registro oficial já cadastrado em outro pet ativo');
+      conflito.statusCode = 409;
+      conflito.erros = erros.filter(erro => erro.tipo === 'duplicado');
+      next(conflito);
+    })
+    .catch(next);
+});
+
+/**
+ * Filtro dos pets ativos de um proprietário (listagem e feeds por proprietário)
+ * @param {String} proprietarioId - ID do proprietário
+ * @returns {Object} - Filtro do MongoDB
+ */
+petSchema.statics.filtroProprietario = function(proprietarioId) {
+  return {
+    proprietario: proprietarioId,
+    ativo: true
+  };
+};
+
+/**
+ * Calcula a lista de ancestrais de um pet a partir dos seus pais
+ * @param {ObjectId} pai - ID do pai
+ * @param {ObjectId} mae - ID da mãe
+ * @param {Array} genitores - Documentos dos pais com seus próprios ancestrais
+ * @returns {Array} - Ancestrais ({ pet, geracao }) com a menor geração de cada um
+ */
+petSchema.statics.calcularAncestrais = function(pai, mae, genitores) {
+  const geracoes = new Map();
+  
+  const registrar = (id, geracao) => {
+    if (!id || geracao > GERACOES_MAXIMAS_ANCESTRAIS) return;
+    
+    const atual = geracoes.get(id.toString());
+    if (!atual || geracao < atual.geracao) {
+      geracoes.set(id.toString(), { pet: id, geracao });
+    }
+  };
+  
+  for (const id of [pai, mae]) {
+    if (!id) continue;
+    
+    registrar(id, 1);
+    
+    const genitor = genitores.find(g => g._id.toString() === id.toString());
+    for (const ancestral of (genitor && genitor.ancestrais) || []) {
+      registrar(ancestral.pet, ancestral.geracao + 1);
+    }
+  }
+  
+  return [...geracoes.values()].sort((a, b) => a.geracao - b.geracao);
+};
+
+/**
+ * Calcula em memória o índice de ancestrais de um conjunto de pets
+ *
+ * Ordenação topológica: cada pet só é processado depois dos pais que estão no conjunto,
+ * o que mantém corretos os pedigrees em linha (um pai que também é descendente distante
+ * do outro). Pais fora do conjunto vêm de externos, com o índice já atualizado.
+ * @param {Array} pets - Pets do conjunto ({ _id, pai, mae })
+ * @param {Array} [externos] - Genitores fora do conjunto ({ _id, ancestrais })
+ * @returns {Map} - Índice calculado (id do pet -> ancestrais)
+ */
+petSchema.statics.calcularAncestraisEmLote = function(pets, externos = []) {
+  const porId = new Map(pets.map(pet => [pet._id.toString(), pet]));
+  const porIdExterno = new Map(externos.map(pet => [pet._id.toString(), pet]));
+  const calculados = new Map();
+  
+  const pendentes = new Map();
+  const filhos = new Map();
+  const fila = [];
+  
+  for (const pet of pets) {
+    const genitores = [pet.pai, pet.mae].filter(g => g && porId.has(g.toString()));
+    pendentes.set(pet._id.toString(), genitores.length);
+    
+    for (const genitor of genitores) {
+      if (!filhos.has(genitor.toString())) filhos.set(genitor.toString(), []);
+      filhos.get(genitor.toString()).push(pet._id.toString());
+    }
+    
+    if (genitores.length === 0) fila.push(pet._id.toString());
+  }
+  
+  const processar = id => {
+    const pet = porId.get(id);
+    const genitores = [pet.pai, pet.mae]
+      .filter(Boolean)
+      .map(g => g.toString())
+      .map(g => (porId.has(g)
+        ? calculados.has(g) && { _id: g, ancestrais: calculados.get(g) }
+        : porIdExterno.get(g)))
+      .filter(Boolean);
+    
+    calculados.set(id, this.calcularAncestrais(pet.pai, pet.mae, genitores));
+  };
+  
+  while (fila.length > 0) {
+    const id = fila.shift();
+    processar(id);
+    
+    for (const filho of filhos.get(id) || []) {
+      pendentes.set(filho, pendentes.get(filho) - 1);
+      if (pendentes.get(filho) === 0) fila.push(filho);
+    }
+  }
+  
+  // Pets presos em ciclos (pedigrees anteriores à validação) usam o que foi possível calcular
+  for (const pet of pets) {
+    if (!calculados.has(pet._id.toString())) processar(pet._id.toString());
+  }
+  
+  return calculados;
+};
+
+/**
+ * Recalcula o índice de ancestrais de todos os descendentes de um pet
+ * @param {ObjectId} petId - ID do pet cuja genealogia mudou
+ * @returns {Promise<Number>} - Quantidade de descendentes atualizados
+ */
+petSchema.statics.atualizarDescendentes = async function(petId) {
+  const descendentes = await this.find({ 'ancestrais.pet': petId })
+    .select('pai mae')
+    .lean();
+  
+  if (descendentes.length === 0) return 0;
+  
+  // Genitores fora do conjunto (o próprio pet e os que entram por outras linhagens) já estão corretos
+  const ids = new Set(descendentes.map(descendente => descendente._id.toString()));
+  const idsExternos = descendentes
+    .flatMap(descendente => [descendente.pai, descendente.mae])
+    .filter(genitor => genitor && !ids.has(genitor.toString()));
+  const externos = await this.find({ _id: { $in: idsExternos } })
+    .select('ancestrais')
+    .lean();
+  
+  const calculados = this.calcularAncestraisEmLote(descendentes, externos);
+  const operacoes = descendentes.map(descendente => ({
+    updateOne: {
+      filter: { _id: descendente._id },
+      update: { $set: { ancestrais: calculados.get(descendente._id.toString()) } }
+    }
+  }));
+  
+  await this.bulkWrite(operacoes);
+  return operacoes.length;
+};
+
+/**
+ * Reconstrói o array de pais e o índice de ancestrais de todos os pets
+ * @returns {Promise<Number>} - Quantidade de pets atualizados
+ */
+petSchema.statics.reconstruirAncestrais = async function() {
+  const pets = await this.find().select('pai mae').lean();
+  const calculados = this.calcularAncestraisEmLote(pets);
+  
+  const operacoes = pets.map(pet => ({
+    updateOne: {
+      filter: { _id: pet._id },
+      update: {
+        $set: {
+          pais: [pet.pai, pet.mae].filter(Boolean),
+          ancestrais: calculados.get(pet._id.toString())
+        }
+      }
+    }
+  }));
+  
+  for (let i = 0; i < operacoes.length; i += 500) {
+    await this.bulkWrite(operacoes.slice(i, i + 500));
+  }
+  
+  return operacoes.length;
+};
+
+/**
+ * Busca o resultado mais recente de um teste de saúde do pet
+ * @param {String} codigo - Código do teste no catálogo
+ * @param {Object} [opcoes]
+ * @param {Boolean} [opcoes.ignorarDisplasia] - Não usar o campo displasia como resultado de displasia-quadril
+ * @returns {Object|null} - Resultado ({ teste, resultado, data }), ou null se o pet não tiver o teste
+ */
+petSchema.methods.getResultadoTeste = function(codigo, opcoes = {}) {
+  const resultados = (this.testesSaude || []).filter(resultado => resultado.teste === codigo);
+  
+  if (resultados.length > 0) {
+    return resultados.reduce((maisRecente, resultado) =>
+      resultado.data > maisRecente.data ? resultado : maisRecente);
+  }
+  
+  // Pets cadastrados antes do catálogo têm apenas o campo displasia
+  if (codigo === TesteSaude.CODIGO_DISPLASIA && this.displasia && !opcoes.ignorarDisplasia) {
+    return { teste: codigo, resultado: this.displasia, data: null };
+  }
+  
+  return null;
+};
+
+/**
+ * Busca o genótipo conhecido do pet em um locus genético
+ * @param {String} codigo - Código do locus no catálogo
+ * @returns {Array|null} - Os dois alelos, ou null se o genótipo não for conhecido
+ */
+petSchema.methods.getGenotipo = function(codigo) {
+  const genotipo = (this.genotipos || []).find(item => item.loco === codigo);
+  return genotipo ? [...genotipo.alelos] : null;
+};
+
+// Método para obter a idade do pet em anos (hoje ou em uma data de referência)
+petSchema.methods.getIdade = function(dataReferencia) {
+  const hoje = dataReferencia ? new Date(dataReferencia) : new Date();
   const nascimento = new Date(this.dataNascimento);
   let idade = hoje.getFullYear() - nascimento.getFullYear();
   
@@ -81,6 +479,181 @@ petSchema.methods.getIdade = function() {
   return idade;
 };
 
+/**
+ * Valida a integridade do pedigree de um pet (pais, datas, espécie, raça e ciclos)
+ * @param {Object} dados - Dados do pet (já mesclados com o documento atual, se existir)
+ * @param {Object} [opcoes] - Opções da validação
+ * @param {Function} [opcoes.buscarPet] - Busca um pet pelo ID (padrão: findById)
+ * @returns {Promise<Array>} - Lista de erros ({ campo, mensagem }); vazia se válido
+ */
+petSchema.statics.validarPedigree = async function(dados, opcoes = {}) {
+  const buscarPet = opcoes.buscarPet || (id => this.findById(id));
+  const erros = [];
+  const petId = dados._id ? dados._id.toString() : null;
+  const especie = dados.especie || 'cão';
+  
+  const genitores = [
+    { campo: 'pai', id: dados.pai, genero: 'macho', descricao: 'O pai' },
+    { campo: 'mae', id: dados.mae, genero: 'fêmea', descricao: 'A mãe' }
+  ];
+  
+  if (dados.pai && dados.mae && dados.pai.toString() === dados.mae.toString()) {
+    erros.push({ campo: 'mae', mensagem: 'Pai e mãe não podem ser o mesmo pet' });
+  }
+  
+  for (const { campo, id, genero, descricao } of genitores) {
+    if (!id) continue;
+    
+    if (petId && id.toString() === petId) {
+      erros.push({ campo, mensagem: `${descricao} não pode ser o próprio pet` });
+      continue;
+    }
+    
+    if (!mongoose.isValidObjectId(id)) {
+      erros.push({ campo, mensagem: `${descricao} informado não é um ID válido` });
+      continue;
+    }
+    
+    const genitor = await buscarPet(id);
+    
+    if (!genitor) {
+      erros.push({ campo, mensagem: `${descricao} informado não foi encontrado` });
+      continue;
+    }
+    
+    if (genitor.genero !== genero) {
+      erros.push({ campo, mensagem: `${descricao} deve ser do gênero ${genero}` });
+    }
+    
+    if (dados.dataNascimento && genitor.dataNascimento) {
+      const diferenca = new Date(dados.dataNascimento) - new Date(genitor.dataNascimento);
+      
+      if (diferenca < IDADE_MINIMA_GENITOR_DIAS * DIA_EM_MS) {
+        erros.push({
+          campo,
+          mensagem: `${descricao} deve ter nascido pelo menos ${IDADE_MINIMA_GENITOR_DIAS} dias antes do pet`
+        });
+      }
+    }
+    
+    if ((genitor.especie || 'cão') !== especie) {
+      erros.push({ campo, mensagem: `${descricao} deve ser da mesma espécie do pet` });
+    }
+    
+    if (!dados.mestico && dados.raca && genitor.raca &&
+        genitor.raca.toLowerCase() !== dados.raca.toLowerCase()) {
+      erros.push({
+        campo,
+        mensagem: `${descricao} deve ser da mesma raça do pet (ou o pet deve ser marcado como mestiço)`
+      });
+    }
+  }
+  
+  // Um pet já cadastrado não pode aparecer entre os seus próprios ancestrais
+  if (petId && erros.length === 0) {
+    const visitados = new Set();
+    const fila = genitores.filter(g => g.id).map(g => ({ campo: g.campo, id: g.id.toString() }));
+    
+    while (fila.length > 0) {
+      const { campo, id } = fila.shift();
+      
+      if (id === petId) {
+        erros.push({ campo, mensagem: 'O pet não pode ser ancestral de si mesmo (ciclo no pedigree)' });
+        break;
+      }
+      
+      if (visitados.has(id)) continue;
+      visitados.add(id);
+      
+      const ancestral = await buscarPet(id);
+      if (!ancestral) continue;
+      
+      if (ancestral.pai) fila.push({ campo, id: ancestral.pai.toString() });
+      if (ancestral.mae) fila.push({ campo, id: ancestral.mae.toString() });
+    }
+  }
+  
+  // Alterações no próprio pet não podem invalidar o pedigree dos filhos já cadastrados
+  if (petId) {
+    const filhos = await this.find({ $or: [{ pai: petId }, { mae: petId }] })
+      .select('nome pai mae dataNascimento');
+    
+    for (const filho of filhos) {
+      const ehPai = filho.pai && filho.pai.toString() === petId;
+      
+      if (dados.genero && dados.genero !== (ehPai ? 'macho' : 'fêmea')) {
+        erros.push({
+          campo: 'genero',
+          mensagem: `O pet está registrado como ${ehPai ? 'pai' : 'mãe'} de ${filho.nome}`
+        });
+      }
+      
+      if (dados.dataNascimento && filho.dataNascimento &&
+          new Date(filho.dataNascimento) - new Date(dados.dataNascimento) < IDADE_MINIMA_GENITOR_DIAS * DIA_EM_MS) {
+        erros.push({
+          campo: 'dataNascimento',
+          mensagem: `A data de nascimento é incompatível com a do filho ${filho.nome}`
+        });
+      }
+    }
+  }
+  
+  return erros;
+};
+
+/**
+ * Valida o formato do microchip e do registro oficial e se já existem em outro pet ativo.
+ * Se receber o documento do pet, verifica apenas as identificações alteradas (ou todas, se o
+ * pet for reativado), sem bloquear pets antigos por valores que não mudaram
+ * @param {Object} dados - Documento do pet com as alterações aplicadas, ou dados de um novo pet
+ * @returns {Promise<Array>} - Lista de erros ({ tipo: formato|duplicado, campo, mensagem, petExistente }); vazia se válido
+ */
+petSchema.statics.validarIdentificacao = async function(dados) {
+  const erros = [];
+  const documento = dados instanceof this && !dados.isNew ? dados : null;
+  
+  for (const { campo, descricao, formato, normalizar, mensagemFormato } of IDENTIFICACOES) {
+    const valor = normalizar(dados[campo]);
+    if (!valor) continue;
+    
+    const alterado = !documento || documento.isModified(campo);
+    if (!alterado && !documento.isModified('ativo')) continue;
+    
+    if (alterado && !formato.test(valor)) {
+      erros.push({ tipo: 'formato', campo, mensagem: mensagemFormato });
+      continue;
+    }
+    
+    // Pets inativos não disputam a identificação
+    if (dados.ativo === false) continue;
+    
+    const filtro = { [campo]: valor, ativo: true };
+    if (dados._id) filtro._id = { $ne: dados._id };
+    
+    const existente = await this.findOne(filtro).select('nome especie raca');
+    
+    if (existente) {
+      // Apenas dados públicos do pet existente, nunca os do proprietário
+      erros.push({
+        tipo: 'duplicado',
+        campo,
+        mensagem: `Já existe um pet ativo com este ${descricao}: ${existente.nome}`,
+        petExistente: {
+          _id: existente._id,
+          nome: existente.nome,
+          especie: existente.especie,
+          raca: existente.raca
+        }
+      });
+    }
+  }
+  
+  return erros;
+};
+
+petSchema.statics.normalizarMicrochip = normalizarMicrochip;
+petSchema.statics.normalizarRegistro = normalizarRegistro;
+
 const Pet = mongoose.model('Pet', petSchema);
 
 module.exports = Pet;
\ No newline at end of file
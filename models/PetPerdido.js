@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Situações de um caso de pet perdido
+const STATUS_CASO = ['perdido', 'encontrado'];
+
+// Avistamentos mantidos por caso (os mais recentes): o envio é público e o documento tem tamanho limitado
+const LIMITE_AVISTAMENTOS = 200;
+
+// Local informado pelo proprietário ou por quem viu o pet
+const localSchema = new mongoose.Schema({
+  // Referência livre (ex.: "praça da matriz, perto da padaria")
+  descricao: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  bairro: {
+    type: String,
+    trim: true
+  },
+  cidade: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  estado: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
+}, {
+  _id: false
+});
+
+// Avistamento informado por qualquer pessoa; os dados do informante ficam visíveis só ao proprietário
+const avistamentoSchema = new mongoose.Schema({
+  data: {
+    type: Date,
+    required: true
+  },
+  local: {
+    type: localSchema,
+    required: true
+  },
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  informante: {
+    nome: { type: String, trim: true, maxlength: 100 },
+    contato: { type: String, trim: true, maxlength: 200 }
+  },
+  // Indica que o pet foi identificado pela leitura do microchip
+  viaMicrochip: {
+    type: Boolean,
+    default: false
+  },
+  // Notificação ainda não vista pelo proprietário
+  lido: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: 'registradoEm', updatedAt: false }
+});
+
+/**
+ * Caso de pet perdido: aberto pelo proprietário e encerrado quando o pet é encontrado
+ *
+ * Casos encerrados são mantidos como histórico do pet.
+ */
+const petPerdidoSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  proprietario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cópia da espécie e da raça do pet para os filtros da listagem pública
+  especie: {
+    type: String,
+    enum: ['cão', 'gato']
+  },
+  raca: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: STATUS_CASO,
+    default: 'perdido'
+  },
+  // Onde e quando o pet foi visto pela última vez pelo proprietário
+  vistoPorUltimo: {
+    local: {
+      type: localSchema,
+      required: true
+    },
+    data: {
+      type: Date,
+      required: true
+    }
+  },
+  // Preferências de contato: o contato pessoal do proprietário nunca é exibido
+  preferenciasContato: {
+    // Permite que o informante deixe telefone ou e-mail para retorno
+    receberContatoInformante: { type: Boolean, default: true },
+    // Orientações públicas para quem encontrar o pet (ex.: "é assustado, não tente pegar")
+    instrucoes: { type: String, trim: true, maxlength: 500 },
+    recompensa: { type: Boolean, default: false }
+  },
+  avistamentos: [avistamentoSchema],
+  dataEncontrado: {
+    type: Date
+  },
+  // Histórico de mudanças de situação
+  historico: [{
+    status: { type: String, enum: STATUS_CASO },
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    observacao: { type: String, trim: true },
+    data: { type: Date, default: Date.now },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+// Apenas um caso aberto por pet
+petPerdidoSchema.index({ pet: 1 }, { unique: true, partialFilterExpression: { status: 'perdido' } });
+petPerdidoSchema.index({ pet: 1, createdAt: -1 });
+petPerdidoSchema.index({ proprietario: 1, status: 1 });
+petPerdidoSchema.index({ status: 1, raca: 1 });
+petPerdidoSchema.index({ status: 1, 'vistoPorUltimo.local.cidade': 1 });
+
+petPerdidoSchema.statics.STATUS = STATUS_CASO;
+petPerdidoSchema.statics.LIMITE_AVISTAMENTOS = LIMITE_AVISTAMENTOS;
+
+const PetPerdido = mongoose.model('PetPerdido', petPerdidoSchema);
+
+module.exports = PetPerdido;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Referência a um genitor de um pet virtual: um pet real ou outro pet virtual do mesmo plano
+const referenciaGenitorSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: ['real', 'virtual'],
+    required: true
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, { _id: false });
+
+// Pet hipotético (filhote planejado), guardado fora da coleção de pets reais
+const petVirtualSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  genero: {
+    type: String,
+    enum: ['macho', 'fêmea'],
+    required: true
+  },
+  raca: {
+    type: String,
+    trim: true
+  },
+  // Usada nas regras de idade da compatibilidade (padrão: data atual)
+  dataNascimentoPrevista: {
+    type: Date
+  },
+  // Grau de displasia esperado, se o criador quiser simular
+  displasia: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D', 'E']
+  },
+  pai: referenciaGenitorSchema,
+  mae: referenciaGenitorSchema,
+  // Pet real criado a partir deste pet virtual, depois do nascimento da ninhada
+  petReal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  }
+});
+
+const planoCruzamentoSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  descricao: {
+    type: String,
+    trim: true
+  },
+  petsVirtuais: [petVirtualSchema],
+  proprietario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+planoCruzamentoSchema.index({ proprietario: 1, ativo: 1 });
+
+const PlanoCruzamento = mongoose.model('PlanoCruzamento', planoCruzamentoSchema);
+
+module.exports = PlanoCruzamento;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Situações possíveis de uma solicitação de cruzamento
+const STATUS_SOLICITACAO = ['pendente', 'aceita', 'recusada', 'cancelada', 'concluída'];
+
+const solicitacaoCruzamentoSchema = new mongoose.Schema({
+  // Pet do proprietário que envia a solicitação
+  petSolicitante: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  // Pet marcado como disponível para cruzamento
+  petSolicitado: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  proprietarioSolicitante: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proprietarioSolicitado: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUS_SOLICITACAO,
+    default: 'pendente'
+  },
+  mensagem: {
+    type: String,
+    trim: true
+  },
+  // Resultado de verificarCompatibilidade no momento da solicitação
+  compatibilidade: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Histórico de mudanças de situação
+  historico: [{
+    status: { type: String, enum: STATUS_SOLICITACAO },
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    observacao: { type: String, trim: true },
+    data: { type: Date, default: Date.now },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+solicitacaoCruzamentoSchema.index({ proprietarioSolicitante: 1, status: 1 });
+solicitacaoCruzamentoSchema.index({ proprietarioSolicitado: 1, status: 1 });
+solicitacaoCruzamentoSchema.index({ petSolicitante: 1, petSolicitado: 1 });
+
+solicitacaoCruzamentoSchema.statics.STATUS = STATUS_SOLICITACAO;
+
+const SolicitacaoCruzamento = mongoose.model('SolicitacaoCruzamento', solicitacaoCruzamentoSchema);
+
+module.exports = SolicitacaoCruzamento;
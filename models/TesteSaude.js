@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Código do teste de displasia coxofemoral, espelhado no campo Pet.displasia
+const CODIGO_DISPLASIA = 'displasia-quadril';
+
+const TIPOS_TESTE = ['grau', 'genetico', 'certificacao'];
+
+// Resultados de um teste de DNA para doenças recessivas
+const RESULTADOS_GENETICOS = ['livre', 'portador', 'afetado'];
+
+/**
+ * Monta a matriz de pareamento a partir de uma função que decide cada combinação
+ * @param {Array} resultados - Resultados possíveis do teste
+ * @param {Function} permitido - (resultado1, resultado2) => Boolean
+ * @returns {Map} - Matriz resultado -> resultado -> permitido
+ */
+const montarMatriz = (resultados, permitido) => new Map(
+  resultados.map(r1 => [r1, new Map(resultados.map(r2 => [r2, permitido(r1, r2)]))])
+);
+
+/**
+ * Catálogo de testes de saúde usados na avaliação de compatibilidade
+ *
+ * Cada teste define os resultados possíveis e uma matriz de pareamento no mesmo formato
+ * de matrizDisplasia. A displasia coxofemoral faz parte do catálogo, mas o seu pareamento
+ * continua definido por matrizDisplasia nos parâmetros (por raça e versionado).
+ */
+const testeSaudeSchema = new mongoose.Schema({
+  // Identificador estável do teste (ex.: displasia-cotovelo, dna-pra-prcd)
+  codigo: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  descricao: {
+    type: String,
+    trim: true
+  },
+  tipo: {
+    type: String,
+    enum: TIPOS_TESTE,
+    required: true
+  },
+  // Resultados aceitos, do melhor para o pior
+  resultadosPossiveis: {
+    type: [String],
+    validate: {
+      validator: resultados => resultados.length > 0,
+      message: 'Informe ao menos um resultado possível'
+    }
+  },
+  // Combinações de resultados permitidas no cruzamento (sem matriz, o teste não restringe pares)
+  matrizPareamento: {
+    type: Map,
+    of: Map
+  },
+  // Severidade de uma combinação não permitida (bloqueante ou alerta)
+  severidade: {
+    type: String,
+    enum: ['bloqueante', 'alerta'],
+    default: 'bloqueante'
+  },
+  // Raças às quais o teste se aplica (vazio = todas)
+  racas: {
+    type: [String],
+    default: []
+  },
+  // Se obrigatório, a falta de resultado em um dos pets gera alerta
+  obrigatorio: {
+    type: Boolean,
+    default: false
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Sem matriz informada, testes genéticos só permitem pares em que ao menos um pet é livre
+// (portador x portador, portador x afetado e afetado x afetado são bloqueados)
+testeSaudeSchema.pre('validate', function(next) {
+  if (this.tipo === 'genetico' && (!this.resultadosPossiveis || this.resultadosPossiveis.length === 0)) {
+    this.resultadosPossiveis = RESULTADOS_GENETICOS;
+  }
+  
+  if (this.tipo === 'genetico' && !this.matrizPareamento) {
+    this.matrizPareamento = montarMatriz(this.resultadosPossiveis, (r1, r2) =>
+      r1 === 'livre' || r2 === 'livre');
+  }
+  
+  next();
+});
+
+/**
+ * Catálogo inicial, criado quando ainda não existe nenhum teste cadastrado
+ */
+testeSaudeSchema.statics.CATALOGO_PADRAO = [
+  {
+    codigo: CODIGO_DISPLASIA,
+    nome: 'Displasia coxofemoral',
+    descricao: 'Grau FCI (A-E); o pareamento segue matrizDisplasia dos parâmetros',
+    tipo: 'grau',
+    resultadosPossiveis: ['A', 'B', 'C', 'D', 'E'],
+    obrigatorio: true
+  },
+  {
+    codigo: 'displasia-cotovelo',
+    nome: 'Displasia de cotovelo',
+    descricao: 'Grau IEWG (0-3)',
+    tipo: 'grau',
+    resultadosPossiveis: ['0', '1', '2', '3'],
+    matrizPareamento: montarMatriz(['0', '1', '2', '3'], (r1, r2) =>
+      Number(r1) + Number(r2) <= 1)
+  },
+  {
+    codigo: 'patela',
+    nome: 'Luxação de patela',
+    descricao: 'Grau 0-4',
+    tipo: 'grau',
+    resultadosPossiveis: ['0', '1', '2', '3', '4'],
+    matrizPareamento: montarMatriz(['0', '1', '2', '3', '4'], (r1, r2) =>
+      Number(r1) <= 1 && Number(r2) <= 1)
+  },
+  {
+    codigo: 'olhos',
+    nome: 'Certificação oftalmológica',
+    descricao: 'Exame oftalmológico anual',
+    tipo: 'certificacao',
+    resultadosPossiveis: ['livre', 'afetado'],
+    matrizPareamento: montarMatriz(['livre', 'afetado'], (r1, r2) =>
+      r1 === 'livre' && r2 === 'livre'),
+    severidade: 'alerta'
+  },
+  {
+    codigo: 'dna-pra-prcd',
+    nome: 'DNA - Atrofia progressiva de retina (prcd-PRA)',
+    tipo: 'genetico'
+  }
+];
+
+/**
+ * Carrega os testes ativos do catálogo, criando o catálogo padrão se ainda estiver vazio
+ * @returns {Promise<Array>} - Testes ativos
+ */
+testeSaudeSchema.statics.carregarCatalogo = async function() {
+  if (await this.estimatedDocumentCount() === 0) {
+    try {
+      await this.create(this.CATALOGO_PADRAO);
+    } catch (error) {
+      // Outra requisição criou o catálogo ao mesmo tempo
+      if (error.code !== 11000) throw error;
+    }
+  }
+  
+  return await this.find({ ativo: true }).sort({ codigo: 1 });
+};
+
+testeSaudeSchema.statics.CODIGO_DISPLASIA = CODIGO_DISPLASIA;
+testeSaudeSchema.statics.montarMatriz = montarMatriz;
+
+const TesteSaude = mongoose.model('TesteSaude', testeSaudeSchema);
+
+module.exports = TesteSaude;
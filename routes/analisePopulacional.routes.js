@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const analisePopulacionalController = require('../controllers/analisePopulacional.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route POST /api/analises-populacionais/:raca
+ * @desc Inicia a análise de genética populacional da raça (ou reaproveita uma análise recente)
+ * @query atualizar - true para ignorar o cache e recalcular
+ * @access Private (Admin)
+ */
+router.post('/:raca', authMiddleware.verifyToken, authMiddleware.isAdmin, analisePopulacionalController.solicitarAnalise);
+
+/**
+ * @route GET /api/analises-populacionais/:raca
+ * @desc Obtém a análise mais recente da raça: COI individual, tamanho efetivo, perda de ancestrais,
+ * reprodutores mais usados, displasia e tendências por ano de nascimento
+ * @access Private (Admin)
+ */
+router.get('/:raca', authMiddleware.verifyToken, authMiddleware.isAdmin, analisePopulacionalController.getAnalise);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const certificadoPedigreeController = require('../controllers/certificadoPedigree.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route GET /api/certificados/:codigo/verificar
+ * @desc Verifica se o certificado é autêntico e se os dados do pet não mudaram desde a emissão
+ * (retorna apenas dados públicos do pet, sem proprietário nem microchip)
+ * @access Public
+ */
+router.get('/:codigo/verificar', certificadoPedigreeController.verificarCertificado);
+
+/**
+ * @route GET /api/certificados/:codigo
+ * @desc Reimprime um certificado emitido (os certificados são emitidos em POST /api/pets/:id/certificado)
+ * @query formato - html (padrão) ou pdf
+ * @access Private (Emissor ou Admin)
+ */
+router.get('/:codigo', authMiddleware.verifyToken, certificadoPedigreeController.getCertificado);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const locoGeneticoController = require('../controllers/locoGenetico.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route GET /api/loci-geneticos
+ * @desc Lista os loci genéticos
+ * @query raca - Apenas os loci que valem para a raça (padrão substituído pelas definições da raça)
+ * @access Private
+ */
+router.get('/', authMiddleware.verifyToken, locoGeneticoController.listarLoci);
+
+/**
+ * @route GET /api/loci-geneticos/:codigo
+ * @desc Obtém um locus genético, com alelos, fenótipos e epistasia
+ * @query raca - Definição específica da raça (padrão: definição geral)
+ * @access Private
+ */
+router.get('/:codigo', authMiddleware.verifyToken, locoGeneticoController.getLoco);
+
+/**
+ * @route POST /api/loci-geneticos
+ * @desc Cadastra um locus genético (com raca, substitui o locus padrão de mesmo código nessa raça)
+ * @access Private (Admin)
+ */
+router.post('/', authMiddleware.verifyToken, authMiddleware.isAdmin, locoGeneticoController.criarLoco);
+
+/**
+ * @route PUT /api/loci-geneticos/:codigo
+ * @desc Atualiza alelos, fenótipos e epistasia de um locus genético
+ * @query raca - Definição específica da raça (padrão: definição geral)
+ * @access Private (Admin)
+ */
+router.put('/:codigo', authMiddleware.verifyToken, authMiddleware.isAdmin, locoGeneticoController.atualizarLoco);
+
+/**
+ * @route DELETE /api/loci-geneticos/:codigo
+ * @desc Remove um locus genético (removendo a definição de uma raça, vale a definição padrão)
+ * @query raca - Definição específica da raça (padrão: definição geral)
+ * @access Private (Admin)
+ */
+router.delete('/:codigo', authMiddleware.verifyToken, authMiddleware.isAdmin, locoGeneticoController.removerLoco);
+
+module.exports = router;
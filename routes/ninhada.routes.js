@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const ninhadaController = require('../controllers/ninhada.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route POST /api/ninhadas
+ * @desc Registra uma ninhada (cruzamento realizado) entre dois pets
+ * @access Private
+ */
+router.post('/', authMiddleware.verifyToken, ninhadaController.registrarNinhada);
+
+/**
+ * @route GET /api/ninhadas/:id
+ * @desc Obtém uma ninhada com seus filhotes
+ * @access Private
+ */
+router.get('/:id', authMiddleware.verifyToken, ninhadaController.getNinhada);
+
+/**
+ * @route PUT /api/ninhadas/:id
+ * @desc Atualiza os dados do parto (data, nascidos, vivos) e observações
+ * @access Private
+ */
+router.put('/:id', authMiddleware.verifyToken, ninhadaController.atualizarNinhada);
+
+/**
+ * @route POST /api/ninhadas/:id/filhotes
+ * @desc Cadastra um filhote na ninhada (pai, mãe, raça e nascimento são preenchidos automaticamente)
+ * @access Private
+ */
+router.post('/:id/filhotes', authMiddleware.verifyToken, ninhadaController.adicionarFilhote);
+
+module.exports = router;
@@ -10,13 +10,44 @@ const authMiddleware = require('../middlewares/auth.middleware');
  */
 router.post('/compatibilidade', authMiddleware.verifyToken, parametrosPetController.verificarCompatibilidade);
 
+/**
+ * @route POST /api/parametros-pet/compatibilidade/matriz
+ * @desc Avalia todos os pares entre padreadores e matrizes ({ padreadores: [ids], matrizes: [ids] })
+ * @query formato - json (padrão) ou csv
+ * @query apenasCompativeis - true para retornar só os pares compatíveis, da maior para a menor pontuação
+ * @access Private
+ */
+router.post('/compatibilidade/matriz', authMiddleware.verifyToken, parametrosPetController.calcularMatrizCompatibilidade);
+
+/**
+ * @route POST /api/parametros-pet/heranca
+ * @desc Prevê a distribuição de genótipos e fenótipos (cor de pelagem e outras características)
+ * dos filhotes de dois pets, junto com a compatibilidade do par
+ * @access Private
+ */
+router.post('/heranca', authMiddleware.verifyToken, parametrosPetController.preverHeranca);
+
 /**
  * @route POST /api/parametros-pet/consanguinidade
- * @desc Calcula o coeficiente de consanguinidade entre dois pets
+ * @desc Calcula o COI projetado da ninhada de dois pets
  * @access Private
  */
 router.post('/consanguinidade', authMiddleware.verifyToken, parametrosPetController.calcularConsanguinidade);
 
+/**
+ * @route GET /api/parametros-pet/consanguinidade/pet/:petId
+ * @desc Calcula o COI individual de um pet a partir do seu pai e da sua mãe
+ * @access Private
+ */
+router.get('/consanguinidade/pet/:petId', authMiddleware.verifyToken, parametrosPetController.calcularConsanguinidadeIndividual);
+
+/**
+ * @route POST /api/parametros-pet/parentesco
+ * @desc Calcula o coeficiente de parentesco entre dois pets
+ * @access Private
+ */
+router.post('/parentesco', authMiddleware.verifyToken, parametrosPetController.calcularParentesco);
+
 /**
  * @route POST /api/parametros-pet/displasia
  * @desc Verifica compatibilidade de displasia entre dois pets
@@ -33,9 +64,72 @@ router.get('/', authMiddleware.verifyToken, parametrosPetController.getParametro
 
 /**
  * @route PUT /api/parametros-pet
- * @desc Atualiza os parâmetros do sistema
+ * @desc Atualiza os parâmetros do sistema (gerando uma nova versão)
  * @access Private (Admin)
  */
 router.put('/', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.atualizarParametros);
 
+/**
+ * @route GET /api/parametros-pet/versoes
+ * @desc Lista o histórico de versões dos parâmetros (globais ou de uma raça via ?raca=)
+ * @access Private (Admin)
+ */
+router.get('/versoes', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.listarVersoes);
+
+/**
+ * @route GET /api/parametros-pet/versoes/:id
+ * @desc Obtém uma versão específica dos parâmetros
+ * @access Private (Admin)
+ */
+router.get('/versoes/:id', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.getVersao);
+
+/**
+ * @route GET /api/parametros-pet/versoes/:id/diff/:outraId
+ * @desc Compara duas versões dos parâmetros
+ * @access Private (Admin)
+ */
+router.get('/versoes/:id/diff/:outraId', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.compararVersoes);
+
+/**
+ * @route POST /api/parametros-pet/versoes/:id/restaurar
+ * @desc Restaura uma versão antiga (criando uma nova versão com o mesmo conteúdo)
+ * @access Private (Admin)
+ */
+router.post('/versoes/:id/restaurar', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.restaurarVersao);
+
+/**
+ * @route GET /api/parametros-pet/racas
+ * @desc Lista os parâmetros específicos de cada raça
+ * @access Private
+ */
+router.get('/racas', authMiddleware.verifyToken, parametrosPetController.listarParametrosRacas);
+
+/**
+ * @route GET /api/parametros-pet/racas/:raca
+ * @desc Obtém os parâmetros de uma raça
+ * @access Private
+ */
+router.get('/racas/:raca', authMiddleware.verifyToken, parametrosPetController.getParametrosRaca);
+
+/**
+ * @route POST /api/parametros-pet/racas/:raca
+ * @desc Cria os parâmetros de uma raça (partindo dos parâmetros globais)
+ * @access Private (Admin)
+ */
+router.post('/racas/:raca', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.criarParametrosRaca);
+
+/**
+ * @route PUT /api/parametros-pet/racas/:raca
+ * @desc Atualiza os parâmetros de uma raça
+ * @access Private (Admin)
+ */
+router.put('/racas/:raca', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.atualizarParametrosRaca);
+
+/**
+ * @route DELETE /api/parametros-pet/racas/:raca
+ * @desc Remove os parâmetros de uma raça (volta a usar os parâmetros globais)
+ * @access Private (Admin)
+ */
+router.delete('/racas/:raca', authMiddleware.verifyToken, authMiddleware.isAdmin, parametrosPetController.removerParametrosRaca);
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const Pet = require('../models/Pet');
+const pedigreeService = require('../services/pedigree.service');
+const parametrosPetService = require('../services/parametrosPet.service');
+const ninhadaService = require('../services/ninhada.service');
+const cicloCioService = require('../services/cicloCio.service');
+const solicitacaoCruzamentoService = require('../services/solicitacaoCruzamento.service');
+const testeSaudeService = require('../services/testeSaude.service');
+const locoGeneticoService = require('../services/locoGenetico.service');
+const importacaoPedigreeService = require('../services/importacaoPedigree.service');
+const certificadoPedigreeService = require('../services/certificadoPedigree.service');
+const identificacaoPetService = require('../services/identificacaoPet.service');
 const authMiddleware = require('../middlewares/auth.middleware');
 
+// Tamanho máximo do arquivo de importação de pedigrees, igual para CSV e JSON
+const LIMITE_ARQUIVO_IMPORTACAO = '2mb';
+
 // Middleware para tratamento de erros
 const asyncHandler = fn => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -25,9 +38,50 @@ router.get('/', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route GET /api/pets/disponiveis
+ * @desc Lista os pets de outros proprietários disponíveis para cruzamento
+ * @query raca, genero
+ * @access Private
+ */
+router.get('/disponiveis', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const { raca, genero } = req.query;
+  const pets = await solicitacaoCruzamentoService.listarDisponiveis({ raca, genero }, req.user);
+  
+  res.status(200).json({
+    success: true,
+    count: pets.length,
+    data: pets
+  });
+}));
+
+/**
+ * @route GET /api/pets/identificacao
+ * @desc Busca um pet ativo pelo microchip ou pelo registro oficial e retorna o seu perfil público
+ * (sem dados do proprietário)
+ * @query microchip ou registroOficial
+ * @access Private
+ */
+router.get('/identificacao', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const { microchip, registroOficial } = req.query;
+  const pet = await identificacaoPetService.buscarPorIdentificacao({ microchip, registroOficial });
+  
+  if (!pet) {
+    return res.status(404).json({
+      success: false,
+      message: 'Nenhum pet ativo encontrado com esta identificação'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: pet
+  });
+}));
+
 /**
  * @route GET /api/pets/:id
- * @desc Obtém detalhes de um pet específico
+ * @desc Obtém detalhes de um pet específico, incluindo as ninhadas que produziu
  * @access Private
  */
 router.get('/:id', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
@@ -43,21 +97,406 @@ router.get('/:id', authMiddleware.verifyToken, asyncHandler(async (req, res) =>
     });
   }
   
+  const ninhadas = await ninhadaService.listarNinhadasDoPet(pet._id);
+  
   res.status(200).json({
     success: true,
-    data: pet
+    data: {
+      ...pet.toObject(),
+      ninhadas
+    }
+  });
+}));
+
+/**
+ * @route GET /api/pets/:id/pedigree
+ * @desc Obtém o pedigree (árvore pai/mãe) de um pet até N gerações
+ * @query geracoes - Número de gerações (padrão: geracoesConsanguinidade dos parâmetros)
+ * @access Private
+ */
+router.get('/:id/pedigree', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  let geracoes;
+  
+  if (req.query.geracoes !== undefined) {
+    geracoes = parseInt(req.query.geracoes, 10);
+    
+    if (isNaN(geracoes) || geracoes < 1 || geracoes > 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'O número de gerações deve estar entre 1 e 10'
+      });
+    }
+  }
+  
+  const resultado = await pedigreeService.montarPedigree(req.params.id, geracoes);
+  
+  if (!resultado) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: resultado
+  });
+}));
+
+/**
+ * @route GET /api/pets/:id/pedigree/export
+ * @desc Exporta o pedigree do pet até N gerações (formato json, csv, gedcom ou dot);
+ * no DOT, ancestrais que aparecem mais de uma vez são destacados
+ * @query formato - json (padrão), csv, gedcom ou dot
+ * @query geracoes - Número de gerações (padrão: geracoesConsanguinidade dos parâmetros)
+ * @access Private
+ */
+router.get('/:id/pedigree/export', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  let geracoes;
+  
+  if (req.query.geracoes !== undefined) {
+    geracoes = parseInt(req.query.geracoes, 10);
+    
+    if (isNaN(geracoes) || geracoes < 1 || geracoes > 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'O número de gerações deve estar entre 1 e 10'
+      });
+    }
+  }
+  
+  const formato = (req.query.formato || 'json').toLowerCase();
+  const exportacao = await pedigreeService.exportarPedigree(req.params.id, formato, geracoes);
+  
+  if (!exportacao) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  if (formato === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: exportacao.conteudo
+    });
+  }
+  
+  res.set('Content-Type', exportacao.tipoConteudo);
+  res.set('Content-Disposition', `attachment; filename="${exportacao.nomeArquivo}"`);
+  res.status(200).send(exportacao.conteudo);
+}));
+
+/**
+ * @route POST /api/pets/:id/certificado
+ * @desc Emite o certificado de pedigree do pet (com código de verificação) e devolve o documento para impressão
+ * @query formato - html (padrão) ou pdf
+ * @query geracoes - 4 (padrão) ou 5
+ * @access Private (Proprietário ou Admin)
+ */
+router.post('/:id/certificado', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const formato = (req.query.formato || 'html').toLowerCase();
+  
+  if (!['html', 'pdf'].includes(formato)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Formato inválido. Use: html, pdf'
+    });
+  }
+  
+  const geracoes = req.query.geracoes !== undefined ? parseInt(req.query.geracoes, 10) : 4;
+  const certificado = await certificadoPedigreeService.emitirCertificado(req.params.id, geracoes, req.user);
+  
+  if (!certificado) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  const documento = certificadoPedigreeService.renderizar(certificado, formato);
+  
+  res.set('Content-Type', documento.tipoConteudo);
+  res.set('Content-Disposition', `${formato === 'pdf' ? 'attachment' : 'inline'}; filename="${documento.nomeArquivo}"`);
+  res.set('X-Codigo-Verificacao', certificado.codigo);
+  res.status(201).send(documento.conteudo);
+}));
+
+/**
+ * @route GET /api/pets/:id/parceiros-sugeridos
+ * @desc Lista parceiros compatíveis para um pet, ordenados pela menor consanguinidade
+ * @query page, limit, proprietario, idadeMinima, idadeMaxima, consanguinidadeMaxima
+ * @access Private
+ */
+router.get('/:id/parceiros-sugeridos', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, proprietario } = req.query;
+  const filtros = { proprietario };
+  
+  for (const campo of ['idadeMinima', 'idadeMaxima', 'consanguinidadeMaxima']) {
+    if (req.query[campo] === undefined) continue;
+    
+    const valor = parseFloat(req.query[campo]);
+    if (isNaN(valor) || valor < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Filtro ${campo} inválido`
+      });
+    }
+    
+    filtros[campo] = valor;
+  }
+  
+  const resultado = await parametrosPetService.sugerirParceiros(req.params.id, filtros, page, limit);
+  
+  if (!resultado) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    count: resultado.candidatos.length,
+    data: resultado.candidatos,
+    pagination: resultado.pagination
+  });
+}));
+
+/**
+ * @route GET /api/pets/:id/calendario
+ * @desc Calendário reprodutivo de uma fêmea: cios anteriores, cios previstos e janelas de cruzamento
+ * @query previsoes - Quantidade de cios futuros a prever (padrão: 3)
+ * @access Private
+ */
+router.get('/:id/calendario', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const previsoes = req.query.previsoes !== undefined ? parseInt(req.query.previsoes, 10) : 3;
+  
+  if (isNaN(previsoes) || previsoes < 1 || previsoes > 12) {
+    return res.status(400).json({
+      success: false,
+      message: 'A quantidade de previsões deve estar entre 1 e 12'
+    });
+  }
+  
+  const calendario = await cicloCioService.montarCalendario(req.params.id, previsoes);
+  
+  if (!calendario) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: calendario
+  });
+}));
+
+/**
+ * @route POST /api/pets/:id/ciclos
+ * @desc Registra um cio da fêmea (dataInicio, dataFim, observacoes)
+ * @access Private
+ */
+router.post('/:id/ciclos', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const ciclo = await cicloCioService.registrarCiclo(req.params.id, req.body, req.user);
+  
+  if (!ciclo) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: ciclo
+  });
+}));
+
+/**
+ * @route PUT /api/pets/:id/ciclos/:cicloId
+ * @desc Atualiza um cio registrado (por exemplo, informando a data de término)
+ * @access Private
+ */
+router.put('/:id/ciclos/:cicloId', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const ciclo = await cicloCioService.atualizarCiclo(req.params.id, req.params.cicloId, req.body, req.user);
+  
+  if (!ciclo) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet ou cio não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: ciclo
+  });
+}));
+
+/**
+ * @route GET /api/pets/:id/testes-saude
+ * @desc Lista os resultados de testes de saúde do pet, agrupados por teste
+ * @access Private
+ */
+router.get('/:id/testes-saude', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const resultados = await testeSaudeService.listarResultados(req.params.id);
+  
+  if (!resultados) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: resultados
+  });
+}));
+
+/**
+ * @route POST /api/pets/:id/testes-saude
+ * @desc Registra o resultado de um teste de saúde do catálogo (teste, resultado, data, laboratorio)
+ * @access Private
+ */
+router.post('/:id/testes-saude', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const resultados = await testeSaudeService.registrarResultado(req.params.id, req.body || {}, req.user);
+  
+  if (!resultados) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: resultados
+  });
+}));
+
+/**
+ * @route GET /api/pets/:id/genotipos
+ * @desc Lista os genótipos conhecidos do pet, com o fenótipo de cada locus
+ * @access Private
+ */
+router.get('/:id/genotipos', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const genotipos = await locoGeneticoService.listarGenotipos(req.params.id);
+  
+  if (!genotipos) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: genotipos
+  });
+}));
+
+/**
+ * @route PUT /api/pets/:id/genotipos
+ * @desc Registra genótipos do pet ({ genotipos: [{ loco, alelos | genotipo, laboratorio, data }] })
+ * @access Private
+ */
+router.put('/:id/genotipos', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const genotipos = await locoGeneticoService.registrarGenotipos(
+    req.params.id,
+    (req.body || {}).genotipos,
+    req.user
+  );
+  
+  if (!genotipos) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: genotipos
+  });
+}));
+
+/**
+ * @route PUT /api/pets/:id/disponibilidade
+ * @desc Marca ou desmarca o pet como disponível para cruzamento (disponivel, termos, observacoes)
+ * @access Private
+ */
+router.put('/:id/disponibilidade', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  const pet = await solicitacaoCruzamentoService.definirDisponibilidade(req.params.id, req.body || {}, req.user);
+  
+  if (!pet) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pet não encontrado'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: pet.disponibilidadeReproducao
+  });
+}));
+
+/**
+ * @route POST /api/pets/importar
+ * @desc Importa pets e pedigrees em lote: CSV (Content-Type text/csv, com cabeçalho) ou JSON
+ * ({ pets: [...] }). Pai e mãe são identificados por registro, microchip ou nome + data de nascimento
+ * (colunas paiRegistro, paiMicrochip, paiNome, paiDataNascimento e equivalentes para mae)
+ * @query simular - true para apenas validar e obter o relatório por linha, sem gravar
+ * @access Private
+ */
+router.post('/importar', authMiddleware.verifyToken,
+  express.json({ limit: LIMITE_ARQUIVO_IMPORTACAO }),
+  express.text({ type: 'text/csv', limit: LIMITE_ARQUIVO_IMPORTACAO }),
+  asyncHandler(async (req, res) => {
+  const registros = typeof req.body === 'string'
+    ? importacaoPedigreeService.lerCsv(req.body)
+    : (Array.isArray(req.body) ? req.body : (req.body || {}).pets);
+  
+  const relatorio = await importacaoPedigreeService.importar(registros, req.user, {
+    simular: req.query.simular === 'true'
+  });
+  
+  res.status(relatorio.simulacao ? 200 : 201).json({
+    success: true,
+    data: relatorio
   });
 }));
 
 /**
  * @route POST /api/pets
- * @desc Cadastra um novo pet
+ * @desc Cadastra um novo pet (displasia como grau A-E ou { esquema, valor } em FCI, OFA ou BVA)
  * @access Private
  */
 router.post('/', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
   // Define o proprietário como o usuário atual
   req.body.proprietario = req.user.id;
   
+  // Converte a displasia informada em FCI, OFA ou BVA para o grau A-E
+  await parametrosPetService.prepararDisplasia(req.body, req.body.raca);
+  
+  // Valida pais, datas, espécie, raça e ciclos antes de gravar
+  const erros = await Pet.validarPedigree(req.body);
+  
+  if (erros.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: 'Pedigree inválido',
+      erros
+    });
+  }
+  
+  // Microchip e registro oficial: formato válido e únicos entre os pets ativos (409 se duplicados)
+  await identificacaoPetService.garantirIdentificacao(req.body);
+  
   const novoPet = await Pet.create(req.body);
   
   res.status(201).json({
@@ -68,11 +507,11 @@ router.post('/', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
 
 /**
  * @route PUT /api/pets/:id
- * @desc Atualiza um pet existente
+ * @desc Atualiza um pet existente (displasia como grau A-E ou { esquema, valor } em FCI, OFA ou BVA)
  * @access Private
  */
 router.put('/:id', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
-  let pet = await Pet.findById(req.params.id);
+  const pet = await Pet.findById(req.params.id);
   
   if (!pet) {
     return res.status(404).json({
@@ -89,10 +528,26 @@ router.put('/:id', authMiddleware.verifyToken, asyncHandler(async (req, res) =>
     });
   }
   
-  pet = await Pet.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  // Converte a displasia informada em FCI, OFA ou BVA para o grau A-E
+  await parametrosPetService.prepararDisplasia(req.body, req.body.raca || pet.raca);
+  
+  pet.set(req.body);
+  
+  // Valida o pedigree resultante (dados atuais mesclados com as alterações)
+  const erros = await Pet.validarPedigree(pet.toObject());
+  
+  if (erros.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: 'Pedigree inválido',
+      erros
+    });
+  }
+  
+  // Apenas as identificações alteradas: valores antigos que não mudaram não bloqueiam a atualização
+  await identificacaoPetService.garantirIdentificacao(pet);
+  
+  await pet.save();
   
   res.status(200).json({
     success: true,
@@ -147,10 +602,7 @@ router.get('/proprietario/:id', authMiddleware.verifyToken, asyncHandler(async (
     });
   }
   
-  const pets = await Pet.find({ 
-    proprietario: req.params.id,
-    ativo: true 
-  });
+  const pets = await Pet.find(Pet.filtroProprietario(req.params.id));
   
   res.status(200).json({
     success: true,
@@ -159,6 +611,39 @@ router.get('/proprietario/:id', authMiddleware.verifyToken, asyncHandler(async (
   });
 }));
 
+/**
+ * @route GET /api/pets/proprietario/:id/cios
+ * @desc Lista os próximos cios previstos (ou em andamento) das fêmeas de um proprietário
+ * @query dias - Horizonte em dias (padrão: 60)
+ * @access Private
+ */
+router.get('/proprietario/:id/cios', authMiddleware.verifyToken, asyncHandler(async (req, res) => {
+  // Verifica se o usuário está buscando seus próprios pets ou é admin
+  if (req.params.id !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Usuário não autorizado a visualizar estes pets'
+    });
+  }
+  
+  const dias = req.query.dias !== undefined ? parseInt(req.query.dias, 10) : 60;
+  
+  if (isNaN(dias) || dias < 1 || dias > 730) {
+    return res.status(400).json({
+      success: false,
+      message: 'O horizonte deve estar entre 1 e 730 dias'
+    });
+  }
+  
+  const cios = await cicloCioService.listarProximosCios(req.params.id, dias);
+  
+  res.status(200).json({
+    success: true,
+    count: cios.length,
+    data: cios
+  });
+}));
+
 /**
  * @route GET /api/pets/raca/:raca
  * @desc Lista todos os pets de uma raça específica
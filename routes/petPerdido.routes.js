@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const petPerdidoController = require('../controllers/petPerdido.controller');
+const rateLimit = require('express-rate-limit');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+// Avistamentos são enviados sem autenticação: limite próprio, além do limite geral da API
+const limiteAvistamentos = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 10, // limita cada IP a 10 avistamentos por hora
+  message: {
+    success: false,
+    message: 'Muitos avistamentos enviados. Tente novamente mais tarde.'
+  }
+});
+
+/**
+ * @route POST /api/pets-perdidos
+ * @desc Marca um pet do usuário como perdido ({ pet, vistoPorUltimo: { local, data }, preferenciasContato })
+ * @access Private (Proprietário ou Admin)
+ */
+router.post('/', authMiddleware.verifyToken, petPerdidoController.marcarPerdido);
+
+/**
+ * @route GET /api/pets-perdidos
+ * @desc Lista pública dos pets perdidos (sem dados do proprietário)
+ * @query page, limit, especie, raca, cidade, estado, bairro
+ * @access Public
+ */
+router.get('/', petPerdidoController.listarPerdidos);
+
+/**
+ * @route GET /api/pets-perdidos/meus
+ * @desc Lista os casos do usuário, com os avistamentos e os contatos deixados pelos informantes
+ * @query status - perdido ou encontrado
+ * @access Private
+ */
+router.get('/meus', authMiddleware.verifyToken, petPerdidoController.listarMeusCasos);
+
+/**
+ * @route GET /api/pets-perdidos/notificacoes
+ * @desc Lista os avistamentos ainda não lidos dos casos abertos do usuário
+ * @access Private
+ */
+router.get('/notificacoes', authMiddleware.verifyToken, petPerdidoController.listarNotificacoes);
+
+/**
+ * @route GET /api/pets-perdidos/pet/:petId
+ * @desc Histórico de casos (abertos e encerrados) de um pet
+ * @access Private (Proprietário ou Admin)
+ */
+router.get('/pet/:petId', authMiddleware.verifyToken, petPerdidoController.historicoPet);
+
+/**
+ * @route GET /api/pets-perdidos/microchip/:microchip
+ * @desc Consulta, pelo microchip lido, se o pet encontrado está perdido
+ * @access Public
+ */
+router.get('/microchip/:microchip', petPerdidoController.consultarMicrochip);
+
+/**
+ * @route POST /api/pets-perdidos/microchip/:microchip/avistamentos
+ * @desc Informa um avistamento identificando o pet pelo microchip; o proprietário é notificado
+ * @access Public
+ */
+router.post('/microchip/:microchip/avistamentos', limiteAvistamentos, petPerdidoController.registrarAvistamentoPorMicrochip);
+
+/**
+ * @route GET /api/pets-perdidos/:id
+ * @desc Obtém o cartão público de um caso
+ * @access Public
+ */
+router.get('/:id', petPerdidoController.getCasoPublico);
+
+/**
+ * @route PUT /api/pets-perdidos/:id
+ * @desc Atualiza o local e a data em que o pet foi visto pela última vez e as preferências de contato
+ * @access Private (Proprietário ou Admin)
+ */
+router.put('/:id', authMiddleware.verifyToken, petPerdidoController.atualizarCaso);
+
+/**
+ * @route POST /api/pets-perdidos/:id/avistamentos
+ * @desc Informa um avistamento do pet; o proprietário é notificado
+ * @access Public
+ */
+router.post('/:id/avistamentos', limiteAvistamentos, petPerdidoController.registrarAvistamento);
+
+/**
+ * @route PUT /api/pets-perdidos/:id/avistamentos/lidos
+ * @desc Marca como lidos os avistamentos de um caso
+ * @access Private (Proprietário ou Admin)
+ */
+router.put('/:id/avistamentos/lidos', authMiddleware.verifyToken, petPerdidoController.marcarAvistamentosLidos);
+
+/**
+ * @route PUT /api/pets-perdidos/:id/encontrado
+ * @desc Marca o pet como encontrado, encerrando o caso (mantido no histórico)
+ * @access Private (Proprietário ou Admin)
+ */
+router.put('/:id/encontrado', authMiddleware.verifyToken, petPerdidoController.marcarEncontrado);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const planoCruzamentoController = require('../controllers/planoCruzamento.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route POST /api/planos-cruzamento
+ * @desc Cria um plano de cruzamento
+ * @access Private
+ */
+router.post('/', authMiddleware.verifyToken, planoCruzamentoController.criarPlano);
+
+/**
+ * @route GET /api/planos-cruzamento
+ * @desc Lista os planos de cruzamento do usuário
+ * @access Private
+ */
+router.get('/', authMiddleware.verifyToken, planoCruzamentoController.listarPlanos);
+
+/**
+ * @route GET /api/planos-cruzamento/:id
+ * @desc Obtém um plano de cruzamento com seus pets virtuais
+ * @access Private (Dono do plano ou Admin)
+ */
+router.get('/:id', authMiddleware.verifyToken, planoCruzamentoController.getPlano);
+
+/**
+ * @route PUT /api/planos-cruzamento/:id
+ * @desc Atualiza nome e descrição de um plano de cruzamento
+ * @access Private (Dono do plano ou Admin)
+ */
+router.put('/:id', authMiddleware.verifyToken, planoCruzamentoController.atualizarPlano);
+
+/**
+ * @route DELETE /api/planos-cruzamento/:id
+ * @desc Remove um plano de cruzamento
+ * @access Private (Dono do plano ou Admin)
+ */
+router.delete('/:id', authMiddleware.verifyToken, planoCruzamentoController.removerPlano);
+
+/**
+ * @route POST /api/planos-cruzamento/:id/pets
+ * @desc Adiciona um pet virtual ao plano; pai e mãe são referências { tipo: 'real' | 'virtual', id }
+ * @access Private (Dono do plano ou Admin)
+ */
+router.post('/:id/pets', authMiddleware.verifyToken, planoCruzamentoController.adicionarPetVirtual);
+
+/**
+ * @route DELETE /api/planos-cruzamento/:id/pets/:virtualId
+ * @desc Remove um pet virtual do plano (se não for genitor de outro pet virtual)
+ * @access Private (Dono do plano ou Admin)
+ */
+router.delete('/:id/pets/:virtualId', authMiddleware.verifyToken, planoCruzamentoController.removerPetVirtual);
+
+/**
+ * @route POST /api/planos-cruzamento/:id/avaliar
+ * @desc Avalia a compatibilidade de um par ({ pet1, pet2 }, cada um real ou virtual); com dataCruzamento,
+ * as idades são avaliadas na data planejada (sem ela, a idade dos pets virtuais não é avaliada)
+ * @access Private (Dono do plano ou Admin)
+ */
+router.post('/:id/avaliar', authMiddleware.verifyToken, planoCruzamentoController.avaliarPar);
+
+/**
+ * @route GET /api/planos-cruzamento/:id/pets/:virtualId/consanguinidade
+ * @desc Calcula o COI projetado de um pet virtual pela sua genealogia mista
+ * @access Private (Dono do plano ou Admin)
+ */
+router.get('/:id/pets/:virtualId/consanguinidade', authMiddleware.verifyToken, planoCruzamentoController.calcularConsanguinidade);
+
+/**
+ * @route POST /api/planos-cruzamento/:id/pets/:virtualId/converter
+ * @desc Converte um pet virtual em pet real após o nascimento (pai e mãe precisam ser reais)
+ * @access Private (Dono do plano ou Admin)
+ */
+router.post('/:id/pets/:virtualId/converter', authMiddleware.verifyToken, planoCruzamentoController.converterPetVirtual);
+
+module.exports = router;
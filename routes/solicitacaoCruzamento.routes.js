@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const solicitacaoCruzamentoController = require('../controllers/solicitacaoCruzamento.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route POST /api/solicitacoes-cruzamento
+ * @desc Envia uma solicitação de cruzamento de um pet do usuário para um pet disponível
+ * @access Private
+ */
+router.post('/', authMiddleware.verifyToken, solicitacaoCruzamentoController.criarSolicitacao);
+
+/**
+ * @route GET /api/solicitacoes-cruzamento/enviadas
+ * @desc Lista as solicitações enviadas pelo usuário
+ * @query status - Filtra por situação
+ * @access Private
+ */
+router.get('/enviadas', authMiddleware.verifyToken, solicitacaoCruzamentoController.listarEnviadas);
+
+/**
+ * @route GET /api/solicitacoes-cruzamento/recebidas
+ * @desc Lista as solicitações recebidas pelo usuário
+ * @query status - Filtra por situação
+ * @access Private
+ */
+router.get('/recebidas', authMiddleware.verifyToken, solicitacaoCruzamentoController.listarRecebidas);
+
+/**
+ * @route GET /api/solicitacoes-cruzamento/:id
+ * @desc Obtém uma solicitação (apenas proprietários envolvidos ou admin)
+ * @access Private
+ */
+router.get('/:id', authMiddleware.verifyToken, solicitacaoCruzamentoController.getSolicitacao);
+
+/**
+ * @route PUT /api/solicitacoes-cruzamento/:id/aceitar
+ * @desc Aceita uma solicitação pendente (proprietário do pet solicitado)
+ * @access Private
+ */
+router.put('/:id/aceitar', authMiddleware.verifyToken, solicitacaoCruzamentoController.aceitar);
+
+/**
+ * @route PUT /api/solicitacoes-cruzamento/:id/recusar
+ * @desc Recusa uma solicitação pendente (proprietário do pet solicitado)
+ * @access Private
+ */
+router.put('/:id/recusar', authMiddleware.verifyToken, solicitacaoCruzamentoController.recusar);
+
+/**
+ * @route PUT /api/solicitacoes-cruzamento/:id/cancelar
+ * @desc Cancela uma solicitação pendente (solicitante) ou aceita (qualquer dos proprietários)
+ * @access Private
+ */
+router.put('/:id/cancelar', authMiddleware.verifyToken, solicitacaoCruzamentoController.cancelar);
+
+/**
+ * @route PUT /api/solicitacoes-cruzamento/:id/concluir
+ * @desc Marca uma solicitação aceita como concluída (cruzamento realizado)
+ * @access Private
+ */
+router.put('/:id/concluir', authMiddleware.verifyToken, solicitacaoCruzamentoController.concluir);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const testeSaudeController = require('../controllers/testeSaude.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+/**
+ * @route GET /api/testes-saude
+ * @desc Lista o catálogo de testes de saúde
+ * @access Private
+ */
+router.get('/', authMiddleware.verifyToken, testeSaudeController.listarCatalogo);
+
+/**
+ * @route GET /api/testes-saude/:codigo
+ * @desc Obtém um teste de saúde do catálogo, com sua matriz de pareamento
+ * @access Private
+ */
+router.get('/:codigo', authMiddleware.verifyToken, testeSaudeController.getTeste);
+
+/**
+ * @route POST /api/testes-saude
+ * @desc Cadastra um teste de saúde no catálogo
+ * @access Private (Admin)
+ */
+router.post('/', authMiddleware.verifyToken, authMiddleware.isAdmin, testeSaudeController.criarTeste);
+
+/**
+ * @route PUT /api/testes-saude/:codigo
+ * @desc Atualiza um teste de saúde (resultados, matriz de pareamento, severidade, raças)
+ * @access Private (Admin)
+ */
+router.put('/:codigo', authMiddleware.verifyToken, authMiddleware.isAdmin, testeSaudeController.atualizarTeste);
+
+/**
+ * @route DELETE /api/testes-saude/:codigo
+ * @desc Remove um teste de saúde do catálogo
+ * @access Private (Admin)
+ */
+router.delete('/:codigo', authMiddleware.verifyToken, authMiddleware.isAdmin, testeSaudeController.removerTeste);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+/**
+ * Benchmark da montagem da árvore genealógica.
+ *
+ * Cria uma população fictícia com cruzamentos em linha (poucos reprodutores por
+ * geração, que reaparecem várias vezes no pedigree), compara a travessia antiga
+ * (um findById por ancestral) com a agregação $graphLookup e com a leitura do
+ * índice de ancestrais, e confere que todas produzem os mesmos ancestrais e
+ * gerações. Os pets criados são removidos ao final.
+ *
+ * Uso: npm run benchmark:genealogia -- [geracoes] [reprodutoresPorGeracao]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('../services/parametrosPet.service');
+
+const GERACOES = parseInt(process.argv[2], 10) || 10;
+const REPRODUTORES_POR_GERACAO = parseInt(process.argv[3], 10) || 64;
+const PREFIXO_REGISTRO = 'BENCHMARK-GENEALOGIA';
+const ANO_EM_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Gerador pseudoaleatório determinístico, para o fixture ser sempre o mesmo
+const criarAleatorio = (semente) => () => {
+  semente = (semente * 1103515245 + 12345) % 2147483648;
+  return semente / 2147483648;
+};
+
+/**
+ * Monta os documentos do fixture, dos fundadores até o pet raiz
+ * @returns {Object} - Documentos a inserir e ID do pet raiz
+ */
+const montarFixture = () => {
+  const aleatorio = criarAleatorio(42);
+  const proprietario = new mongoose.Types.ObjectId();
+  const documentos = [];
+  let geracaoAnterior = [];
+
+  for (let geracao = GERACOES; geracao >= 1; geracao--) {
+    const atual = [];
+
+    for (let i = 0; i < REPRODUTORES_POR_GERACAO; i++) {
+      const genero = i % 2 === 0 ? 'macho' : 'fêmea';
+      const machos = geracaoAnterior.filter(p => p.genero === 'macho');
+      const femeas = geracaoAnterior.filter(p => p.genero === 'fêmea');
+      const pai = machos.length ? machos[Math.floor(aleatorio() * machos.length)]._id : undefined;
+      const mae = femeas.length ? femeas[Math.floor(aleatorio() * femeas.length)]._id : undefined;
+
+      atual.push({
+        _id: new mongoose.Types.ObjectId(),
+        nome: `G${geracao}-${i}`,
+        raca: 'Benchmark',
+        genero,
+        dataNascimento: new Date(Date.now() - (geracao + 1) * 2 * ANO_EM_MS),
+        displasia: 'A',
+        proprietario,
+        registroOficial: `${PREFIXO_REGISTRO}-${geracao}-${i}`,
+        pai,
+        mae,
+        pais: [pai, mae].filter(Boolean),
+        ancestrais: Pet.calcularAncestrais(pai, mae, geracaoAnterior)
+      });
+    }
+
+    documentos.push(...atual);
+    geracaoAnterior = atual;
+  }
+
+  const pai = geracaoAnterior.find(p => p.genero === 'macho')._id;
+  const mae = geracaoAnterior.find(p => p.genero === 'fêmea')._id;
+  const raiz = {
+    _id: new mongoose.Types.ObjectId(),
+    nome: 'Raiz',
+    raca: 'Benchmark',
+    genero: 'macho',
+    dataNascimento: new Date(),
+    displasia: 'A',
+    proprietario,
+    registroOficial: `${PREFIXO_REGISTRO}-raiz`,
+    pai,
+    mae,
+    pais: [pai, mae],
+    ancestrais: Pet.calcularAncestrais(pai, mae, geracaoAnterior)
+  };
+  documentos.push(raiz);
+
+  return { documentos, raizId: raiz._id };
+};
+
+/**
+ * Travessia anterior: busca em largura com um findById por ancestral
+ * @param {String} petId - ID do pet
+ * @param {Number} geracoes - Número de gerações a considerar
+ * @returns {Promise<Map>} - Mapa de ancestrais (id -> {pet, geracao})
+ */
+const montarArvoreLegado = async (petId, geracoes) => {
+  const arvore = new Map();
+  const fila = [{ id: petId, geracao: 0 }];
+
+  while (fila.length > 0) {
+    const { id, geracao } = fila.shift();
+
+    if (geracao > geracoes) continue;
+    if (arvore.has(id.toString())) continue;
+
+    const pet = await Pet.findById(id);
+    if (!pet) continue;
+
+    arvore.set(id.toString(), { pet, geracao });
+
+    if (pet.pai) fila.push({ id: pet.pai, geracao: geracao + 1 });
+    if (pet.mae) fila.push({ id: pet.mae, geracao: geracao + 1 });
+  }
+
+  return arvore;
+};
+
+/**
+ * Mede o tempo de execução de uma função assíncrona
+ * @param {Function} fn - Função a medir
+ * @returns {Promise<Object>} - Resultado e duração em milissegundos
+ */
+const medir = async (fn) => {
+  const inicio = process.hrtime.bigint();
+  const resultado = await fn();
+  const duracao = Number(process.hrtime.bigint() - inicio) / 1e6;
+  return { resultado, duracao };
+};
+
+const executar = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { documentos, raizId } = montarFixture();
+  await Pet.collection.insertMany(documentos);
+
+  try {
+    // As agregações rodam primeiro para não se beneficiarem do cache aquecido pela travessia antiga
+    const indice = await medir(() => parametrosPetService.montarArvoreGenealogica(raizId, GERACOES));
+    const graphLookup = await medir(() => parametrosPetService.montarArvoreGenealogicaGraphLookup(raizId, GERACOES));
+    const legado = await medir(() => montarArvoreLegado(raizId, GERACOES));
+
+    console.log(`Gerações: ${GERACOES} | Reprodutores por geração: ${REPRODUTORES_POR_GERACAO}`);
+    console.log(`Ancestrais encontrados: ${legado.resultado.size}`);
+    console.log(`findById por ancestral: ${legado.duracao.toFixed(1)} ms`);
+
+    for (const [nome, medicao] of [['$graphLookup', graphLookup], ['Índice de ancestrais', indice]]) {
+      // Todas as travessias devem produzir os mesmos ancestrais com as mesmas gerações
+      const divergencias = [];
+      for (const [id, { geracao }] of legado.resultado) {
+        const encontrado = medicao.resultado.get(id);
+        if (!encontrado || encontrado.geracao !== geracao) {
+          divergencias.push(id);
+        }
+      }
+      if (legado.resultado.size !== medicao.resultado.size) {
+        divergencias.push('tamanho');
+      }
+
+      console.log(`${nome}: ${medicao.duracao.toFixed(1)} ms (${(legado.duracao / medicao.duracao).toFixed(1)}x)`);
+
+      if (divergencias.length > 0) {
+        console.error(`${nome}: resultados divergentes para`, divergencias);
+        process.exitCode = 1;
+      }
+    }
+
+    if (!process.exitCode) {
+      console.log('Resultados idênticos');
+    }
+  } finally {
+    await Pet.deleteMany({ registroOficial: { $regex: `^${PREFIXO_REGISTRO}` } });
+  }
+};
+
+executar()
+  .catch(error => {
+    console.error('Erro no benchmark da genealogia:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,162 @@
+/**
+ * Prepara os pets existentes para os índices únicos de microchip e registro oficial.
+ *
+ * 1. Normaliza os valores gravados antes da validação (microchip sem espaços, pontos
+ *    ou hífens; registro em maiúsculas, sem espaços repetidos).
+ * 2. Relata os valores que continuam fora do formato: não são alterados nem impedem
+ *    que o pet seja salvo, mas precisarão ser corrigidos na próxima edição do campo.
+ * 3. Relata as duplicidades entre os pets ativos. Enquanto houver duplicidades, os
+ *    índices únicos não são criados (o script termina com código 1).
+ * 4. Sem duplicidades, cria os índices do modelo Pet.
+ *
+ * Deve ser executado antes de implantar a validação em um banco existente e repetido
+ * até não haver duplicidades; a normalização pode ser repetida sem efeitos colaterais.
+ *
+ * Uso: npm run migrar:identificacao
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Pet = require('../models/Pet');
+
+const CAMPOS = [
+  { campo: 'microchip', normalizar: Pet.normalizarMicrochip },
+  { campo: 'registroOficial', normalizar: Pet.normalizarRegistro }
+];
+
+/**
+ * Normaliza microchip e registro oficial de todos os pets
+ * @returns {Promise<Object>} - { normalizados, conflitos } (conflitos: normalização barrada por índice já existente)
+ */
+const normalizar = async () => {
+  let normalizados = 0;
+  const conflitos = [];
+
+  const cursor = Pet.collection.find(
+    { $or: CAMPOS.map(({ campo }) => ({ [campo]: { $type: 'string' } })) },
+    { projection: { nome: 1, microchip: 1, registroOficial: 1 } }
+  );
+
+  for await (const pet of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    for (const { campo, normalizar: normalizarCampo } of CAMPOS) {
+      if (typeof pet[campo] !== 'string') continue;
+
+      const valor = normalizarCampo(pet[campo]);
+      if (valor === pet[campo]) continue;
+
+      if (valor === undefined) {
+        $unset[campo] = '';
+      } else {
+        $set[campo] = valor;
+      }
+    }
+
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) continue;
+
+    const atualizacao = {};
+    if (Object.keys($set).length > 0) atualizacao.$set = $set;
+    if (Object.keys($unset).length > 0) atualizacao.$unset = $unset;
+
+    try {
+      // Direto na coleção: os hooks de save do Pet não devem rodar na migração
+      await Pet.collection.updateOne({ _id: pet._id }, atualizacao);
+      normalizados++;
+    } catch (error) {
+      // Um índice único criado antes da migração impede gravar o valor normalizado
+      if (error.code !== 11000) throw error;
+      conflitos.push({ _id: pet._id, nome: pet.nome, ...$set });
+    }
+  }
+
+  return { normalizados, conflitos };
+};
+
+/**
+ * Lista os valores fora do formato aceito
+ * @returns {Promise<Array>} - { _id, nome, campo, valor }
+ */
+const listarForaDoFormato = async () => {
+  const foraDoFormato = [];
+
+  const cursor = Pet.collection.find(
+    { $or: CAMPOS.map(({ campo }) => ({ [campo]: { $type: 'string' } })) },
+    { projection: { nome: 1, microchip: 1, registroOficial: 1 } }
+  );
+
+  for await (const pet of cursor) {
+    const erros = await Pet.validarIdentificacao({
+      microchip: pet.microchip,
+      registroOficial: pet.registroOficial,
+      ativo: false
+    });
+
+    for (const { campo } of erros) {
+      foraDoFormato.push({ _id: pet._id, nome: pet.nome, campo, valor: pet[campo] });
+    }
+  }
+
+  return foraDoFormato;
+};
+
+/**
+ * Lista os valores repetidos entre os pets ativos
+ * @returns {Promise<Array>} - { campo, valor, pets: [{ _id, nome }] }
+ */
+const listarDuplicidades = async () => {
+  const duplicidades = [];
+
+  for (const { campo } of CAMPOS) {
+    const grupos = await Pet.collection.aggregate([
+      { $match: { ativo: true, [campo]: { $type: 'string' } } },
+      { $group: { _id: `$${campo}`, pets: { $push: { _id: '$_id', nome: '$nome' } }, total: { $sum: 1 } } },
+      { $match: { total: { $gt: 1 } } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+
+    for (const grupo of grupos) {
+      duplicidades.push({ campo, valor: grupo._id, pets: grupo.pets });
+    }
+  }
+
+  return duplicidades;
+};
+
+const migrar = async () => {
+  // Os índices só são criados ao final, depois de normalizar e verificar os dados
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+
+  const { normalizados, conflitos } = await normalizar();
+  console.log(`Pets normalizados: ${normalizados}`);
+
+  const foraDoFormato = await listarForaDoFormato();
+  if (foraDoFormato.length > 0) {
+    console.warn(`Identificações fora do formato (${foraDoFormato.length}):`);
+    foraDoFormato.forEach(({ _id, nome, campo, valor }) => console.warn(`  ${campo} "${valor}" - ${nome} (${_id})`));
+  }
+
+  const duplicidades = await listarDuplicidades();
+  if (conflitos.length > 0 || duplicidades.length > 0) {
+    console.error(`Duplicidades entre pets ativos (${duplicidades.length + conflitos.length}):`);
+    duplicidades.forEach(({ campo, valor, pets }) => {
+      console.error(`  ${campo} "${valor}": ${pets.map(pet => `${pet.nome} (${pet._id})`).join(', ')}`);
+    });
+    conflitos.forEach(({ _id, nome, ...valores }) => {
+      console.error(`  ${nome} (${_id}) não normalizado, já existe outro pet com ${JSON.stringify(valores)}`);
+    });
+    console.error('Corrija ou inative os pets duplicados e execute novamente; os índices únicos não foram criados');
+    process.exitCode = 1;
+    return;
+  }
+
+  await Pet.createIndexes();
+  console.log('Nenhuma duplicidade encontrada; índices do modelo Pet criados');
+};
+
+migrar()
+  .catch(error => {
+    console.error('Erro ao migrar a identificação dos pets:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+/**
+ * Reconstrói o array de pais e o índice de ancestrais (Pet.ancestrais) de
+ * todos os pets. Deve ser executado uma vez após a implantação do índice e
+ * sempre que houver alterações feitas diretamente no banco.
+ *
+ * Uso: npm run reconstruir:ancestrais
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Pet = require('../models/Pet');
+
+const reconstruir = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const total = await Pet.reconstruirAncestrais();
+
+  console.log(`Pets atualizados: ${total}`);
+};
+
+reconstruir()
+  .catch(error => {
+    console.error('Erro ao reconstruir ancestrais:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,103 @@
+/**
+ * Verificação da atualização incremental do índice de ancestrais.
+ *
+ * Cria um pedigree em linha em que um pet (C) é filho de A e de B, sendo B também
+ * descendente de A (A -> X -> Y -> B), e um neto (D) de C com B. Troca o pai de A,
+ * deixa o hook de save atualizar os descendentes e compara o índice gravado com o
+ * recalculado do zero pela mesma rotina de reconstruirAncestrais. Os pets criados
+ * são removidos ao final.
+ *
+ * Uso: npm run verificar:ancestrais
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Pet = require('../models/Pet');
+
+const PREFIXO_REGISTRO = 'VERIFICACAO-ANCESTRAIS';
+const ANO_EM_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Monta os documentos do fixture, dos fundadores até o neto
+ * @returns {Object} - Documentos a inserir, por nome
+ */
+const montarFixture = () => {
+  const proprietario = new mongoose.Types.ObjectId();
+  const pets = {};
+
+  const criar = (nome, genero, idade, pai, mae) => {
+    const genitores = [pai, mae].filter(Boolean);
+
+    pets[nome] = {
+      _id: new mongoose.Types.ObjectId(),
+      nome,
+      raca: 'Verificação',
+      genero,
+      dataNascimento: new Date(Date.now() - idade * ANO_EM_MS),
+      displasia: 'A',
+      proprietario,
+      registroOficial: `${PREFIXO_REGISTRO}-${nome}`,
+      ativo: true,
+      pai: pai && pai._id,
+      mae: mae && mae._id,
+      pais: genitores.map(genitor => genitor._id),
+      ancestrais: Pet.calcularAncestrais(pai && pai._id, mae && mae._id, genitores)
+    };
+
+    return pets[nome];
+  };
+
+  const g = criar('G', 'macho', 14);
+  const f = criar('F', 'macho', 14);
+  const a = criar('A', 'macho', 12, g);
+  const x = criar('X', 'macho', 10, a, criar('M1', 'fêmea', 12));
+  const y = criar('Y', 'macho', 8, x, criar('M2', 'fêmea', 10));
+  const b = criar('B', 'fêmea', 6, y, criar('M3', 'fêmea', 8));
+  const c = criar('C', 'macho', 4, a, b);
+  criar('D', 'macho', 2, c, b);
+
+  return { pets, novoPai: f };
+};
+
+// Representação comparável de um índice de ancestrais
+const descrever = ancestrais => (ancestrais || [])
+  .map(ancestral => `${ancestral.pet}:${ancestral.geracao}`)
+  .sort()
+  .join(',');
+
+const executar = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { pets, novoPai } = montarFixture();
+  await Pet.collection.insertMany(Object.values(pets));
+
+  try {
+    // Troca o pai de A: o hook de save recalcula A e todos os seus descendentes
+    const a = await Pet.findById(pets.A._id);
+    a.pai = novoPai._id;
+    await a.save();
+
+    const gravados = await Pet.find({ registroOficial: { $regex: `^${PREFIXO_REGISTRO}` } })
+      .select('nome pai mae ancestrais')
+      .lean();
+    const esperados = Pet.calcularAncestraisEmLote(gravados);
+
+    const divergentes = gravados.filter(pet =>
+      descrever(pet.ancestrais) !== descrever(esperados.get(pet._id.toString())));
+
+    if (divergentes.length > 0) {
+      console.error('Índice de ancestrais divergente para:', divergentes.map(pet => pet.nome).join(', '));
+      process.exitCode = 1;
+    } else {
+      console.log(`Índice de ancestrais idêntico à reconstrução completa (${gravados.length} pets)`);
+    }
+  } finally {
+    await Pet.deleteMany({ registroOficial: { $regex: `^${PREFIXO_REGISTRO}` } });
+  }
+};
+
+executar()
+  .catch(error => {
+    console.error('Erro na verificação do índice de ancestrais:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
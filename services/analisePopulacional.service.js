@@ -0,0 +1,426 @@
+const AnalisePopulacional = require('../models/AnalisePopulacional');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { escaparRegex } = require('../utils/regex');
+
+// Por quanto tempo uma análise concluída é reaproveitada antes de ser recalculada
+const VALIDADE_CACHE_HORAS = 24;
+
+// Tempo máximo sem sinal de vida (atualizadoEm) de uma análise pendente ou em andamento;
+// depois disso ela é considerada interrompida (ex.: servidor reiniciado durante o
+// processamento) e pode ser solicitada de novo
+const TEMPO_SEM_ATUALIZACAO_MINUTOS = 10;
+
+const STATUS_EM_ANDAMENTO = ['pendente', 'processando'];
+
+// Mesma collation do índice único de análises em andamento
+const COLLATION_RACA = { locale: 'pt', strength: 2 };
+
+// Quantidade de pets cujas árvores genealógicas são carregadas de cada vez
+const TAMANHO_LOTE = 200;
+
+// Quantidade de reprodutores listados entre os mais usados
+const LIMITE_REPRODUTORES = 10;
+
+// Faixas de COI individual (%) usadas na distribuição
+const FAIXAS_COI = [
+  { faixa: '0 - 3.125', minimo: 0, maximo: 3.125 },
+  { faixa: '3.125 - 6.25', minimo: 3.125, maximo: 6.25 },
+  { faixa: '6.25 - 12.5', minimo: 6.25, maximo: 12.5 },
+  { faixa: '12.5 - 25', minimo: 12.5, maximo: 25 },
+  { faixa: '25+', minimo: 25, maximo: Infinity }
+];
+
+const GRAUS_DISPLASIA = ['A', 'B', 'C', 'D', 'E'];
+
+const filtroRaca = raca => ({ $regex: `^${escaparRegex(raca.trim())}$`, $options: 'i' });
+
+const arredondar = (valor, casas = 2) => parseFloat(valor.toFixed(casas));
+
+const media = valores => valores.length > 0
+  ? arredondar(valores.reduce((soma, valor) => soma + valor, 0) / valores.length)
+  : null;
+
+/**
+ * Serviço responsável pelas análises de genética populacional por raça
+ * (executadas em segundo plano, com resultado em cache)
+ */
+class AnalisePopulacionalService {
+  /**
+   * Solicita a análise de uma raça, reaproveitando uma análise recente ou em andamento
+   * @param {String} raca - Raça
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @param {Boolean} [forcar] - Ignora o cache e inicia uma nova análise
+   * @returns {Promise<Object>} - Análise (pendente, em andamento ou concluída)
+   */
+  async solicitarAnalise(raca, usuario, forcar = false) {
+    try {
+      const ultima = await this.getAnalise(raca);
+
+      if (ultima && STATUS_EM_ANDAMENTO.includes(ultima.status)) {
+        return ultima;
+      }
+
+      const validade = new Date(Date.now() - VALIDADE_CACHE_HORAS * 60 * 60 * 1000);
+      if (!forcar && ultima && ultima.status === 'concluida' && ultima.concluidoEm > validade) {
+        return ultima;
+      }
+
+      const { analise, criada } = await this.reservarAnalise(raca.trim(), usuario);
+      if (!criada) return analise;
+
+      // Processa em segundo plano; o cliente acompanha pelo status da análise
+      setImmediate(() => {
+        this.executarAnalise(analise._id).catch(error => {
+          console.error('Erro ao executar análise populacional:', error);
+        });
+      });
+
+      return analise;
+    } catch (error) {
+      console.error('Erro ao solicitar análise populacional:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserva atomicamente o job da raça: devolve a análise pendente ou em andamento,
+   * ou cria uma nova se não houver
+   *
+   * O índice único de análises em andamento barra a segunda criação quando duas
+   * solicitações simultâneas não encontram job; a que perdeu reaproveita o da outra.
+   * @param {String} raca - Raça
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object>} - { analise, criada }
+   */
+  async reservarAnalise(raca, usuario) {
+    const agora = new Date();
+    const filtro = { raca, status: { $in: STATUS_EM_ANDAMENTO } };
+
+    try {
+      const { value, lastErrorObject } = await AnalisePopulacional.findOneAndUpdate(
+        filtro,
+        { $setOnInsert: { raca, status: 'pendente', solicitadoPor: usuario.id, atualizadoEm: agora } },
+        { upsert: true, new: true, collation: COLLATION_RACA, includeResultMetadata: true }
+      );
+
+      return { analise: value, criada: !lastErrorObject.updatedExisting };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const analise = await AnalisePopulacional.findOne(filtro).collation(COLLATION_RACA);
+      if (!analise) throw error;
+
+      return { analise, criada: false };
+    }
+  }
+
+  /**
+   * Busca a análise mais recente de uma raça
+   * @param {String} raca - Raça
+   * @returns {Promise<Object|null>} - Análise, ou null se a raça nunca foi analisada
+   */
+  async getAnalise(raca) {
+    const analise = await AnalisePopulacional.findOne({ raca: filtroRaca(raca) }).sort({ createdAt: -1 });
+    return analise ? await this.encerrarSeInterrompida(analise) : null;
+  }
+
+  /**
+   * Marca como erro uma análise pendente ou em andamento sem sinal de vida há mais de
+   * TEMPO_SEM_ATUALIZACAO_MINUTOS, para que não bloqueie novas solicitações da raça
+   *
+   * A atualização só vale se o sinal de vida não foi renovado desde a leitura.
+   * @param {Object} analise - Documento da análise
+   * @returns {Promise<Object>} - A análise, atualizada se estava interrompida
+   */
+  async encerrarSeInterrompida(analise) {
+    if (!STATUS_EM_ANDAMENTO.includes(analise.status)) return analise;
+
+    const limite = new Date(Date.now() - TEMPO_SEM_ATUALIZACAO_MINUTOS * 60 * 1000);
+    if ((analise.atualizadoEm || analise.iniciadoEm || analise.createdAt) > limite) return analise;
+
+    const encerrada = await AnalisePopulacional.findOneAndUpdate(
+      { _id: analise._id, status: { $in: STATUS_EM_ANDAMENTO }, atualizadoEm: { $not: { $gt: limite } } },
+      {
+        status: 'erro',
+        erro: `Análise interrompida: sem atualização por ${TEMPO_SEM_ATUALIZACAO_MINUTOS} minutos`,
+        concluidoEm: new Date()
+      },
+      { new: true }
+    );
+
+    return encerrada || await AnalisePopulacional.findById(analise._id);
+  }
+
+  /**
+   * Renova o sinal de vida de uma análise em andamento
+   * @param {String} analiseId - ID da análise
+   * @returns {Promise<void>}
+   * @throws {Error} - Se a análise não está mais em andamento (ex.: encerrada por falta de sinal de vida)
+   */
+  async registrarAndamento(analiseId) {
+    const { matchedCount } = await AnalisePopulacional.updateOne(
+      { _id: analiseId, status: 'processando' },
+      { atualizadoEm: new Date() }
+    );
+
+    if (matchedCount === 0) {
+      throw new Error('A análise não está mais em andamento');
+    }
+  }
+
+  /**
+   * Executa uma análise pendente, gravando o resultado ou o erro no próprio documento
+   *
+   * O resultado só é gravado enquanto a análise continua em andamento: se ela foi
+   * encerrada por falta de sinal de vida, o processamento atrasado não a sobrescreve.
+   * @param {String} analiseId - ID da análise
+   * @returns {Promise<Object|null>} - Análise concluída, ou null se não existir ou não estiver pendente
+   */
+  async executarAnalise(analiseId) {
+    const agora = new Date();
+    const analise = await AnalisePopulacional.findOneAndUpdate(
+      { _id: analiseId, status: 'pendente' },
+      { status: 'processando', iniciadoEm: agora, atualizadoEm: agora },
+      { new: true }
+    );
+    if (!analise) return null;
+
+    const conclusao = {};
+
+    try {
+      const parametros = await parametrosPetService.getParametros(analise.raca);
+
+      conclusao.resultado = await this.calcularIndicadores(
+        analise.raca, parametros, () => this.registrarAndamento(analise._id)
+      );
+      conclusao.parametrosUtilizados = parametrosPetService.descreverParametros(parametros);
+      conclusao.status = 'concluida';
+    } catch (error) {
+      conclusao.status = 'erro';
+      conclusao.erro = error.message;
+    }
+
+    conclusao.concluidoEm = new Date();
+    return await AnalisePopulacional.findOneAndUpdate(
+      { _id: analise._id, status: 'processando' },
+      conclusao,
+      { new: true }
+    );
+  }
+
+  /**
+   * Calcula os indicadores de genética populacional de uma raça
+   * @param {String} raca - Raça
+   * @param {Object} parametros - Parâmetros da raça (define as gerações consideradas)
+   * @param {Function} [registrarAndamento] - Chamada a cada lote processado (sinal de vida do job)
+   * @returns {Promise<Object>} - Indicadores da raça e tendências por ano de nascimento
+   */
+  async calcularIndicadores(raca, parametros, registrarAndamento = async () => {}) {
+    const geracoes = parametros.geracoesConsanguinidade || 5;
+    const pets = await Pet.find({ raca: filtroRaca(raca) })
+      .select('nome pai mae dataNascimento displasia')
+      .lean();
+
+    const indicadoresPorPet = await this.calcularIndicadoresIndividuais(pets, geracoes, registrarAndamento);
+    const coiIndividual = [...indicadoresPorPet.values()].map(({ coi }) => coi);
+    const perdaAncestrais = [...indicadoresPorPet.values()]
+      .map(({ perdaAncestrais: perda }) => perda)
+      .filter(perda => perda !== null);
+
+    // Pets agrupados por ano de nascimento para as tendências
+    const porAno = new Map();
+    for (const pet of pets) {
+      const ano = new Date(pet.dataNascimento).getFullYear();
+      if (!porAno.has(ano)) porAno.set(ano, []);
+      porAno.get(ano).push(pet);
+    }
+
+    return {
+      totalPets: pets.length,
+      geracoesConsideradas: geracoes,
+      coiIndividual: {
+        petsComPaisCadastrados: coiIndividual.length,
+        media: media(coiIndividual),
+        distribuicao: this.distribuirCoi(coiIndividual)
+      },
+      tamanhoEfetivo: this.calcularTamanhoEfetivo(pets),
+      coeficientePerdaAncestrais: {
+        descricao: 'Ancestrais distintos / posições conhecidas do pedigree (100% = nenhuma repetição)',
+        media: media(perdaAncestrais)
+      },
+      reprodutoresPopulares: await this.listarReprodutoresPopulares(pets),
+      displasia: this.distribuirDisplasia(pets),
+      tendencias: [...porAno.keys()].sort((a, b) => a - b).map(ano => {
+        const nascidos = porAno.get(ano);
+        const cois = nascidos
+          .filter(pet => indicadoresPorPet.has(pet._id.toString()))
+          .map(pet => indicadoresPorPet.get(pet._id.toString()).coi);
+
+        return {
+          ano,
+          nascidos: nascidos.length,
+          coiMedio: media(cois),
+          tamanhoEfetivo: this.calcularTamanhoEfetivo(nascidos).valor,
+          displasia: this.distribuirDisplasia(nascidos)
+        };
+      })
+    };
+  }
+
+  /**
+   * Calcula o COI individual e o coeficiente de perda de ancestrais de cada pet com pai e mãe
+   *
+   * As árvores são carregadas em lotes com uma geração a mais, de modo que os pais
+   * fiquem com a mesma janela de gerações usada em calcularConsanguinidadeIndividual.
+   * @param {Array} pets - Pets da raça
+   * @param {Number} geracoes - Gerações consideradas
+   * @param {Function} [registrarAndamento] - Chamada a cada lote processado
+   * @returns {Promise<Map>} - Indicadores por pet (id -> { coi, perdaAncestrais })
+   */
+  async calcularIndicadoresIndividuais(pets, geracoes, registrarAndamento = async () => {}) {
+    const indicadores = new Map();
+    const comPais = pets.filter(pet => pet.pai && pet.mae).map(pet => pet._id);
+    const geracoesArvore = Math.min(geracoes + 1, 10);
+
+    for (let inicio = 0; inicio < comPais.length; inicio += TAMANHO_LOTE) {
+      await registrarAndamento();
+
+      const lote = await Pet.find({ _id: { $in: comPais.slice(inicio, inicio + TAMANHO_LOTE) } });
+      const arvores = await parametrosPetService.carregarArvoresGenealogicas(lote, geracoesArvore);
+
+      for (const pet of lote) {
+        const arvore = arvores.get(pet._id.toString());
+        const { coeficiente } = parametrosPetService.calcularConsanguinidadeArvores(
+          pet.pai, pet.mae, arvore, arvore, geracoes
+        );
+
+        indicadores.set(pet._id.toString(), {
+          coi: arredondar(coeficiente),
+          perdaAncestrais: this.calcularPerdaAncestrais(pet, parametrosPetService.montarGenealogia(arvore), geracoes)
+        });
+      }
+    }
+
+    return indicadores;
+  }
+
+  /**
+   * Coeficiente de perda de ancestrais (AVK): ancestrais distintos sobre as posições
+   * conhecidas do pedigree nas gerações consideradas
+   * @param {Object} pet - Pet
+   * @param {Map} genealogia - Mapa de nós (id -> { nome, pai, mae })
+   * @param {Number} geracoes - Gerações consideradas
+   * @returns {Number|null} - Percentual (100 = nenhum ancestral repetido), ou null sem ancestrais
+   */
+  calcularPerdaAncestrais(pet, genealogia, geracoes) {
+    const distintos = new Set();
+    let posicoes = 0;
+    let nivel = [pet.pai, pet.mae].filter(Boolean).map(id => id.toString());
+
+    for (let geracao = 1; geracao <= geracoes && nivel.length > 0; geracao++) {
+      const proximo = [];
+
+      for (const id of nivel) {
+        posicoes++;
+        distintos.add(id);
+
+        const no = genealogia.get(id);
+        if (no && no.pai) proximo.push(no.pai);
+        if (no && no.mae) proximo.push(no.mae);
+      }
+
+      nivel = proximo;
+    }
+
+    return posicoes > 0 ? arredondar((distintos.size / posicoes) * 100) : null;
+  }
+
+  /**
+   * Tamanho efetivo da população pela razão de sexos dos reprodutores:
+   * Ne = 4 * Nm * Nf / (Nm + Nf)
+   * @param {Array} pets - Pets cujos pais são contados
+   * @returns {Object} - Ne e número de machos e fêmeas reprodutores
+   */
+  calcularTamanhoEfetivo(pets) {
+    const machos = new Set(pets.filter(pet => pet.pai).map(pet => pet.pai.toString()));
+    const femeas = new Set(pets.filter(pet => pet.mae).map(pet => pet.mae.toString()));
+    const total = machos.size + femeas.size;
+
+    return {
+      valor: total > 0 ? arredondar((4 * machos.size * femeas.size) / total, 1) : 0,
+      machosReprodutores: machos.size,
+      femeasReprodutoras: femeas.size
+    };
+  }
+
+  /**
+   * Lista os machos com mais filhos na raça e a sua participação no total de filhos com pai conhecido
+   * @param {Array} pets - Pets da raça
+   * @returns {Promise<Array>} - Reprodutores ({ _id, nome, filhos, participacao })
+   */
+  async listarReprodutoresPopulares(pets) {
+    const filhosPorPai = new Map();
+    let comPai = 0;
+
+    for (const pet of pets) {
+      if (!pet.pai) continue;
+      comPai++;
+
+      const id = pet.pai.toString();
+      filhosPorPai.set(id, (filhosPorPai.get(id) || 0) + 1);
+    }
+
+    const maisUsados = [...filhosPorPai.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, LIMITE_REPRODUTORES);
+
+    const nomes = new Map(
+      (await Pet.find({ _id: { $in: maisUsados.map(([id]) => id) } }).select('nome').lean())
+        .map(pai => [pai._id.toString(), pai.nome])
+    );
+
+    return maisUsados.map(([id, filhos]) => ({
+      _id: id,
+      nome: nomes.get(id) || null,
+      filhos,
+      participacao: arredondar((filhos / comPai) * 100)
+    }));
+  }
+
+  /**
+   * Distribui os COIs individuais pelas faixas de FAIXAS_COI
+   * @param {Array} cois - COIs individuais (%)
+   * @returns {Array} - Quantidade e percentual por faixa
+   */
+  distribuirCoi(cois) {
+    return FAIXAS_COI.map(({ faixa, minimo, maximo }) => {
+      const quantidade = cois.filter(coi => coi >= minimo && coi < maximo).length;
+
+      return {
+        faixa,
+        quantidade,
+        percentual: cois.length > 0 ? arredondar((quantidade / cois.length) * 100) : 0
+      };
+    });
+  }
+
+  /**
+   * Distribui os pets pelos graus de displasia
+   * @param {Array} pets - Pets
+   * @returns {Array} - Quantidade e percentual por grau
+   */
+  distribuirDisplasia(pets) {
+    return GRAUS_DISPLASIA.map(grau => {
+      const quantidade = pets.filter(pet => pet.displasia === grau).length;
+
+      return {
+        grau,
+        quantidade,
+        percentual: pets.length > 0 ? arredondar((quantidade / pets.length) * 100) : 0
+      };
+    });
+  }
+}
+
+module.exports = new AnalisePopulacionalService();
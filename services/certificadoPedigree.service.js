@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CertificadoPedigree = require('../models/CertificadoPedigree');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const pedigreeService = require('./pedigree.service');
+const { criarErro } = require('../utils/erros');
+
+// Gerações aceitas no certificado (4 = padrão)
+const GERACOES_CERTIFICADO = [4, 5];
+
+// Página A4 em paisagem, em pontos
+const LARGURA_PAGINA = 842;
+const ALTURA_PAGINA = 595;
+
+// Segredo da assinatura dos certificados, separado da chave dos tokens de acesso
+const CERTIFICADO_SECRET = process.env.CERTIFICADO_SECRET;
+if (!CERTIFICADO_SECRET || CERTIFICADO_SECRET === process.env.JWT_SECRET) {
+  throw new Error('CERTIFICADO_SECRET deve ser definido nas variáveis de ambiente e ser diferente de JWT_SECRET');
+}
+
+// Resumo SHA-256 dos dados impressos
+const resumir = dados => crypto.createHash('sha256').update(JSON.stringify(dados)).digest('hex');
+
+// Assinatura HMAC do código com o resumo dos dados
+const assinar = (codigo, dados) =>
+  crypto.createHmac('sha256', CERTIFICADO_SECRET).update(`${codigo}:${resumir(dados)}`).digest('hex');
+
+// Código de verificação legível (ex.: 3F9A-C21B-77DE)
+const gerarCodigo = () => crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+
+// Data no formato DD/MM/AAAA
+const dataBrasileira = data => (data ? new Date(data).toISOString().slice(0, 10).split('-').reverse().join('/') : '—');
+
+// Escapa texto para HTML
+const escaparHtml = texto => String(texto === undefined || texto === null ? '' : texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Escapa texto para uma string PDF (caracteres fora do Latin-1 viram "?")
+const escaparPdf = texto => String(texto)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, '\\$&');
+
+// Corta o texto para caber na largura disponível (estimativa para Helvetica)
+const ajustarTexto = (texto, largura, tamanho) => {
+  const maximo = Math.max(3, Math.floor(largura / (tamanho * 0.52)));
+  return texto.length > maximo ? `${texto.slice(0, maximo - 3)}...` : texto;
+};
+
+// Código de posição (P = pai, M = mãe) do índice de uma coluna do pedigree
+const posicaoDoIndice = (indice, geracao) =>
+  indice.toString(2).padStart(geracao, '0').replace(/0/g, 'P').replace(/1/g, 'M');
+
+/**
+ * Monta um PDF de uma página com as fontes Helvetica e Helvetica-Bold
+ * @param {String} conteudo - Operadores de desenho da página
+ * @returns {Buffer} - Arquivo PDF
+ */
+const gerarPdf = conteudo => {
+  const objetos = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${LARGURA_PAGINA} ${ALTURA_PAGINA}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(conteudo, 'latin1')} >>\nstream\n${conteudo}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const posicoes = [];
+
+  objetos.forEach((objeto, indice) => {
+    posicoes.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${indice + 1} 0 obj\n${objeto}\nendobj\n`;
+  });
+
+  const inicioXref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+  pdf += posicoes.map(posicao => `${String(posicao).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+/**
+ * Serviço responsável pela emissão, renderização (HTML e PDF) e verificação
+ * dos certificados de pedigree
+ */
+class CertificadoPedigreeService {
+  /**
+   * Emite um certificado de pedigree para o pet
+   * @param {String} petId - ID do pet
+   * @param {Number} geracoes - Número de gerações (4 ou 5)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Certificado emitido, ou null se o pet não existir
+   */
+  async emitirCertificado(petId, geracoes = 4, usuario) {
+    try {
+      if (!GERACOES_CERTIFICADO.includes(geracoes)) {
+        throw criarErro(`O certificado deve ter ${GERACOES_CERTIFICADO.join(' ou ')} gerações`, 400);
+      }
+
+      if (!mongoose.isValidObjectId(petId)) return null;
+
+      const pet = await Pet.findOne({ _id: petId, ativo: true }).populate('proprietario', 'username');
+      if (!pet) return null;
+
+      if (pet.proprietario._id.toString() !== usuario.id && usuario.role !== 'admin') {
+        throw criarErro('Apenas o proprietário pode emitir o certificado deste pet', 403);
+      }
+
+      const dados = await this.montarDados(pet, geracoes);
+
+      // Colisões de código são improváveis, mas o índice único garante que não se repitam
+      for (let tentativa = 0; ; tentativa++) {
+        const codigo = gerarCodigo();
+
+        try {
+          return await CertificadoPedigree.create({
+            codigo,
+            pet: pet._id,
+            geracoes,
+            dados,
+            assinatura: assinar(codigo, dados),
+            emitidoPor: usuario.id
+          });
+        } catch (error) {
+          if (error.code !== 11000 || tentativa >= 2) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao emitir certificado de pedigree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um certificado emitido para reimpressão
+   * @param {String} codigo - Código de verificação
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Certificado, ou null se não existir
+   */
+  async getCertificado(codigo, usuario) {
+    const certificado = await CertificadoPedigree.findOne({ codigo: String(codigo).toUpperCase() });
+    if (!certificado) return null;
+
+    if (String(certificado.emitidoPor) !== usuario.id && usuario.role !== 'admin') {
+      throw criarErro('Usuário não autorizado a acessar este certificado', 403);
+    }
+
+    return certificado;
+  }
+
+  /**
+   * Verifica publicamente um certificado: se é autêntico (assinatura confere) e se os
+   * dados atuais do pet e dos ancestrais continuam iguais aos impressos
+   *
+   * Proprietário e COI não entram na comparação: mudam com o nome do usuário e com os
+   * parâmetros da raça, sem que o pedigree tenha mudado.
+   * @param {String} codigo - Código de verificação
+   * @returns {Promise<Object|null>} - Resultado da verificação, ou null se o código não existir
+   */
+  async verificarCertificado(codigo) {
+    try {
+      const certificado = await CertificadoPedigree.findOne({ codigo: String(codigo).toUpperCase() });
+      if (!certificado) return null;
+
+      const esperada = Buffer.from(assinar(certificado.codigo, certificado.dados), 'hex');
+      const recebida = Buffer.from(certificado.assinatura, 'hex');
+      const autentico = esperada.length === recebida.length && crypto.timingSafeEqual(esperada, recebida);
+
+      const pet = await Pet.findOne({ _id: certificado.pet, ativo: true });
+      const inalterado = Boolean(pet) &&
+        resumir(await this.montarDadosPedigree(pet, certificado.geracoes)) ===
+        resumir({ pet: certificado.dados.pet, ancestrais: certificado.dados.ancestrais });
+
+      let mensagem = 'Certificado autêntico e dados do pet inalterados desde a emissão';
+      if (!autentico) {
+        mensagem = 'Certificado inválido: os dados registrados não conferem com a assinatura';
+      } else if (!inalterado) {
+        mensagem = 'Certificado autêntico, mas os dados do pet ou do pedigree mudaram desde a emissão';
+      }
+
+      // Dados restritos: sem proprietário e sem microchip
+      return {
+        codigo: certificado.codigo,
+        autentico,
+        inalterado,
+        mensagem,
+        emitidoEm: certificado.createdAt,
+        geracoes: certificado.geracoes,
+        pet: {
+          nome: certificado.dados.pet.nome,
+          raca: certificado.dados.pet.raca,
+          registroOficial: certificado.dados.pet.registroOficial
+        },
+        coi: certificado.dados.coi
+      };
+    } catch (error) {
+      console.error('Erro ao verificar certificado de pedigree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reúne os dados impressos no certificado
+   *
+   * O COI é o mesmo do cálculo de consanguinidade individual (gerações dos parâmetros).
+   * @param {Object} pet - Pet, com o proprietário populado
+   * @param {Number} geracoes - Número de gerações do pedigree
+   * @returns {Promise<Object>} - Pet, proprietário, COI e ancestrais por posição
+   */
+  async montarDados(pet, geracoes) {
+    const [{ pet: dadosPet, ancestrais }, consanguinidade] = await Promise.all([
+      this.montarDadosPedigree(pet, geracoes),
+      parametrosPetService.calcularConsanguinidadeIndividual(pet._id)
+    ]);
+
+    return {
+      pet: dadosPet,
+      proprietario: pet.proprietario ? pet.proprietario.username : null,
+      coi: parseFloat(consanguinidade.coeficiente.toFixed(2)),
+      geracoes,
+      ancestrais
+    };
+  }
+
+  /**
+   * Reúne os dados impressos do pet e dos ancestrais (os comparados na verificação)
+   * @param {Object} pet - Pet
+   * @param {Number} geracoes - Número de gerações do pedigree
+   * @returns {Promise<Object>} - Pet e ancestrais por posição
+   */
+  async montarDadosPedigree(pet, geracoes) {
+    const pedigree = await pedigreeService.montarPedigree(pet._id, geracoes);
+
+    return {
+      pet: {
+        id: pet._id.toString(),
+        nome: pet.nome,
+        raca: pet.raca,
+        genero: pet.genero,
+        dataNascimento: pet.dataNascimento ? pet.dataNascimento.toISOString().slice(0, 10) : null,
+        registroOficial: pet.registroOficial || null,
+        microchip: pet.microchip || null,
+        displasia: pet.displasia
+      },
+      ancestrais: pedigreeService.listarPosicoes(pedigree.pedigree)
+        .filter(({ posicao }) => posicao !== '')
+        .map(({ posicao, no }) => ({
+          posicao,
+          nome: no.nome,
+          registroOficial: no.registroOficial || null,
+          displasia: no.displasia || null,
+          repetido: no.repetido
+        }))
+    };
+  }
+
+  /**
+   * Renderiza o certificado no formato pedido
+   * @param {Object} certificado - Certificado emitido
+   * @param {String} formato - html ou pdf
+   * @returns {Object} - Tipo de conteúdo, nome do arquivo e conteúdo
+   */
+  renderizar(certificado, formato) {
+    const formatos = {
+      html: { tipoConteudo: 'text/html; charset=utf-8', gerar: () => this.renderizarHtml(certificado) },
+      pdf: { tipoConteudo: 'application/pdf', gerar: () => this.renderizarPdf(certificado) }
+    };
+
+    if (!Object.prototype.hasOwnProperty.call(formatos, formato)) {
+      throw criarErro(`Formato inválido. Use: ${Object.keys(formatos).join(', ')}`, 400);
+    }
+
+    const nome = certificado.dados.pet.nome.replace(/[^\w-]+/g, '_');
+
+    return {
+      tipoConteudo: formatos[formato].tipoConteudo,
+      nomeArquivo: `certificado_${nome}_${certificado.codigo}.${formato}`,
+      conteudo: formatos[formato].gerar()
+    };
+  }
+
+  /**
+   * Renderiza o certificado em HTML pronto para impressão
+   * @param {Object} certificado - Certificado emitido
+   * @returns {String} - Documento HTML
+   */
+  renderizarHtml(certificado) {
+    const { dados, codigo, geracoes } = certificado;
+    const ancestrais = new Map(dados.ancestrais.map(ancestral => [ancestral.posicao, ancestral]));
+    const totalLinhas = 2 ** geracoes;
+    const linhas = [];
+
+    // Tabela clássica: cada geração ocupa uma coluna e cada ancestral se estende pelas linhas dos seus pais
+    for (let linha = 0; linha < totalLinhas; linha++) {
+      const celulas = [];
+
+      for (let geracao = 1; geracao <= geracoes; geracao++) {
+        const altura = 2 ** (geracoes - geracao);
+        if (linha % altura !== 0) continue;
+
+        const ancestral = ancestrais.get(posicaoDoIndice(linha / altura, geracao));
+        const conteudo = ancestral
+          ? `<strong>${escaparHtml(ancestral.nome)}</strong>` +
+            `<span>${escaparHtml(ancestral.registroOficial || 'Sem registro')} · Displasia ${escaparHtml(ancestral.displasia || '—')}</span>`
+          : '<em>Desconhecido</em>';
+        const classe = [
+          linha / altura % 2 === 0 ? 'pai' : 'mae',
+          ancestral && ancestral.repetido ? 'repetido' : ''
+        ].filter(Boolean).join(' ');
+
+        celulas.push(`<td rowspan="${altura}" class="${classe}">${conteudo}</td>`);
+      }
+
+      linhas.push(`<tr>${celulas.join('')}</tr>`);
+    }
+
+    const emitidoEm = dataBrasileira(certificado.createdAt);
+    const cabecalhos = Array.from({ length: geracoes }, (_, indice) =>
+      `<th>${['Pais', 'Avós', 'Bisavós', 'Trisavós', 'Tetravós'][indice]}</th>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Certificado de pedigree - ${escaparHtml(dados.pet.nome)}</title>
+<style>
+  @page { size: A4 landscape; margin: 12mm; }
+  body { font-family: Georgia, serif; color: #222; margin: 0; }
+  h1 { text-align: center; letter-spacing: 2px; margin: 0 0 8px; }
+  .dados { display: grid; grid-template-columns: repeat(4, 1fr); gap: 4px 16px; margin-bottom: 12px; font-size: 13px; }
+  .dados b { display: block; font-size: 10px; text-transform: uppercase; color: #666; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; font-size: 11px; }
+  th { background: #f1ede4; padding: 4px; border: 1px solid #bbb; }
+  td { border: 1px solid #bbb; padding: 2px 6px; vertical-align: middle; }
+  td strong, td span { display: block; }
+  td span { color: #555; font-size: 10px; }
+  td.pai { border-left: 3px solid #1f77b4; }
+  td.mae { border-left: 3px solid #d6336c; }
+  td.repetido { background: #fff4cc; }
+  footer { margin-top: 10px; font-size: 11px; display: flex; justify-content: space-between; }
+</style>
+</head>
+<body>
+<h1>CERTIFICADO DE PEDIGREE</h1>
+<section class="dados">
+  <div><b>Nome</b>${escaparHtml(dados.pet.nome)}</div>
+  <div><b>Raça</b>${escaparHtml(dados.pet.raca)}</div>
+  <div><b>Registro oficial</b>${escaparHtml(dados.pet.registroOficial || '—')}</div>
+  <div><b>Microchip</b>${escaparHtml(dados.pet.microchip || '—')}</div>
+  <div><b>Sexo</b>${escaparHtml(dados.pet.genero)}</div>
+  <div><b>Nascimento</b>${escaparHtml(dataBrasileira(dados.pet.dataNascimento))}</div>
+  <div><b>Displasia</b>${escaparHtml(dados.pet.displasia || '—')}</div>
+  <div><b>COI</b>${escaparHtml(dados.coi)}%</div>
+  <div><b>Proprietário</b>${escaparHtml(dados.proprietario || '—')}</div>
+</section>
+<table>
+<thead><tr>${cabecalhos}</tr></thead>
+<tbody>
+${linhas.join('\n')}
+</tbody>
+</table>
+<footer>
+  <span>Código de verificação: <strong>${escaparHtml(codigo)}</strong> · Verifique em /api/certificados/${escaparHtml(codigo)}/verificar</span>
+  <span>Emitido em ${escaparHtml(emitidoEm)} · Assinatura ${escaparHtml(certificado.assinatura.slice(0, 16))}</span>
+</footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Renderiza o certificado em PDF (A4 paisagem), sem depender de serviços externos
+   * @param {Object} certificado - Certificado emitido
+   * @returns {Buffer} - Arquivo PDF
+   */
+  renderizarPdf(certificado) {
+    const { dados, codigo, geracoes } = certificado;
+    const ancestrais = new Map(dados.ancestrais.map(ancestral => [ancestral.posicao, ancestral]));
+    const comandos = [];
+
+    const texto = (x, y, tamanho, valor, negrito = false) => comandos.push(
+      `BT /${negrito ? 'F2' : 'F1'} ${tamanho} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${escaparPdf(valor)}) Tj ET`
+    );
+
+    texto(280, 555, 20, 'CERTIFICADO DE PEDIGREE', true);
+
+    const campos = [
+      ['Nome', dados.pet.nome],
+      ['Raça', dados.pet.raca],
+      ['Registro oficial', dados.pet.registroOficial || '-'],
+      ['Microchip', dados.pet.microchip || '-'],
+      ['Sexo', dados.pet.genero],
+      ['Nascimento', dataBrasileira(dados.pet.dataNascimento)],
+      ['Displasia', dados.pet.displasia || '-'],
+      ['COI', `${dados.coi}%`],
+      ['Proprietário', dados.proprietario || '-']
+    ];
+
+    campos.forEach(([rotulo, valor], indice) => {
+      const x = 40 + (indice % 5) * 155;
+      const y = 525 - Math.floor(indice / 5) * 26;
+      texto(x, y + 9, 7, rotulo.toUpperCase());
+      texto(x, y, 10, ajustarTexto(String(valor), 150, 10), true);
+    });
+
+    // Colunas por geração; cada caixa ocupa a altura correspondente às posições dos seus pais
+    const topo = 465;
+    const base = 55;
+    const larguraColuna = (LARGURA_PAGINA - 80) / geracoes;
+    comandos.push('0.5 w');
+
+    for (let geracao = 1; geracao <= geracoes; geracao++) {
+      const quantidade = 2 ** geracao;
+      const altura = (topo - base) / quantidade;
+      const x = 40 + (geracao - 1) * larguraColuna;
+      const tamanho = Math.max(5, Math.min(9, altura * 0.32));
+
+      for (let indice = 0; indice < quantidade; indice++) {
+        const y = topo - (indice + 1) * altura;
+        const ancestral = ancestrais.get(posicaoDoIndice(indice, geracao));
+
+        if (ancestral && ancestral.repetido) {
+          comandos.push(`1 0.96 0.8 rg ${x.toFixed(1)} ${(y + 1).toFixed(1)} ${(larguraColuna - 6).toFixed(1)} ${(altura - 2).toFixed(1)} re f 0 g`);
+        }
+
+        comandos.push(`${x.toFixed(1)} ${(y + 1).toFixed(1)} ${(larguraColuna - 6).toFixed(1)} ${(altura - 2).toFixed(1)} re S`);
+
+        const nome = ancestral ? ancestral.nome : 'Desconhecido';
+        const meio = y + altura / 2;
+        const detalhes = ancestral
+          ? `${ancestral.registroOficial || 'Sem registro'} - Displasia ${ancestral.displasia || '-'}`
+          : null;
+
+        if (detalhes && altura >= tamanho * 2.6) {
+          texto(x + 4, meio + 1, tamanho, ajustarTexto(nome, larguraColuna - 14, tamanho), true);
+          texto(x + 4, meio - tamanho, tamanho - 1, ajustarTexto(detalhes, larguraColuna - 14, tamanho - 1));
+        } else {
+          texto(x + 4, meio - tamanho / 3, tamanho, ajustarTexto(nome, larguraColuna - 14, tamanho), Boolean(ancestral));
+        }
+      }
+    }
+
+    texto(40, 32, 9, `Código de verificação: ${codigo}  -  Verifique em /api/certificados/${codigo}/verificar`, true);
+    texto(40, 20, 8, `Emitido em ${dataBrasileira(certificado.createdAt)}  -  Assinatura ${certificado.assinatura.slice(0, 16)}  -  ` +
+      'Ancestrais destacados aparecem mais de uma vez no pedigree');
+
+    return gerarPdf(comandos.join('\n'));
+  }
+}
+
+module.exports = new CertificadoPedigreeService();
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const CicloCio = require('../models/CicloCio');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { criarErro } = require('../utils/erros');
+
+const DIA_EM_MS = 24 * 60 * 60 * 1000;
+
+// Quantidade de intervalos recentes usados para prever o próximo cio
+const INTERVALOS_PREVISAO = 3;
+
+// Verifica se o usuário é admin ou o proprietário do pet
+const podeGerenciar = (usuario, pet) =>
+  usuario.role === 'admin' || pet.proprietario.toString() === usuario.id;
+
+const somarDias = (data, dias) => new Date(data.getTime() + dias * DIA_EM_MS);
+
+const media = valores => valores.reduce((soma, valor) => soma + valor, 0) / valores.length;
+
+/**
+ * Serviço responsável pelo registro dos cios das fêmeas
+ * e pela previsão do calendário reprodutivo
+ */
+class CicloCioService {
+  /**
+   * Registra um cio de uma fêmea
+   * @param {String} petId - ID da fêmea
+   * @param {Object} dados - Dados do cio (dataInicio, dataFim, observacoes)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Cio registrado, ou null se o pet não existir
+   */
+  async registrarCiclo(petId, dados, usuario) {
+    try {
+      const pet = await this.buscarFemea(petId, usuario);
+      if (!pet) return null;
+
+      if (!dados.dataInicio) {
+        throw criarErro('É necessário informar a data de início do cio', 400);
+      }
+
+      const erros = await this.validarCiclo(pet, dados);
+      if (erros.length > 0) {
+        throw criarErro('Cio inválido', 422, erros);
+      }
+
+      return await CicloCio.create({
+        pet: pet._id,
+        dataInicio: dados.dataInicio,
+        dataFim: dados.dataFim,
+        observacoes: dados.observacoes,
+        registradoPor: usuario.id
+      });
+    } catch (error) {
+      console.error('Erro ao registrar cio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um cio registrado (normalmente para informar a data de término)
+   * @param {String} petId - ID da fêmea
+   * @param {String} cicloId - ID do cio
+   * @param {Object} dados - Campos a atualizar (dataInicio, dataFim, observacoes)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Cio atualizado, ou null se o pet ou o cio não existirem
+   */
+  async atualizarCiclo(petId, cicloId, dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(cicloId)) return null;
+
+      const pet = await this.buscarFemea(petId, usuario);
+      if (!pet) return null;
+
+      const ciclo = await CicloCio.findOne({ _id: cicloId, pet: pet._id, ativo: true });
+      if (!ciclo) return null;
+
+      for (const campo of ['dataInicio', 'dataFim', 'observacoes']) {
+        if (dados[campo] !== undefined) {
+          ciclo[campo] = dados[campo];
+        }
+      }
+
+      const erros = await this.validarCiclo(pet, ciclo);
+      if (erros.length > 0) {
+        throw criarErro('Cio inválido', 422, erros);
+      }
+
+      await ciclo.save();
+      return ciclo;
+    } catch (error) {
+      console.error('Erro ao atualizar cio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Monta o calendário reprodutivo de uma fêmea: cios anteriores, cios previstos
+   * e janelas de cruzamento sugeridas
+   * @param {String} petId - ID da fêmea
+   * @param {Number} [quantidadePrevisoes] - Quantidade de cios futuros a prever
+   * @returns {Promise<Object|null>} - Calendário, ou null se o pet não existir
+   */
+  async montarCalendario(petId, quantidadePrevisoes = 3) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+
+    const pet = await Pet.findOne({ _id: petId, ativo: true });
+    if (!pet) return null;
+
+    if (pet.genero !== 'fêmea') {
+      throw criarErro('O calendário de cio está disponível apenas para fêmeas', 422);
+    }
+
+    const [ciclos, parametros] = await Promise.all([
+      CicloCio.find({ pet: pet._id, ativo: true }).sort({ dataInicio: 1 }),
+      parametrosPetService.getParametros(pet.raca)
+    ]);
+
+    return {
+      pet: { _id: pet._id, nome: pet.nome, raca: pet.raca },
+      ciclosAnteriores: ciclos,
+      ...this.preverCiclos(ciclos, parametros.cicloCio, quantidadePrevisoes),
+      parametrosUtilizados: parametrosPetService.descreverParametros(parametros)
+    };
+  }
+
+  /**
+   * Lista os próximos cios previstos (ou em andamento) das fêmeas de um proprietário
+   * @param {String} proprietarioId - ID do proprietário
+   * @param {Number} [dias] - Horizonte, em dias a partir de hoje
+   * @returns {Promise<Array>} - Cios previstos, do mais próximo para o mais distante
+   */
+  async listarProximosCios(proprietarioId, dias = 60) {
+    const femeas = await Pet.find({ ...Pet.filtroProprietario(proprietarioId), genero: 'fêmea' });
+    if (femeas.length === 0) return [];
+
+    const ciclos = await CicloCio.find({ pet: { $in: femeas.map(femea => femea._id) }, ativo: true })
+      .sort({ dataInicio: 1 });
+
+    const ciclosPorPet = new Map();
+    for (const ciclo of ciclos) {
+      const chave = ciclo.pet.toString();
+      if (!ciclosPorPet.has(chave)) ciclosPorPet.set(chave, []);
+      ciclosPorPet.get(chave).push(ciclo);
+    }
+
+    // Os parâmetros são buscados uma única vez por raça
+    const parametrosPorRaca = new Map();
+    const limite = somarDias(new Date(), dias);
+    const proximos = [];
+
+    for (const femea of femeas) {
+      const raca = (femea.raca || '').toLowerCase();
+      if (!parametrosPorRaca.has(raca)) {
+        parametrosPorRaca.set(raca, await parametrosPetService.getParametros(femea.raca));
+      }
+
+      const { cicloAtual, ciclosPrevistos, baseadoEm } = this.preverCiclos(
+        ciclosPorPet.get(femea._id.toString()) || [],
+        parametrosPorRaca.get(raca).cicloCio,
+        1
+      );
+
+      const proximo = cicloAtual || ciclosPrevistos[0];
+      if (!proximo || proximo.dataInicio > limite) continue;
+
+      proximos.push({
+        pet: { _id: femea._id, nome: femea.nome, raca: femea.raca },
+        emAndamento: Boolean(cicloAtual),
+        baseadoEm,
+        ...proximo
+      });
+    }
+
+    return proximos.sort((a, b) => a.dataInicio - b.dataInicio);
+  }
+
+  /**
+   * Prevê os próximos cios a partir do histórico da fêmea
+   *
+   * O intervalo usado é a média dos últimos intervalos entre inícios de cio; sem ao menos
+   * dois cios registrados, usa o intervalo padrão da raça. Sem nenhum cio registrado não
+   * há data de referência e nada é previsto.
+   * @param {Array} ciclos - Cios registrados, em ordem cronológica
+   * @param {Object} padrao - Ciclo padrão da raça (cicloCio dos parâmetros)
+   * @param {Number} quantidade - Quantidade de cios futuros a prever
+   * @returns {Object} - Intervalo e duração usados, cio em andamento e cios previstos
+   */
+  preverCiclos(ciclos, padrao, quantidade) {
+    const inicios = ciclos.map(ciclo => new Date(ciclo.dataInicio));
+    const intervalos = inicios.slice(1)
+      .map((inicio, i) => (inicio - inicios[i]) / DIA_EM_MS)
+      .slice(-INTERVALOS_PREVISAO);
+    const duracoes = ciclos
+      .filter(ciclo => ciclo.dataFim)
+      .map(ciclo => (ciclo.dataFim - ciclo.dataInicio) / DIA_EM_MS);
+
+    const intervaloDias = intervalos.length > 0 ? Math.round(media(intervalos)) : padrao.intervaloDias;
+    const duracaoDias = duracoes.length > 0 ? Math.round(media(duracoes)) : padrao.duracaoDias;
+
+    const resultado = {
+      baseadoEm: intervalos.length > 0 ? 'historico' : 'raca',
+      intervaloDias,
+      duracaoDias,
+      cicloAtual: null,
+      ciclosPrevistos: []
+    };
+
+    if (inicios.length === 0) return resultado;
+
+    const hoje = new Date();
+    const ultimo = ciclos[ciclos.length - 1];
+    const fimUltimo = ultimo.dataFim || somarDias(ultimo.dataInicio, duracaoDias);
+
+    if (ultimo.dataInicio <= hoje && fimUltimo >= hoje) {
+      resultado.cicloAtual = this.montarPeriodo(ultimo.dataInicio, fimUltimo, padrao);
+    }
+
+    // Cios que já deveriam ter ocorrido sem registro são pulados
+    let inicio = somarDias(ultimo.dataInicio, intervaloDias);
+    while (somarDias(inicio, duracaoDias) < hoje) {
+      inicio = somarDias(inicio, intervaloDias);
+    }
+
+    for (let i = 0; i < quantidade; i++) {
+      resultado.ciclosPrevistos.push(this.montarPeriodo(inicio, somarDias(inicio, duracaoDias), padrao));
+      inicio = somarDias(inicio, intervaloDias);
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Monta um período de cio com a janela de cruzamento sugerida
+   * @param {Date} dataInicio - Início do cio
+   * @param {Date} dataFim - Término do cio
+   * @param {Object} padrao - Ciclo padrão da raça (janela de cruzamento)
+   * @returns {Object} - Período ({ dataInicio, dataFim, janelaCruzamento })
+   */
+  montarPeriodo(dataInicio, dataFim, padrao) {
+    const fimJanela = somarDias(dataInicio, padrao.fimJanelaCruzamentoDias);
+
+    return {
+      dataInicio,
+      dataFim,
+      janelaCruzamento: {
+        inicio: somarDias(dataInicio, padrao.inicioJanelaCruzamentoDias),
+        fim: fimJanela < dataFim ? fimJanela : dataFim
+      }
+    };
+  }
+
+  /**
+   * Busca uma fêmea ativa, verificando se o usuário pode gerenciá-la
+   * @param {String} petId - ID do pet
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Pet, ou null se não existir
+   */
+  async buscarFemea(petId, usuario) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+
+    const pet = await Pet.findOne({ _id: petId, ativo: true });
+    if (!pet) return null;
+
+    if (!podeGerenciar(usuario, pet)) {
+      throw criarErro('Usuário não autorizado a registrar cios deste pet', 403);
+    }
+
+    if (pet.genero !== 'fêmea') {
+      throw criarErro('Apenas fêmeas têm cios registrados', 422);
+    }
+
+    return pet;
+  }
+
+  /**
+   * Valida as datas de um cio em relação ao nascimento e aos demais cios da fêmea
+   * @param {Object} pet - Fêmea
+   * @param {Object} dados - Cio a validar (dataInicio, dataFim e, se existente, _id)
+   * @returns {Promise<Array>} - Erros encontrados ({ campo, mensagem })
+   */
+  async validarCiclo(pet, dados) {
+    const erros = [];
+    const inicio = new Date(dados.dataInicio);
+    const fim = dados.dataFim ? new Date(dados.dataFim) : null;
+
+    if (isNaN(inicio)) {
+      return [{ campo: 'dataInicio', mensagem: 'Data de início inválida' }];
+    }
+
+    if (inicio < pet.dataNascimento) {
+      erros.push({ campo: 'dataInicio', mensagem: 'O cio não pode começar antes do nascimento da fêmea' });
+    }
+
+    if (inicio > new Date()) {
+      erros.push({ campo: 'dataInicio', mensagem: 'Cios futuros não podem ser registrados' });
+    }
+
+    if (fim && (isNaN(fim) || fim < inicio)) {
+      erros.push({ campo: 'dataFim', mensagem: 'A data de término deve ser posterior à data de início' });
+    }
+
+    // Não pode haver sobreposição com outro cio da mesma fêmea. Cios sem término (o novo ou os
+    // já registrados) duram a duracaoDias da raça, como na previsão do calendário
+    const { cicloCio } = await parametrosPetService.getParametros(pet.raca);
+    const duracaoDias = cicloCio.duracaoDias;
+
+    const sobreposto = await CicloCio.findOne({
+      pet: pet._id,
+      ativo: true,
+      ...(dados._id && { _id: { $ne: dados._id } }),
+      dataInicio: { $lte: fim || somarDias(inicio, duracaoDias) },
+      $or: [
+        { dataFim: { $gte: inicio } },
+        { dataFim: null, dataInicio: { $gte: somarDias(inicio, -duracaoDias) } }
+      ]
+    });
+
+    if (sobreposto) {
+      erros.push({ campo: 'dataInicio', mensagem: 'O período se sobrepõe a outro cio registrado' });
+    }
+
+    return erros;
+  }
+}
+
+module.exports = new CicloCioService();
@@ -0,0 +1,70 @@
+const Pet = require('../models/Pet');
+const { criarErro } = require('../utils/erros');
+
+/**
+ * Serviço responsável pela identificação dos pets (microchip e registro oficial):
+ * formato, unicidade entre os pets ativos e consulta pelo identificador
+ */
+class IdentificacaoPetService {
+  /**
+   * Garante que o microchip e o registro oficial do pet são válidos e não pertencem a outro pet ativo
+   * @param {Object} dados - Documento do pet com as alterações aplicadas, ou dados de um novo pet
+   * @throws {Error} - 422 se o formato for inválido; 409 (com o pet existente) se houver duplicidade
+   */
+  async garantirIdentificacao(dados) {
+    const erros = await Pet.validarIdentificacao(dados);
+
+    const formato = erros.filter(erro => erro.tipo === 'formato');
+    if (formato.length > 0) {
+      throw criarErro('Identificação do pet inválida', 422, formato);
+    }
+
+    if (erros.length > 0) {
+      throw criarErro('Microchip ou registro oficial já cadastrado em outro pet ativo', 409, erros);
+    }
+  }
+
+  /**
+   * Busca um pet ativo pelo microchip ou pelo registro oficial
+   * @param {Object} filtros - { microchip } ou { registroOficial }
+   * @returns {Promise<Object|null>} - Perfil público do pet, ou null se não encontrado
+   */
+  async buscarPorIdentificacao({ microchip, registroOficial }) {
+    const filtro = { ativo: true };
+
+    if (microchip) {
+      filtro.microchip = Pet.normalizarMicrochip(microchip);
+    } else if (registroOficial) {
+      filtro.registroOficial = Pet.normalizarRegistro(registroOficial);
+    } else {
+      throw criarErro('Informe o microchip ou o registro oficial', 400);
+    }
+
+    const pet = await Pet.findOne(filtro);
+
+    return pet ? this.perfilPublico(pet) : null;
+  }
+
+  /**
+   * Perfil público de um pet: identificação e dados de criação, sem o proprietário
+   * @param {Object} pet - Documento do pet
+   * @returns {Object} - Perfil público
+   */
+  perfilPublico(pet) {
+    return {
+      _id: pet._id,
+      nome: pet.nome,
+      especie: pet.especie,
+      raca: pet.raca,
+      mestico: pet.mestico,
+      genero: pet.genero,
+      dataNascimento: pet.dataNascimento,
+      registroOficial: pet.registroOficial,
+      microchip: pet.microchip,
+      displasia: pet.displasia,
+      disponivelParaCruzamento: Boolean(pet.disponibilidadeReproducao && pet.disponibilidadeReproducao.disponivel)
+    };
+  }
+}
+
+module.exports = new IdentificacaoPetService();
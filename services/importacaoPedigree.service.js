@@ -0,0 +1,554 @@
+const mongoose = require('mongoose');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { criarErro } = require('../utils/erros');
+
+// Número máximo de linhas aceitas em uma importação
+const LIMITE_LINHAS = 1000;
+
+// Campos do pet copiados diretamente de cada linha
+const CAMPOS_PET = ['nome', 'especie', 'raca', 'genero', 'registroOficial', 'microchip'];
+
+const GENITORES = [
+  { campo: 'pai', descricao: 'Pai' },
+  { campo: 'mae', descricao: 'Mãe' }
+];
+
+// Texto aparado, ou undefined se vazio
+const texto = valor => {
+  if (valor === undefined || valor === null) return undefined;
+  const aparado = String(valor).trim();
+  return aparado === '' ? undefined : aparado;
+};
+
+// Lê datas no formato ISO (AAAA-MM-DD) ou brasileiro (DD/MM/AAAA)
+const lerData = valor => {
+  const entrada = texto(valor);
+  if (!entrada) return undefined;
+
+  const brasileira = entrada.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  const data = brasileira
+    ? new Date(Date.UTC(Number(brasileira[3]), Number(brasileira[2]) - 1, Number(brasileira[1])))
+    : new Date(entrada);
+
+  return isNaN(data) ? null : data;
+};
+
+// Chave de identificação por nome e data de nascimento
+const chaveNomeData = (nome, data) =>
+  nome && data ? `${nome.toLowerCase()}|${data.toISOString().slice(0, 10)}` : null;
+
+// Indexa um valor em um mapa de listas (valores repetidos indicam duplicidade ou ambiguidade)
+const indexar = (indice, chave, valor) => {
+  if (!chave) return;
+  if (!indice.has(chave)) indice.set(chave, []);
+  indice.get(chave).push(valor);
+};
+
+/**
+ * Serviço responsável pela importação em lote de pedigrees (CSV ou JSON)
+ *
+ * Pai e mãe de cada linha são identificados pelo registro oficial, pelo microchip ou pelo
+ * nome com a data de nascimento, tanto entre as linhas do arquivo (em qualquer ordem) quanto
+ * entre os pets já cadastrados. Nada é gravado se alguma linha tiver erro.
+ */
+class ImportacaoPedigreeService {
+  /**
+   * Converte um arquivo CSV (com cabeçalho) em registros; aceita vírgula ou ponto e vírgula
+   * @param {String} conteudo - Conteúdo do arquivo
+   * @returns {Array} - Registros (coluna -> valor)
+   */
+  lerCsv(conteudo) {
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let aspas = false;
+    const primeiraLinha = conteudo.split(/\r?\n/, 1)[0];
+    const separador = primeiraLinha.includes(';') && !primeiraLinha.includes(',') ? ';' : ',';
+
+    for (let i = 0; i < conteudo.length; i++) {
+      const caractere = conteudo[i];
+
+      if (aspas) {
+        if (caractere === '"' && conteudo[i + 1] === '"') {
+          campo += '"';
+          i++;
+        } else if (caractere === '"') {
+          aspas = false;
+        } else {
+          campo += caractere;
+        }
+      } else if (caractere === '"') {
+        aspas = true;
+      } else if (caractere === separador) {
+        linha.push(campo);
+        campo = '';
+      } else if (caractere === '\n' || caractere === '\r') {
+        if (caractere === '\r' && conteudo[i + 1] === '\n') i++;
+        linha.push(campo);
+        linhas.push(linha);
+        linha = [];
+        campo = '';
+      } else {
+        campo += caractere;
+      }
+    }
+
+    if (campo !== '' || linha.length > 0) {
+      linha.push(campo);
+      linhas.push(linha);
+    }
+
+    const [cabecalho = [], ...registros] = linhas;
+    const colunas = cabecalho.map(coluna => coluna.trim());
+
+    return registros
+      .filter(valores => valores.some(valor => valor.trim() !== ''))
+      .map(valores => Object.fromEntries(colunas.map((coluna, indice) => [coluna, valores[indice]])));
+  }
+
+  /**
+   * Importa (ou simula a importação de) um lote de pets com seus pedigrees
+   * @param {Array} registros - Linhas do arquivo (campos do pet e referências aos pais)
+   * @param {Object} usuario - Usuário autenticado ({ id, role }), que será o proprietário dos pets
+   * @param {Object} [opcoes]
+   * @param {Boolean} [opcoes.simular] - Apenas valida e retorna o relatório, sem gravar
+   * @returns {Promise<Object>} - Relatório por linha (genitores resolvidos, duplicidades e erros)
+   */
+  async importar(registros, usuario, opcoes = {}) {
+    try {
+      if (!Array.isArray(registros) || registros.length === 0) {
+        throw criarErro('O arquivo não contém nenhum pet', 400);
+      }
+
+      if (registros.length > LIMITE_LINHAS) {
+        throw criarErro(`O arquivo pode ter no máximo ${LIMITE_LINHAS} pets`, 400);
+      }
+
+      const linhas = registros.map((registro, indice) => this.normalizarLinha(registro, indice + 1, usuario));
+      const cadastrados = await this.carregarCadastrados(linhas);
+
+      this.verificarDuplicidades(linhas, cadastrados);
+      this.resolverGenitores(linhas, cadastrados);
+      await this.validarLinhas(linhas);
+
+      const comErros = linhas.filter(linha => linha.erros.length > 0);
+      const relatorio = {
+        simulacao: Boolean(opcoes.simular),
+        total: linhas.length,
+        validos: linhas.length - comErros.length,
+        comErros: comErros.length,
+        linhas: linhas.map(linha => this.descreverLinha(linha))
+      };
+
+      if (opcoes.simular) return relatorio;
+
+      if (comErros.length > 0) {
+        throw criarErro('A importação contém erros; nenhum pet foi cadastrado', 422, relatorio.linhas
+          .filter(linha => linha.erros.length > 0)
+          .map(({ linha, nome, erros }) => ({ linha, nome, erros })));
+      }
+
+      // Os pais são gravados antes dos filhos para que o índice de ancestrais seja calculado
+      await this.gravarLinhas(this.ordenarPorGeracao(linhas));
+
+      return {
+        ...relatorio,
+        importados: linhas.length,
+        linhas: linhas.map(linha => this.descreverLinha(linha))
+      };
+    } catch (error) {
+      console.error('Erro ao importar pedigree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grava os pets na ordem informada. Se uma linha falhar, os pets já gravados são removidos,
+   * para que a importação não fique pela metade
+   * @param {Array} linhas - Linhas válidas, com os pais antes dos filhos
+   * @throws {Error} - Erro da linha que falhou (statusCode original ou 500), indicando se a remoção foi concluída
+   */
+  async gravarLinhas(linhas) {
+    const gravadas = [];
+
+    for (const linha of linhas) {
+      try {
+        await Pet.create(linha.dados);
+      } catch (error) {
+        let removidos = true;
+
+        try {
+          await Pet.deleteMany({ _id: { $in: gravadas.map(gravada => gravada.dados._id) } });
+        } catch (erroRemocao) {
+          console.error('Erro ao remover os pets da importação interrompida:', erroRemocao);
+          removidos = false;
+        }
+
+        const erros = error.erros ? [...error.erros] : [{ campo: 'pet', mensagem: error.message }];
+        if (!removidos) {
+          erros.push({
+            campo: 'importacao',
+            mensagem: `Pets gravados e não removidos: ${gravadas.map(gravada => gravada.dados._id).join(', ')}`
+          });
+        }
+
+        const situacao = removidos
+          ? 'nenhum pet foi cadastrado'
+          : `os ${gravadas.length} pets já gravados não puderam ser removidos`;
+
+        throw criarErro(`A importação falhou na linha ${linha.numero}; ${situacao}`, error.statusCode || 500, [
+          { linha: linha.numero, nome: linha.dados.nome, erros }
+        ]);
+      }
+
+      linha.importado = true;
+      gravadas.push(linha);
+    }
+  }
+
+  /**
+   * Converte uma linha do arquivo nos dados do pet e nas referências aos pais
+   * @param {Object} registro - Linha do arquivo
+   * @param {Number} numero - Número da linha (1 = primeiro pet)
+   * @param {Object} usuario - Usuário autenticado
+   * @returns {Object} - Linha normalizada ({ numero, dados, referencias, erros })
+   */
+  normalizarLinha(registro, numero, usuario) {
+    const dados = { _id: new mongoose.Types.ObjectId(), proprietario: usuario.id };
+    const erros = [];
+
+    for (const campo of CAMPOS_PET) {
+      const valor = texto(registro[campo]);
+      if (valor !== undefined) dados[campo] = valor;
+    }
+
+    // Mesma normalização do cadastro, para comparar com os pets existentes e entre as linhas
+    if (dados.microchip) dados.microchip = Pet.normalizarMicrochip(dados.microchip);
+    if (dados.registroOficial) dados.registroOficial = Pet.normalizarRegistro(dados.registroOficial);
+
+    if (dados.genero && dados.genero.toLowerCase() === 'femea') dados.genero = 'fêmea';
+    if (dados.genero) dados.genero = dados.genero.toLowerCase();
+
+    dados.mestico = ['true', 'sim', '1'].includes(String(texto(registro.mestico)).toLowerCase());
+
+    const dataNascimento = lerData(registro.dataNascimento);
+    if (dataNascimento === null) {
+      erros.push({ tipo: 'validacao', campo: 'dataNascimento', mensagem: 'Data de nascimento inválida' });
+    } else if (dataNascimento) {
+      dados.dataNascimento = dataNascimento;
+    }
+
+    const displasia = texto(registro.displasia);
+    const esquema = texto(registro.displasiaEsquema);
+    if (displasia !== undefined) {
+      dados.displasia = esquema ? { esquema, valor: displasia } : displasia;
+    }
+
+    // Referências aos pais: colunas planas (paiRegistro, paiMicrochip, paiNome, paiDataNascimento)
+    // ou, no JSON, um objeto { registroOficial, microchip, nome, dataNascimento }
+    const referencias = {};
+
+    for (const { campo } of GENITORES) {
+      const aninhado = registro[campo] && typeof registro[campo] === 'object' ? registro[campo] : {};
+      const referencia = {
+        registroOficial: Pet.normalizarRegistro(texto(aninhado.registroOficial || registro[`${campo}Registro`])),
+        microchip: Pet.normalizarMicrochip(texto(aninhado.microchip || registro[`${campo}Microchip`])),
+        nome: texto(aninhado.nome || registro[`${campo}Nome`])
+      };
+      const data = lerData(aninhado.dataNascimento || registro[`${campo}DataNascimento`]);
+
+      if (data === null) {
+        erros.push({ tipo: 'validacao', campo, mensagem: 'Data de nascimento do genitor inválida' });
+      } else if (data) {
+        referencia.dataNascimento = data;
+      }
+
+      if (referencia.registroOficial || referencia.microchip || referencia.nome) {
+        referencias[campo] = referencia;
+      }
+    }
+
+    return { numero, dados, referencias, genitores: {}, erros };
+  }
+
+  /**
+   * Carrega os pets ativos que compartilham registro, microchip ou nome com o arquivo
+   * @param {Array} linhas - Linhas normalizadas
+   * @returns {Promise<Object>} - Índices por registro, microchip e nome + data de nascimento
+   */
+  async carregarCadastrados(linhas) {
+    const registros = new Set();
+    const microchips = new Set();
+    const nomes = new Set();
+
+    for (const { dados, referencias } of linhas) {
+      for (const item of [dados, ...Object.values(referencias)]) {
+        if (item.registroOficial) registros.add(item.registroOficial);
+        if (item.microchip) microchips.add(item.microchip);
+        if (item.nome) nomes.add(item.nome);
+      }
+    }
+
+    // Nomes são comparados sem diferenciar maiúsculas e minúsculas
+    const pets = await Pet.find({
+      ativo: true,
+      $or: [
+        { registroOficial: { $in: [...registros] } },
+        { microchip: { $in: [...microchips] } },
+        { nome: { $in: [...nomes] } }
+      ]
+    })
+      .collation({ locale: 'pt', strength: 2 })
+      .select('nome genero especie raca dataNascimento pai mae registroOficial microchip');
+
+    const indices = { porId: new Map(), registro: new Map(), microchip: new Map(), nomeData: new Map() };
+
+    for (const pet of pets) {
+      indices.porId.set(pet._id.toString(), pet);
+      indexar(indices.registro, pet.registroOficial, pet);
+      indexar(indices.microchip, pet.microchip, pet);
+      indexar(indices.nomeData, chaveNomeData(pet.nome, pet.dataNascimento), pet);
+    }
+
+    return indices;
+  }
+
+  /**
+   * Marca linhas repetidas no arquivo ou que já existem no cadastro
+   * @param {Array} linhas - Linhas normalizadas
+   * @param {Object} cadastrados - Índices dos pets já cadastrados
+   */
+  verificarDuplicidades(linhas, cadastrados) {
+    const identificadores = [
+      { campo: 'registroOficial', indice: 'registro', chave: dados => dados.registroOficial, descricao: 'registro oficial' },
+      { campo: 'microchip', indice: 'microchip', chave: dados => dados.microchip, descricao: 'microchip' },
+      {
+        campo: 'nome',
+        indice: 'nomeData',
+        chave: dados => chaveNomeData(dados.nome, dados.dataNascimento),
+        descricao: 'nome e data de nascimento'
+      }
+    ];
+
+    for (const { campo, indice, chave, descricao } of identificadores) {
+      const noArquivo = new Map();
+      linhas.forEach(linha => indexar(noArquivo, chave(linha.dados), linha));
+
+      for (const linha of linhas) {
+        const valor = chave(linha.dados);
+        if (!valor) continue;
+
+        const existente = (cadastrados[indice].get(valor) || [])[0];
+        if (existente) {
+          linha.erros.push({
+            tipo: 'duplicado',
+            campo,
+            mensagem: `Já existe um pet cadastrado com este ${descricao}: ${existente.nome}`,
+            petExistente: existente._id
+          });
+        }
+
+        const repetidas = noArquivo.get(valor).filter(outra => outra !== linha);
+        if (repetidas.length > 0) {
+          linha.erros.push({
+            tipo: 'duplicado',
+            campo,
+            mensagem: `O mesmo ${descricao} aparece nas linhas ${repetidas.map(outra => outra.numero).join(', ')}`
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve pai e mãe de cada linha, primeiro entre as linhas do arquivo e depois no cadastro
+   *
+   * A busca segue a ordem registro oficial, microchip e nome + data de nascimento;
+   * sem data, o nome só é aceito se identificar um único pet.
+   * @param {Array} linhas - Linhas normalizadas
+   * @param {Object} cadastrados - Índices dos pets já cadastrados
+   */
+  resolverGenitores(linhas, cadastrados) {
+    const doArquivo = { registro: new Map(), microchip: new Map(), nomeData: new Map(), nome: new Map() };
+    const cadastradosPorNome = new Map();
+
+    for (const linha of linhas) {
+      const { dados } = linha;
+      indexar(doArquivo.registro, dados.registroOficial, linha);
+      indexar(doArquivo.microchip, dados.microchip, linha);
+      indexar(doArquivo.nomeData, chaveNomeData(dados.nome, dados.dataNascimento), linha);
+      indexar(doArquivo.nome, dados.nome && dados.nome.toLowerCase(), linha);
+    }
+
+    for (const pet of cadastrados.porId.values()) {
+      indexar(cadastradosPorNome, pet.nome.toLowerCase(), pet);
+    }
+
+    const buscar = referencia => {
+      const criterios = [
+        ['registro', referencia.registroOficial, cadastrados.registro],
+        ['microchip', referencia.microchip, cadastrados.microchip],
+        referencia.dataNascimento
+          ? ['nomeData', chaveNomeData(referencia.nome, referencia.dataNascimento), cadastrados.nomeData]
+          : ['nome', referencia.nome && referencia.nome.toLowerCase(), cadastradosPorNome]
+      ];
+
+      for (const [indice, valor, indiceCadastro] of criterios) {
+        if (!valor) continue;
+
+        const candidatos = [
+          ...(doArquivo[indice].get(valor) || []).map(linha => ({ origem: 'arquivo', linha, dados: linha.dados })),
+          ...(indiceCadastro.get(valor) || []).map(pet => ({ origem: 'cadastro', dados: pet }))
+        ];
+
+        if (candidatos.length === 1) return { encontrado: candidatos[0] };
+        if (candidatos.length > 1) return { ambiguo: candidatos.length };
+      }
+
+      return {};
+    };
+
+    const descreverReferencia = referencia => [
+      referencia.registroOficial && `registro ${referencia.registroOficial}`,
+      referencia.microchip && `microchip ${referencia.microchip}`,
+      referencia.nome && `nome ${referencia.nome}`,
+      referencia.dataNascimento && `nascido em ${referencia.dataNascimento.toISOString().slice(0, 10)}`
+    ].filter(Boolean).join(', ');
+
+    for (const linha of linhas) {
+      for (const { campo, descricao } of GENITORES) {
+        const referencia = linha.referencias[campo];
+        if (!referencia) continue;
+
+        const { encontrado, ambiguo } = buscar(referencia);
+
+        if (ambiguo) {
+          linha.erros.push({
+            tipo: 'genitorNaoResolvido',
+            campo,
+            mensagem: `${descricao} ambíguo (${descreverReferencia(referencia)}): ${ambiguo} pets correspondem; informe registro, microchip ou data de nascimento`
+          });
+        } else if (!encontrado) {
+          linha.erros.push({
+            tipo: 'genitorNaoResolvido',
+            campo,
+            mensagem: `${descricao} não encontrado no arquivo nem no cadastro (${descreverReferencia(referencia)})`
+          });
+        } else {
+          linha.dados[campo] = encontrado.dados._id;
+          linha.genitores[campo] = encontrado;
+        }
+      }
+    }
+  }
+
+  /**
+   * Converte a displasia e valida os campos e o pedigree de cada linha
+   *
+   * A validação do pedigree enxerga os pets do arquivo como se já estivessem cadastrados.
+   * @param {Array} linhas - Linhas normalizadas
+   */
+  async validarLinhas(linhas) {
+    const porId = new Map(linhas.map(linha => [linha.dados._id.toString(), linha.dados]));
+    const buscarPet = async id => porId.get(id.toString()) || await Pet.findById(id);
+    const parametrosPorRaca = new Map();
+
+    for (const linha of linhas) {
+      const { dados } = linha;
+
+      if (dados.displasia !== undefined) {
+        try {
+          const chave = (dados.raca || '').toLowerCase();
+          if (!parametrosPorRaca.has(chave)) {
+            parametrosPorRaca.set(chave, await parametrosPetService.getParametros(dados.raca));
+          }
+
+          const { esquema, valor, grau } = parametrosPetService.converterDisplasia(
+            dados.displasia,
+            parametrosPorRaca.get(chave).conversaoDisplasia
+          );
+          dados.displasia = grau;
+          dados.displasiaOriginal = { esquema, valor };
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          linha.erros.push({ tipo: 'validacao', campo: 'displasia', mensagem: error.message });
+          delete dados.displasia;
+        }
+      }
+
+      const validacao = new Pet(dados).validateSync();
+      if (validacao) {
+        Object.values(validacao.errors)
+          .filter(erro => !(erro.path === 'displasia' && linha.erros.some(existente => existente.campo === 'displasia')))
+          .forEach(erro => linha.erros.push({ tipo: 'validacao', campo: erro.path, mensagem: erro.message }));
+      }
+
+      // Sem genitores resolvidos não há como validar o pedigree da linha
+      if (linha.erros.some(erro => erro.tipo === 'genitorNaoResolvido')) continue;
+
+      const errosPedigree = await Pet.validarPedigree(dados, { buscarPet });
+      errosPedigree.forEach(erro => linha.erros.push({ tipo: 'validacao', ...erro }));
+    }
+  }
+
+  /**
+   * Ordena as linhas para que os pais do arquivo sejam gravados antes dos filhos
+   * @param {Array} linhas - Linhas válidas
+   * @returns {Array} - Linhas em ordem de gravação
+   */
+  ordenarPorGeracao(linhas) {
+    const ordenadas = [];
+    const visitadas = new Set();
+
+    const visitar = linha => {
+      if (visitadas.has(linha)) return;
+      visitadas.add(linha);
+
+      for (const { campo } of GENITORES) {
+        const genitor = linha.genitores[campo];
+        if (genitor && genitor.origem === 'arquivo') visitar(genitor.linha);
+      }
+
+      ordenadas.push(linha);
+    };
+
+    linhas.forEach(visitar);
+    return ordenadas;
+  }
+
+  /**
+   * Monta o resultado de uma linha para o relatório
+   * @param {Object} linha - Linha normalizada
+   * @returns {Object} - Situação da linha, genitores resolvidos e erros
+   */
+  descreverLinha(linha) {
+    const genitores = {};
+
+    for (const { campo } of GENITORES) {
+      const genitor = linha.genitores[campo];
+      genitores[campo] = genitor
+        ? {
+          id: genitor.dados._id,
+          nome: genitor.dados.nome,
+          origem: genitor.origem,
+          ...(genitor.linha && { linha: genitor.linha.numero })
+        }
+        : null;
+    }
+
+    let status = linha.erros.length > 0 ? 'erro' : 'valido';
+    if (linha.importado) status = 'importado';
+
+    return {
+      linha: linha.numero,
+      nome: linha.dados.nome,
+      status,
+      ...(linha.importado && { petId: linha.dados._id }),
+      ...genitores,
+      erros: linha.erros
+    };
+  }
+}
+
+module.exports = new ImportacaoPedigreeService();
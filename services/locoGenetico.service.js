@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const LocoGenetico = require('../models/LocoGenetico');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { criarErro } = require('../utils/erros');
+
+// Campos do locus que podem ser alterados após a criação
+const CAMPOS_EDITAVEIS = ['nome', 'descricao', 'alelos', 'fenotipos', 'epistasia'];
+
+// Converte uma probabilidade (0-1) em percentual com 2 casas decimais
+const percentual = probabilidade => Math.round(probabilidade * 10000) / 100;
+
+// Transforma um mapa valor -> probabilidade em lista ordenada da mais provável para a menos provável
+const ordenarDistribuicao = (distribuicao, campo) => [...distribuicao]
+  .map(([valor, probabilidade]) => ({ [campo]: valor, probabilidade: percentual(probabilidade) }))
+  .sort((a, b) => b.probabilidade - a.probabilidade);
+
+// Soma uma probabilidade ao valor de um mapa de distribuição
+const acumular = (distribuicao, valor, probabilidade) =>
+  distribuicao.set(valor, (distribuicao.get(valor) || 0) + probabilidade);
+
+/**
+ * Serviço responsável pelos loci genéticos (cor de pelagem e outras características
+ * mendelianas), pelos genótipos dos pets e pela previsão de herança dos filhotes
+ */
+class LocoGeneticoService {
+  /**
+   * Lista os loci ativos
+   * @param {String} [raca] - Se informada, apenas os loci que valem para a raça
+   * @returns {Promise<Array>} - Loci genéticos
+   */
+  async listarLoci(raca) {
+    return raca
+      ? await LocoGenetico.carregarLociRaca(raca)
+      : await LocoGenetico.carregarCatalogo();
+  }
+
+  /**
+   * Busca um locus ativo pelo código
+   * @param {String} codigo - Código do locus
+   * @param {String} [raca] - Raça da definição (vazio = definição padrão)
+   * @returns {Promise<Object|null>} - Locus, ou null se não existir
+   */
+  async getLoco(codigo, raca) {
+    await LocoGenetico.carregarCatalogo();
+    return await LocoGenetico.findOne({
+      codigo,
+      raca: raca ? raca.trim().toLowerCase() : null,
+      ativo: true
+    });
+  }
+
+  /**
+   * Cadastra um locus (padrão ou específico de uma raça)
+   * @param {Object} dados - Dados do locus (codigo, nome, raca, alelos, fenotipos, epistasia)
+   * @returns {Promise<Object>} - Locus criado
+   */
+  async criarLoco(dados) {
+    try {
+      if (!dados.codigo || !dados.nome || !dados.alelos) {
+        throw criarErro('É necessário informar código, nome e alelos do locus', 400);
+      }
+
+      await LocoGenetico.carregarCatalogo();
+
+      const raca = dados.raca ? dados.raca.trim().toLowerCase() : null;
+      const existente = await LocoGenetico.findOne({ codigo: dados.codigo, raca });
+      if (existente && existente.ativo) {
+        throw criarErro(`Já existe um locus ${dados.codigo}${raca ? ` para a raça ${raca}` : ''}`, 409);
+      }
+
+      // Um locus removido pode ser recadastrado com o mesmo código
+      const loco = existente || new LocoGenetico({ codigo: dados.codigo, raca });
+      loco.ativo = true;
+      this.aplicarDados(loco, dados);
+
+      const erros = this.validarLoco(loco);
+      if (erros.length > 0) {
+        throw criarErro('Locus genético inválido', 422, erros);
+      }
+
+      await loco.save();
+      return loco;
+    } catch (error) {
+      console.error('Erro ao criar locus genético:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um locus
+   * @param {String} codigo - Código do locus
+   * @param {String} [raca] - Raça da definição (vazio = definição padrão)
+   * @param {Object} dados - Campos a atualizar
+   * @returns {Promise<Object|null>} - Locus atualizado, ou null se não existir
+   */
+  async atualizarLoco(codigo, raca, dados) {
+    try {
+      const loco = await this.getLoco(codigo, raca);
+      if (!loco) return null;
+
+      this.aplicarDados(loco, dados);
+
+      const erros = this.validarLoco(loco);
+      if (erros.length > 0) {
+        throw criarErro('Locus genético inválido', 422, erros);
+      }
+
+      await loco.save();
+      return loco;
+    } catch (error) {
+      console.error('Erro ao atualizar locus genético:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove um locus (os genótipos já registrados nos pets são mantidos)
+   *
+   * Removendo a definição de uma raça, a raça volta a usar a definição padrão.
+   * @param {String} codigo - Código do locus
+   * @param {String} [raca] - Raça da definição (vazio = definição padrão)
+   * @returns {Promise<Object|null>} - Locus removido, ou null se não existir
+   */
+  async removerLoco(codigo, raca) {
+    try {
+      const loco = await this.getLoco(codigo, raca);
+      if (!loco) return null;
+
+      await LocoGenetico.updateOne({ _id: loco._id }, { ativo: false });
+      return loco;
+    } catch (error) {
+      console.error('Erro ao remover locus genético:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra genótipos de um pet (substitui o genótipo anterior do mesmo locus)
+   * @param {String} petId - ID do pet
+   * @param {Array} genotipos - Genótipos ({ loco, alelos: [a1, a2] ou genotipo: 'a1/a2', laboratorio, data })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Genótipos do pet, ou null se o pet não existir
+   */
+  async registrarGenotipos(petId, genotipos, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(petId)) return null;
+
+      const pet = await Pet.findOne({ _id: petId, ativo: true });
+      if (!pet) return null;
+
+      if (pet.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+        throw criarErro('Usuário não autorizado a modificar este pet', 403);
+      }
+
+      if (!Array.isArray(genotipos) || genotipos.length === 0) {
+        throw criarErro('Informe ao menos um genótipo', 400);
+      }
+
+      const loci = new Map((await LocoGenetico.carregarLociRaca(pet.raca)).map(loco => [loco.codigo, loco]));
+      const erros = [];
+      const validos = [];
+
+      genotipos.forEach((dados, indice) => {
+        const campo = `genotipos[${indice}]`;
+        const loco = loci.get(dados.loco);
+        const alelos = dados.alelos || (typeof dados.genotipo === 'string' ? dados.genotipo.split('/') : []);
+
+        if (!loco) {
+          erros.push({ campo, mensagem: `Locus ${dados.loco} não encontrado para a raça ${pet.raca}` });
+          return;
+        }
+
+        const desconhecidos = alelos.filter(alelo => !loco.simbolos().includes(alelo));
+        if (alelos.length !== 2 || desconhecidos.length > 0) {
+          erros.push({
+            campo,
+            mensagem: `Genótipo inválido para o locus ${loco.codigo}. Informe dois alelos entre: ${loco.simbolos().join(', ')}`
+          });
+          return;
+        }
+
+        validos.push({
+          loco: loco.codigo,
+          alelos: loco.normalizarGenotipo(alelos).split('/'),
+          laboratorio: dados.laboratorio,
+          data: dados.data
+        });
+      });
+
+      if (erros.length > 0) {
+        throw criarErro('Genótipos inválidos', 422, erros);
+      }
+
+      const atualizados = new Set(validos.map(genotipo => genotipo.loco));
+      pet.genotipos = [
+        ...pet.genotipos.filter(genotipo => !atualizados.has(genotipo.loco)),
+        ...validos
+      ];
+
+      await pet.save();
+      return this.montarGenotipos(pet, [...loci.values()]);
+    } catch (error) {
+      console.error('Erro ao registrar genótipos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os genótipos de um pet com os fenótipos correspondentes
+   * @param {String} petId - ID do pet
+   * @returns {Promise<Object|null>} - Genótipos do pet, ou null se o pet não existir
+   */
+  async listarGenotipos(petId) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+
+    const pet = await Pet.findOne({ _id: petId, ativo: true });
+    if (!pet) return null;
+
+    return this.montarGenotipos(pet, await LocoGenetico.carregarLociRaca(pet.raca));
+  }
+
+  /**
+   * Prevê a distribuição de genótipos e fenótipos dos filhotes de um par,
+   * junto com a avaliação de compatibilidade do par
+   *
+   * Cada locus segue a segregação mendeliana (1/4 para cada combinação de alelos dos pais)
+   * e os loci são considerados independentes. Loci em que algum dos pets não tem genótipo
+   * conhecido ficam fora da previsão e são listados em lociSemGenotipo.
+   * @param {String} petId1 - ID do primeiro pet
+   * @param {String} petId2 - ID do segundo pet
+   * @returns {Promise<Object>} - Previsão por locus, fenótipos combinados e compatibilidade
+   */
+  async preverHeranca(petId1, petId2) {
+    try {
+      const [pet1, pet2] = await Promise.all([
+        Pet.findById(petId1),
+        Pet.findById(petId2)
+      ]);
+
+      if (!pet1 || !pet2) {
+        throw criarErro('Um ou ambos os pets não foram encontrados', 404);
+      }
+
+      const raca = parametrosPetService.racaDoPar(pet1, pet2);
+      const loci = await LocoGenetico.carregarLociRaca(raca);
+      const distribuicoes = [];
+      const lociSemGenotipo = [];
+
+      for (const loco of loci) {
+        const [genotipo1, genotipo2] = [pet1, pet2].map(pet => this.getGenotipoValido(pet, loco));
+
+        if (!genotipo1 || !genotipo2) {
+          lociSemGenotipo.push({
+            codigo: loco.codigo,
+            nome: loco.nome,
+            pets: [pet1, pet2].filter(pet => !this.getGenotipoValido(pet, loco)).map(pet => pet.nome)
+          });
+          continue;
+        }
+
+        distribuicoes.push({ loco, genotipo1, genotipo2, genotipos: this.calcularDistribuicaoLoco(loco, genotipo1, genotipo2) });
+      }
+
+      const compatibilidade = await parametrosPetService.verificarCompatibilidade(pet1._id, pet2._id);
+
+      return {
+        pet1: { id: pet1._id, nome: pet1.nome, genero: pet1.genero },
+        pet2: { id: pet2._id, nome: pet2.nome, genero: pet2.genero },
+        raca,
+        loci: distribuicoes.map(({ loco, genotipo1, genotipo2, genotipos }) => {
+          const fenotipos = new Map();
+          genotipos.forEach((probabilidade, genotipo) => acumular(fenotipos, loco.getFenotipo(genotipo), probabilidade));
+
+          return {
+            codigo: loco.codigo,
+            nome: loco.nome,
+            genotipoPet1: loco.normalizarGenotipo(genotipo1),
+            genotipoPet2: loco.normalizarGenotipo(genotipo2),
+            genotipos: ordenarDistribuicao(genotipos, 'genotipo'),
+            fenotipos: ordenarDistribuicao(fenotipos, 'fenotipo')
+          };
+        }),
+        fenotipos: this.combinarFenotipos(distribuicoes),
+        lociSemGenotipo,
+        compatibilidade
+      };
+    } catch (error) {
+      console.error('Erro ao prever herança:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Distribuição dos genótipos dos filhotes em um locus (quadro de Punnett)
+   * @param {Object} loco - Locus genético
+   * @param {Array} alelos1 - Alelos do primeiro pet
+   * @param {Array} alelos2 - Alelos do segundo pet
+   * @returns {Map} - Genótipo normalizado -> probabilidade (0-1)
+   */
+  calcularDistribuicaoLoco(loco, alelos1, alelos2) {
+    const distribuicao = new Map();
+
+    for (const alelo1 of alelos1) {
+      for (const alelo2 of alelos2) {
+        acumular(distribuicao, loco.normalizarGenotipo([alelo1, alelo2]), 0.25);
+      }
+    }
+
+    return distribuicao;
+  }
+
+  /**
+   * Combina as distribuições dos loci em fenótipos completos, aplicando a epistasia
+   *
+   * Nos loci sem regras de epistasia basta o fenótipo, então combinações que levam
+   * ao mesmo resultado são somadas a cada passo para não multiplicar os genótipos.
+   * @param {Array} distribuicoes - Distribuições por locus ({ loco, genotipos })
+   * @returns {Array} - Fenótipos combinados ({ fenotipo, probabilidade }), do mais provável ao menos provável
+   */
+  combinarFenotipos(distribuicoes) {
+    if (distribuicoes.length === 0) return [];
+
+    let combinacoes = [{ estados: [], probabilidade: 1 }];
+
+    for (const { loco, genotipos } of distribuicoes) {
+      const mascarador = loco.epistasia.length > 0;
+      const proximas = new Map();
+
+      for (const { estados, probabilidade } of combinacoes) {
+        for (const [genotipo, probabilidadeGenotipo] of genotipos) {
+          const novosEstados = [...estados, {
+            loco,
+            genotipo: mascarador ? genotipo : null,
+            fenotipo: loco.getFenotipo(genotipo)
+          }];
+          const chave = novosEstados.map(estado => estado.genotipo || estado.fenotipo).join('|');
+          const existente = proximas.get(chave);
+
+          if (existente) {
+            existente.probabilidade += probabilidade * probabilidadeGenotipo;
+          } else {
+            proximas.set(chave, { estados: novosEstados, probabilidade: probabilidade * probabilidadeGenotipo });
+          }
+        }
+      }
+
+      combinacoes = [...proximas.values()];
+    }
+
+    const fenotipos = new Map();
+
+    for (const { estados, probabilidade } of combinacoes) {
+      const mascarados = new Set(estados
+        .filter(estado => estado.genotipo)
+        .flatMap(estado => estado.loco.getLociMascarados(estado.genotipo)));
+
+      const fenotipo = estados
+        .filter(estado => !mascarados.has(estado.loco.codigo))
+        .map(estado => `${estado.loco.nome}: ${estado.fenotipo}`)
+        .join('; ');
+
+      acumular(fenotipos, fenotipo, probabilidade);
+    }
+
+    return ordenarDistribuicao(fenotipos, 'fenotipo');
+  }
+
+  /**
+   * Genótipo do pet no locus, desde que use apenas alelos da definição atual do locus
+   * @param {Object} pet - Pet
+   * @param {Object} loco - Locus genético
+   * @returns {Array|null} - Alelos do pet, ou null se desconhecidos
+   */
+  getGenotipoValido(pet, loco) {
+    const alelos = pet.getGenotipo(loco.codigo);
+    if (!alelos) return null;
+    return alelos.every(alelo => loco.simbolos().includes(alelo)) ? alelos : null;
+  }
+
+  /**
+   * Monta os genótipos de um pet com o fenótipo de cada um
+   * @param {Object} pet - Pet
+   * @param {Array} loci - Loci que valem para a raça do pet
+   * @returns {Object} - Genótipos do pet
+   */
+  montarGenotipos(pet, loci) {
+    const porCodigo = new Map(loci.map(loco => [loco.codigo, loco]));
+
+    return {
+      petId: pet._id,
+      nome: pet.nome,
+      raca: pet.raca,
+      genotipos: pet.genotipos.map(genotipo => {
+        const loco = porCodigo.get(genotipo.loco);
+        const alelos = loco && this.getGenotipoValido(pet, loco);
+
+        return {
+          loco: genotipo.loco,
+          nome: loco ? loco.nome : genotipo.loco,
+          genotipo: genotipo.alelos.join('/'),
+          fenotipo: alelos ? loco.getFenotipo(loco.normalizarGenotipo(alelos)) : null,
+          laboratorio: genotipo.laboratorio,
+          data: genotipo.data
+        };
+      })
+    };
+  }
+
+  /**
+   * Copia para o locus os campos editáveis informados
+   * @param {Object} loco - Documento do locus
+   * @param {Object} dados - Novos dados
+   */
+  aplicarDados(loco, dados) {
+    for (const campo of CAMPOS_EDITAVEIS) {
+      if (dados[campo] !== undefined) {
+        loco[campo] = dados[campo];
+      }
+    }
+  }
+
+  /**
+   * Verifica se as regras de fenótipo e epistasia usam apenas alelos do locus
+   * @param {Object} loco - Documento do locus
+   * @returns {Array} - Erros encontrados ({ campo, mensagem })
+   */
+  validarLoco(loco) {
+    const simbolos = loco.simbolos();
+    const erros = [];
+
+    if (new Set(simbolos).size !== simbolos.length) {
+      erros.push({ campo: 'alelos', mensagem: 'Os símbolos dos alelos devem ser únicos' });
+    }
+
+    const genotipoValido = genotipo => {
+      const alelos = genotipo.split('/');
+      return alelos.length === 2 && alelos.every(alelo => simbolos.includes(alelo));
+    };
+
+    (loco.fenotipos || []).forEach(regra => {
+      if (!genotipoValido(regra.genotipo)) {
+        erros.push({ campo: 'fenotipos', mensagem: `O genótipo ${regra.genotipo} usa alelos que não existem no locus` });
+      }
+    });
+
+    (loco.epistasia || []).forEach(regra => {
+      regra.genotipos.filter(genotipo => !genotipoValido(genotipo)).forEach(genotipo => {
+        erros.push({ campo: 'epistasia', mensagem: `O genótipo ${genotipo} usa alelos que não existem no locus` });
+      });
+
+      if (regra.lociMascarados.includes(loco.codigo)) {
+        erros.push({ campo: 'epistasia', mensagem: 'Um locus não pode mascarar a si mesmo' });
+      }
+    });
+
+    return erros;
+  }
+}
+
+module.exports = new LocoGeneticoService();
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Ninhada = require('../models/Ninhada');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const identificacaoPetService = require('./identificacaoPet.service');
+const { criarErro } = require('../utils/erros');
+
+// Verifica se o usuário é admin ou proprietário de algum dos pets informados
+const podeGerenciar = (usuario, ...proprietarios) =>
+  usuario.role === 'admin' ||
+  proprietarios.some(proprietario => proprietario && proprietario.toString() === usuario.id);
+
+/**
+ * Serviço responsável pelo registro de ninhadas (cruzamentos realizados)
+ * e pelo cadastro dos seus filhotes
+ */
+class NinhadaService {
+  /**
+   * Registra uma ninhada, guardando o resultado de compatibilidade no momento do cruzamento
+   * @param {Object} dados - Dados da ninhada (pai, mae, dataCruzamento, dataParto, quantidades)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object>} - Ninhada criada
+   */
+  async registrarNinhada(dados, usuario) {
+    try {
+      if (!dados.pai || !dados.mae || !dados.dataCruzamento) {
+        throw criarErro('É necessário informar pai, mãe e data do cruzamento', 400);
+      }
+
+      if (!mongoose.isValidObjectId(dados.pai) || !mongoose.isValidObjectId(dados.mae)) {
+        throw criarErro('Pai ou mãe com ID inválido', 400);
+      }
+
+      const [pai, mae] = await Promise.all([
+        Pet.findById(dados.pai),
+        Pet.findById(dados.mae)
+      ]);
+
+      if (!pai || !mae) {
+        throw criarErro('Um ou ambos os pets não foram encontrados', 404);
+      }
+
+      if (!podeGerenciar(usuario, pai.proprietario, mae.proprietario)) {
+        throw criarErro('Usuário não autorizado a registrar uma ninhada destes pets', 403);
+      }
+
+      const erros = [];
+      if (pai.genero !== 'macho') {
+        erros.push({ campo: 'pai', mensagem: 'O pai deve ser do gênero macho' });
+      }
+      if (mae.genero !== 'fêmea') {
+        erros.push({ campo: 'mae', mensagem: 'A mãe deve ser do gênero fêmea' });
+      }
+      for (const [campo, genitor] of [['pai', pai], ['mae', mae]]) {
+        if (new Date(dados.dataCruzamento) <= genitor.dataNascimento) {
+          erros.push({
+            campo: 'dataCruzamento',
+            mensagem: `A data do cruzamento é anterior ao nascimento do(a) ${campo === 'pai' ? 'pai' : 'mãe'}`
+          });
+        }
+      }
+      if (erros.length > 0) {
+        throw criarErro('Ninhada inválida', 422, erros);
+      }
+
+      const compatibilidade = await parametrosPetService.verificarCompatibilidade(pai._id, mae._id);
+
+      return await Ninhada.create({
+        pai: pai._id,
+        mae: mae._id,
+        dataCruzamento: dados.dataCruzamento,
+        dataParto: dados.dataParto,
+        quantidadeNascidos: dados.quantidadeNascidos,
+        quantidadeVivos: dados.quantidadeVivos,
+        observacoes: dados.observacoes,
+        compatibilidade,
+        proprietario: usuario.id
+      });
+    } catch (error) {
+      console.error('Erro ao registrar ninhada:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma ninhada com os pais e os filhotes cadastrados
+   * @param {String} ninhadaId - ID da ninhada
+   * @returns {Promise<Object|null>} - Ninhada e filhotes, ou null se não existir
+   */
+  async getNinhada(ninhadaId) {
+    if (!mongoose.isValidObjectId(ninhadaId)) return null;
+
+    const ninhada = await Ninhada.findOne({ _id: ninhadaId, ativo: true })
+      .populate('pai', 'nome raca displasia registroOficial')
+      .populate('mae', 'nome raca displasia registroOficial');
+
+    if (!ninhada) return null;
+
+    const filhotes = await Pet.find({ ninhada: ninhada._id, ativo: true })
+      .select('nome genero displasia registroOficial microchip proprietario');
+
+    return { ...ninhada.toObject(), filhotes };
+  }
+
+  /**
+   * Lista as ninhadas produzidas por um pet (como pai ou como mãe)
+   * @param {String} petId - ID do pet
+   * @returns {Promise<Array>} - Ninhadas do pet, da mais recente para a mais antiga
+   */
+  async listarNinhadasDoPet(petId) {
+    return await Ninhada.find({ $or: [{ pai: petId }, { mae: petId }], ativo: true })
+      .populate('pai', 'nome')
+      .populate('mae', 'nome')
+      .select('-compatibilidade.contribuicoesConsanguinidade')
+      .sort({ dataCruzamento: -1 });
+  }
+
+  /**
+   * Atualiza os dados do parto e observações de uma ninhada
+   * @param {String} ninhadaId - ID da ninhada
+   * @param {Object} dados - Campos a atualizar
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Ninhada atualizada, ou null se não existir
+   */
+  async atualizarNinhada(ninhadaId, dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(ninhadaId)) return null;
+
+      const ninhada = await Ninhada.findOne({ _id: ninhadaId, ativo: true });
+      if (!ninhada) return null;
+
+      if (!podeGerenciar(usuario, ninhada.proprietario)) {
+        throw criarErro('Usuário não autorizado a modificar esta ninhada', 403);
+      }
+
+      // Pais e resultado de compatibilidade não mudam após o registro
+      for (const campo of ['dataParto', 'quantidadeNascidos', 'quantidadeVivos', 'observacoes']) {
+        if (dados[campo] !== undefined) {
+          ninhada[campo] = dados[campo];
+        }
+      }
+
+      await ninhada.save();
+      return ninhada;
+    } catch (error) {
+      console.error('Erro ao atualizar ninhada:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cadastra um filhote na ninhada, preenchendo pai, mãe, raça e data de nascimento
+   * @param {String} ninhadaId - ID da ninhada
+   * @param {Object} dados - Dados do filhote (nome, genero, displasia, ...)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Filhote criado, ou null se a ninhada não existir
+   */
+  async adicionarFilhote(ninhadaId, dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(ninhadaId)) return null;
+
+      const ninhada = await Ninhada.findOne({ _id: ninhadaId, ativo: true })
+        .populate('pai')
+        .populate('mae');
+      if (!ninhada) return null;
+
+      if (!podeGerenciar(usuario, ninhada.proprietario)) {
+        throw criarErro('Usuário não autorizado a cadastrar filhotes nesta ninhada', 403);
+      }
+
+      if (!ninhada.dataParto) {
+        throw criarErro('Ninhada inválida', 422, [
+          { campo: 'dataParto', mensagem: 'Informe a data do parto antes de cadastrar os filhotes' }
+        ]);
+      }
+
+      const { pai, mae } = ninhada;
+      const mesmaRaca = pai.raca.toLowerCase() === mae.raca.toLowerCase();
+
+      const filhote = {
+        ...dados,
+        pai: pai._id,
+        mae: mae._id,
+        ninhada: ninhada._id,
+        especie: mae.especie,
+        raca: mesmaRaca ? mae.raca : (dados.raca || mae.raca),
+        mestico: !mesmaRaca,
+        dataNascimento: ninhada.dataParto,
+        proprietario: usuario.id
+      };
+
+      await parametrosPetService.prepararDisplasia(filhote, filhote.raca);
+
+      const erros = await Pet.validarPedigree(filhote);
+      if (erros.length > 0) {
+        throw criarErro('Pedigree inválido', 422, erros);
+      }
+
+      await identificacaoPetService.garantirIdentificacao(filhote);
+
+      return await Pet.create(filhote);
+    } catch (error) {
+      console.error('Erro ao cadastrar filhote:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NinhadaService();
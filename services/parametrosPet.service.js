@@ -1,5 +1,35 @@
+const mongoose = require('mongoose');
 const Pet = require('../models/Pet');
 const ParametrosPet = require('../models/ParametrosPet');
+const Ninhada = require('../models/Ninhada');
+const TesteSaude = require('../models/TesteSaude');
+const { montarCsv } = require('../utils/csv');
+const { escaparRegex } = require('../utils/regex');
+
+// Métricas de consanguinidade/parentesco retornadas pelo serviço
+const METRICAS = {
+  coiIndividual: 'Coeficiente de endogamia (Wright) do próprio pet, calculado a partir do seu pai e da sua mãe',
+  coiNinhadaProjetada: 'Coeficiente de endogamia (Wright) projetado para a ninhada do par',
+  coeficienteParentesco: 'Coeficiente de parentesco (Wright) entre os dois pets: fração esperada de genes em comum'
+};
+
+// Pontuação (0-100) de cada grau de displasia usada na pontuação de compatibilidade
+const PONTUACAO_DISPLASIA = { A: 100, B: 85, C: 50, D: 20, E: 0 };
+
+// Esquemas de avaliação de displasia aceitos (convertidos para os graus A-E)
+const ESQUEMAS_DISPLASIA = ['fci', 'ofa', 'bva'];
+
+// Número máximo de pares avaliados em uma única matriz de compatibilidade
+const LIMITE_PARES_MATRIZ = 2500;
+
+// Tentativas de gravar uma nova versão de parâmetros quando outra alteração simultânea usa o mesmo número
+const TENTATIVAS_VERSAO = 3;
+
+// Colunas da exportação CSV da matriz de compatibilidade
+const COLUNAS_CSV_MATRIZ = [
+  'padreadorId', 'padreador', 'matrizId', 'matriz', 'compativel', 'pontuacao',
+  'consanguinidade', 'displasiaCompativel', 'elegivel', 'bloqueios', 'alertas'
+];
 
 /**
  * Serviço responsável por calcular a compatibilidade entre pets
@@ -8,43 +38,121 @@ const ParametrosPet = require('../models/ParametrosPet');
 class ParametrosPetService {
   /**
    * Verifica compatibilidade de displasia coxofemoral entre dois pets
-   * @param {String} displasia1 - Classificação do primeiro pet (A-E)
-   * @param {String} displasia2 - Classificação do segundo pet (A-E)
-   * @returns {Promise<Boolean>} - Retorna se são compatíveis
+   * @param {String|Object} displasia1 - Classificação do primeiro pet (grau A-E ou { esquema, valor })
+   * @param {String|Object} displasia2 - Classificação do segundo pet (grau A-E ou { esquema, valor })
+   * @param {String} [raca] - Raça do par (usa os parâmetros da raça, se existirem)
+   * @returns {Promise<Object>} - Graus A-E, conversões aplicadas, se são compatíveis e os parâmetros usados
    */
-  async verificarCompatibilidadeDisplasia(displasia1, displasia2) {
+  async verificarCompatibilidadeDisplasia(displasia1, displasia2, raca) {
     try {
-      // Busca os parâmetros atuais do sistema
-      const parametros = await this.getParametros();
+      // Busca os parâmetros da raça (ou globais)
+      const parametros = await this.getParametros(raca);
+      const avaliacao1 = this.converterDisplasia(displasia1, parametros.conversaoDisplasia);
+      const avaliacao2 = this.converterDisplasia(displasia2, parametros.conversaoDisplasia);
       
       // Verifica na matriz de compatibilidade
-      const matrizDisplasia = parametros.matrizDisplasia;
-      
-      // Caso a matriz não esteja definida, retornamos false
-      if (!matrizDisplasia || !matrizDisplasia.has(displasia1) || !matrizDisplasia.get(displasia1).has(displasia2)) {
-        return false;
-      }
-      
-      // Retorna o valor da matriz para este par
-      return matrizDisplasia.get(displasia1).get(displasia2);
+      return {
+        displasia1: avaliacao1.grau,
+        displasia2: avaliacao2.grau,
+        conversoes: { displasia1: avaliacao1, displasia2: avaliacao2 },
+        compativel: this.compararDisplasia(parametros.matrizDisplasia, avaliacao1.grau, avaliacao2.grau),
+        parametrosUtilizados: this.descreverParametros(parametros)
+      };
     } catch (error) {
       console.error('Erro ao verificar compatibilidade de displasia:', error);
       throw error;
     }
   }
-
+  
+  /**
+   * Converte uma avaliação de displasia em qualquer esquema aceito para o grau A-E
+   * @param {String|Object} displasia - Grau FCI (A-E) ou avaliação { esquema, valor }
+   * @param {Object} conversao - Tabelas de conversão dos parâmetros (conversaoDisplasia)
+   * @returns {Object} - Avaliação ({ esquema, valor, grau })
+   */
+  converterDisplasia(displasia, conversao) {
+    const { esquema = 'fci', valor } = typeof displasia === 'object' && displasia !== null
+      ? displasia
+      : { valor: displasia };
+    const texto = valor === undefined || valor === null ? '' : String(valor).trim();
+    const esquemaNormalizado = String(esquema).toLowerCase();
+    let grau;
+    
+    if (!ESQUEMAS_DISPLASIA.includes(esquemaNormalizado)) {
+      const erro = new Error(`Esquema de displasia inválido. Use: ${ESQUEMAS_DISPLASIA.join(', ')}`);
+      erro.statusCode = 422;
+      throw erro;
+    }
+    
+    if (esquemaNormalizado === 'fci') {
+      grau = /^[A-E]$/i.test(texto) ? texto.toUpperCase() : undefined;
+    } else if (esquemaNormalizado === 'ofa') {
+      grau = conversao.ofa.get(texto.toLowerCase());
+    } else {
+      const pontuacao = Number(texto);
+      const faixa = texto !== '' && pontuacao >= 0 &&
+        [...conversao.bva].sort((a, b) => a.pontuacaoMaxima - b.pontuacaoMaxima)
+          .find(({ pontuacaoMaxima }) => pontuacao <= pontuacaoMaxima);
+      grau = faixa ? faixa.grau : undefined;
+    }
+    
+    if (!grau) {
+      const erro = new Error(`Valor de displasia "${texto}" inválido para o esquema ${esquemaNormalizado.toUpperCase()}`);
+      erro.statusCode = 422;
+      throw erro;
+    }
+    
+    return { esquema: esquemaNormalizado, valor: texto, grau };
+  }
+  
+  /**
+   * Converte a displasia informada no cadastro ou atualização de um pet
+   *
+   * Preenche displasia com o grau A-E e displasiaOriginal com o esquema e o valor informados.
+   * @param {Object} dados - Dados do pet (alterados no próprio objeto)
+   * @param {String} raca - Raça do pet (define a tabela de conversão)
+   * @returns {Promise<Object>} - Os mesmos dados, com a displasia convertida
+   */
+  async prepararDisplasia(dados, raca) {
+    if (dados.displasia === undefined) return dados;
+    
+    const parametros = await this.getParametros(raca);
+    const { esquema, valor, grau } = this.converterDisplasia(dados.displasia, parametros.conversaoDisplasia);
+    
+    dados.displasia = grau;
+    dados.displasiaOriginal = { esquema, valor };
+    return dados;
+  }
+  
   /**
-   * Calcula o coeficiente de consanguinidade entre dois pets
+   * Consulta a matriz de compatibilidade de displasia para um par de classificações
+   * @param {Map} matrizDisplasia - Matriz de compatibilidade dos parâmetros
+   * @param {String} displasia1 - Classificação do primeiro pet (A-E)
+   * @param {String} displasia2 - Classificação do segundo pet (A-E)
+   * @returns {Boolean} - Retorna se são compatíveis
+   */
+  compararDisplasia(matrizDisplasia, displasia1, displasia2) {
+    // Caso a matriz não esteja definida, retornamos false
+    if (!matrizDisplasia || !matrizDisplasia.has(displasia1) || !matrizDisplasia.get(displasia1).has(displasia2)) {
+      return false;
+    }
+    
+    // Retorna o valor da matriz para este par
+    return matrizDisplasia.get(displasia1).get(displasia2);
+  }
+  
+  /**
+   * Calcula o COI projetado da ninhada de dois pets (coeficiente de endogamia de Wright
+   * que um filhote do par teria)
    * @param {String} petId1 - ID do primeiro pet
    * @param {String} petId2 - ID do segundo pet
-   * @returns {Promise<Number>} - Retorna o coeficiente de consanguinidade (0-100%)
+   * @returns {Promise<Object>} - Coeficiente de consanguinidade (0-100%) e contribuições por ancestral
    */
   async calcularConsanguinidade(petId1, petId2) {
     try {
-      // Busca informações completas dos pets com seus ancestrais
       const [pet1, pet2] = await Promise.all([
-        this.getPetComAncestral(petId1),
-        this.getPetComAncestral(petId2)
+        Pet.findById(petId1),
+        Pet.findById(petId2)
       ]);
       
       // Se algum dos pets não for encontrado, retorna erro
@@ -52,120 +160,466 @@ class ParametrosPetService {
         throw new Error('Um ou ambos os pets não foram encontrados');
       }
       
-      // Se ambos são o mesmo pet, a consanguinidade é 100%
-      if (pet1._id.toString() === pet2._id.toString()) {
-        return 100;
-      }
+      const parametros = await this.getParametros(this.racaDoPar(pet1, pet2));
       
-      // Verifica se um é ancestral direto do outro (pai/mãe)
-      if ((pet1.pai && pet1.pai.toString() === pet2._id.toString()) || 
-          (pet1.mae && pet1.mae.toString() === pet2._id.toString()) ||
-          (pet2.pai && pet2.pai.toString() === pet1._id.toString()) ||
-          (pet2.mae && pet2.mae.toString() === pet1._id.toString())) {
-        return 50; // Pai/filho = 50% de genes compartilhados
-      }
+      // Implementação do método de Wright para cálculo de consanguinidade
+      const resultado = await this.calcularConsanguinidadeWright(pet1, pet2, parametros);
       
-      // Verifica se são irmãos completos (mesmo pai e mesma mãe)
-      if (pet1.pai && pet2.pai && pet1.mae && pet2.mae &&
-          pet1.pai.toString() === pet2.pai.toString() && 
-          pet1.mae.toString() === pet2.mae.toString()) {
-        return 50; // Irmãos completos = 50% de genes compartilhados
-      }
+      return {
+        metrica: 'coiNinhadaProjetada',
+        descricao: METRICAS.coiNinhadaProjetada,
+        ...resultado,
+        limiteConsanguinidade: parametros.limiteConsanguinidade,
+        parametrosUtilizados: this.descreverParametros(parametros)
+      };
+    } catch (error) {
+      console.error('Erro ao calcular consanguinidade:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Calcula o COI individual de um pet a partir do seu próprio pai e da sua mãe
+   * @param {String} petId - ID do pet
+   * @returns {Promise<Object|null>} - Coeficiente (0-100%) e contribuições, ou null se o pet não existir
+   */
+  async calcularConsanguinidadeIndividual(petId) {
+    try {
+      const pet = await Pet.findById(petId);
+      if (!pet) return null;
+      
+      const resultado = {
+        petId: pet._id.toString(),
+        nome: pet.nome,
+        metrica: 'coiIndividual',
+        descricao: METRICAS.coiIndividual,
+        paisCadastrados: false,
+        coeficiente: 0,
+        contribuicoes: []
+      };
       
-      // Verifica se são meio-irmãos (apenas um genitor em comum)
-      if ((pet1.pai && pet2.pai && pet1.pai.toString() === pet2.pai.toString()) ||
-          (pet1.mae && pet2.mae && pet1.mae.toString() === pet2.mae.toString())) {
-        return 25; // Meio-irmãos = 25% de genes compartilhados
+      const [pai, mae] = await Promise.all([
+        pet.pai ? Pet.findById(pet.pai) : null,
+        pet.mae ? Pet.findById(pet.mae) : null
+      ]);
+      
+      // Sem pai e mãe conhecidos não há como calcular a endogamia
+      if (!pai || !mae) {
+        return resultado;
       }
       
-      // Para cálculos mais complexos, precisamos analisar a árvore genealógica
-      // Implementação do método de Wright para cálculo de consanguinidade
-      return await this.calcularConsanguinidadeWright(pet1, pet2);
+      // O COI do pet é o mesmo COI projetado para a ninhada dos seus pais
+      return {
+        ...resultado,
+        paisCadastrados: true,
+        ...(await this.calcularConsanguinidadeWright(pai, mae))
+      };
     } catch (error) {
-      console.error('Erro ao calcular consanguinidade:', error);
+      console.error('Erro ao calcular consanguinidade individual:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Calcula o coeficiente de parentesco de Wright entre dois pets
+   *
+   * R = 2 * f_XY / sqrt((1 + F_X) * (1 + F_Y)), onde f_XY é a coancestria do par
+   * (igual ao COI projetado da ninhada) e F_X, F_Y são os COIs individuais.
+   * @param {String} petId1 - ID do primeiro pet
+   * @param {String} petId2 - ID do segundo pet
+   * @returns {Promise<Object>} - Coeficiente de parentesco e valores usados no cálculo (0-100%)
+   */
+  async calcularParentesco(petId1, petId2) {
+    try {
+      const [ninhada, individual1, individual2] = await Promise.all([
+        this.calcularConsanguinidade(petId1, petId2),
+        this.calcularConsanguinidadeIndividual(petId1),
+        this.calcularConsanguinidadeIndividual(petId2)
+      ]);
+      
+      const coancestria = ninhada.coeficiente / 100;
+      const endogamia1 = individual1.coeficiente / 100;
+      const endogamia2 = individual2.coeficiente / 100;
+      const parentesco = (2 * coancestria) / Math.sqrt((1 + endogamia1) * (1 + endogamia2));
+      
+      return {
+        metrica: 'coeficienteParentesco',
+        descricao: METRICAS.coeficienteParentesco,
+        coeficiente: parentesco * 100,
+        coancestria: ninhada.coeficiente,
+        consanguinidadePet1: individual1.coeficiente,
+        consanguinidadePet2: individual2.coeficiente,
+        contribuicoes: ninhada.contribuicoes
+      };
+    } catch (error) {
+      console.error('Erro ao calcular parentesco:', error);
       throw error;
     }
   }
   
   /**
-   * Calcula consanguinidade usando o método de Wright
+   * Calcula consanguinidade usando o método de Wright (contagem de caminhos)
+   *
+   * Para cada ancestral comum A, soma (1/2)^(n1 + n2 + 1) * (1 + F_A) para todo
+   * par de caminhos pet1 -> A e pet2 -> A que não compartilham nenhum indivíduo
+   * além de A. F_A é a endogamia do próprio ancestral, calculada recursivamente
+   * dentro da mesma janela de gerações.
    * @param {Object} pet1 - Primeiro pet com ancestrais
    * @param {Object} pet2 - Segundo pet com ancestrais
-   * @returns {Promise<Number>} - Percentual de consanguinidade
+   * @param {Object} [parametros] - Parâmetros já resolvidos (padrão: os da raça do par)
+   * @returns {Promise<Object>} - Percentual de consanguinidade e contribuição de cada ancestral
    */
-  async calcularConsanguinidadeWright(pet1, pet2) {
+  async calcularConsanguinidadeWright(pet1, pet2, parametros) {
     try {
       // Busca os parâmetros para saber quantas gerações analisar
-      const parametros = await this.getParametros();
+      parametros = parametros || await this.getParametros(this.racaDoPar(pet1, pet2));
       const geracoes = parametros.geracoesConsanguinidade || 5;
       
       // Monta árvores genealógicas dos dois pets
       const arvore1 = await this.montarArvoreGenealogica(pet1._id, geracoes);
       const arvore2 = await this.montarArvoreGenealogica(pet2._id, geracoes);
       
-      // Encontra ancestrais comuns
-      const ancestraisComuns = this.encontrarAncestraisComuns(arvore1, arvore2);
+      return this.calcularConsanguinidadeArvores(pet1._id, pet2._id, arvore1, arvore2, geracoes);
+    } catch (error) {
+      console.error('Erro no cálculo de consanguinidade pelo método de Wright:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Calcula a consanguinidade de Wright a partir de árvores já carregadas
+   * @param {String} petId1 - ID do primeiro pet
+   * @param {String} petId2 - ID do segundo pet
+   * @param {Map} arvore1 - Árvore genealógica do primeiro pet
+   * @param {Map} arvore2 - Árvore genealógica do segundo pet
+   * @param {Number} geracoes - Número de gerações consideradas
+   * @returns {Object} - Percentual de consanguinidade e contribuição de cada ancestral
+   */
+  calcularConsanguinidadeArvores(petId1, petId2, arvore1, arvore2, geracoes) {
+    // Encontra ancestrais comuns
+    const ancestraisComuns = this.encontrarAncestraisComuns(arvore1, arvore2);
+    
+    if (ancestraisComuns.length === 0) {
+      // Sem ancestrais comuns, não há consanguinidade
+      return { coeficiente: 0, contribuicoes: [] };
+    }
+    
+    const genealogia = this.montarGenealogia(arvore1, arvore2);
+    const resultado = this.calcularEndogamia(
+      petId1.toString(),
+      petId2.toString(),
+      genealogia,
+      geracoes,
+      new Map()
+    );
+    
+    // Convertemos para percentual
+    return {
+      coeficiente: resultado.coeficiente * 100,
+      contribuicoes: resultado.contribuicoes.map(contribuicao => ({
+        ...contribuicao,
+        endogamiaAncestral: contribuicao.endogamiaAncestral * 100,
+        contribuicao: contribuicao.contribuicao * 100
+      }))
+    };
+  }
+  
+  /**
+   * Calcula o coeficiente de endogamia (fração 0-1) da cria de um pai e uma mãe
+   * @param {String} paiId - ID do pai
+   * @param {String} maeId - ID da mãe
+   * @param {Map} genealogia - Mapa de nós (id -> { nome, pai, mae })
+   * @param {Number} geracoes - Número máximo de gerações de cada lado
+   * @param {Map} memo - Cache de endogamia dos ancestrais (id -> F)
+   * @returns {Object} - Coeficiente e contribuições por ancestral comum
+   */
+  calcularEndogamia(paiId, maeId, genealogia, geracoes, memo) {
+    const caminhosPai = this.enumerarCaminhos(paiId, genealogia, geracoes);
+    const caminhosMae = this.enumerarCaminhos(maeId, genealogia, geracoes);
+    
+    let coeficiente = 0;
+    const contribuicoes = [];
+    
+    for (const [ancestralId, listaPai] of caminhosPai) {
+      const listaMae = caminhosMae.get(ancestralId);
+      if (!listaMae) continue;
+      
+      const endogamiaAncestral = this.calcularEndogamiaAncestral(ancestralId, genealogia, geracoes, memo);
+      let contribuicao = 0;
+      let caminhos = 0;
       
-      if (ancestraisComuns.length === 0) {
-        return 0; // Sem ancestrais comuns, não há consanguinidade
+      for (const caminhoPai of listaPai) {
+        for (const caminhoMae of listaMae) {
+          // Os dois lados só podem se encontrar no próprio ancestral comum
+          if (!this.caminhosIndependentes(caminhoPai, caminhoMae)) continue;
+          
+          // n1 e n2 = número de gerações de cada genitor até o ancestral comum
+          const n1 = caminhoPai.length - 1;
+          const n2 = caminhoMae.length - 1;
+          contribuicao += Math.pow(0.5, n1 + n2 + 1) * (1 + endogamiaAncestral);
+          caminhos++;
+        }
       }
       
-      // Calcula coeficiente usando o método de Wright
-      let coeficiente = 0;
+      if (caminhos === 0) continue;
       
-      // Para cada ancestral comum, calculamos sua contribuição
-      for (const ancestral of ancestraisComuns) {
-        // n1 = número de gerações do pet1 ao ancestral comum
-        // n2 = número de gerações do pet2 ao ancestral comum
-        const n1 = arvore1.get(ancestral.toString()).geracao;
-        const n2 = arvore2.get(ancestral.toString()).geracao;
-        
-        // Fórmula de Wright: (1/2)^(n1 + n2)
-        const contribuicao = Math.pow(0.5, n1 + n2);
-        coeficiente += contribuicao;
+      coeficiente += contribuicao;
+      contribuicoes.push({
+        ancestral: ancestralId,
+        nome: genealogia.get(ancestralId)?.nome,
+        caminhos,
+        endogamiaAncestral,
+        contribuicao
+      });
+    }
+    
+    // Ancestrais que mais pesam no coeficiente aparecem primeiro
+    contribuicoes.sort((a, b) => b.contribuicao - a.contribuicao);
+    
+    return { coeficiente, contribuicoes };
+  }
+  
+  /**
+   * Calcula (com cache) a endogamia de um ancestral a partir dos seus próprios pais
+   * @param {String} ancestralId - ID do ancestral
+   * @param {Map} genealogia - Mapa de nós (id -> { nome, pai, mae })
+   * @param {Number} geracoes - Número máximo de gerações de cada lado
+   * @param {Map} memo - Cache de endogamia dos ancestrais (id -> F)
+   * @returns {Number} - Coeficiente de endogamia do ancestral (0-1)
+   */
+  calcularEndogamiaAncestral(ancestralId, genealogia, geracoes, memo) {
+    if (memo.has(ancestralId)) {
+      return memo.get(ancestralId);
+    }
+    
+    // Marca como em cálculo para não entrar em laço em genealogias corrompidas
+    memo.set(ancestralId, 0);
+    
+    const no = genealogia.get(ancestralId);
+    let endogamia = 0;
+    
+    if (no && no.pai && no.mae) {
+      endogamia = this.calcularEndogamia(no.pai, no.mae, genealogia, geracoes, memo).coeficiente;
+    }
+    
+    memo.set(ancestralId, endogamia);
+    return endogamia;
+  }
+  
+  /**
+   * Enumera todos os caminhos ascendentes de um pet até cada um dos seus ancestrais
+   * @param {String} origemId - ID do pet de origem
+   * @param {Map} genealogia - Mapa de nós (id -> { nome, pai, mae })
+   * @param {Number} geracoes - Número máximo de gerações a percorrer
+   * @returns {Map} - Mapa de ancestrais (id -> lista de caminhos, cada um de origem até o ancestral)
+   */
+  enumerarCaminhos(origemId, genealogia, geracoes) {
+    const caminhos = new Map();
+    const pilha = [[origemId]];
+    
+    while (pilha.length > 0) {
+      const caminho = pilha.pop();
+      const id = caminho[caminho.length - 1];
+      
+      if (!caminhos.has(id)) {
+        caminhos.set(id, []);
       }
+      caminhos.get(id).push(caminho);
       
-      // Convertemos para percentual
-      return coeficiente * 100;
-    } catch (error) {
-      console.error('Erro no cálculo de consanguinidade pelo método de Wright:', error);
-      throw error;
+      const no = genealogia.get(id);
+      if (!no || caminho.length > geracoes) continue;
+      
+      for (const genitor of [no.pai, no.mae]) {
+        // Ignora genitores fora da janela e ciclos na genealogia
+        if (genitor && genealogia.has(genitor) && !caminho.includes(genitor)) {
+          pilha.push([...caminho, genitor]);
+        }
+      }
+    }
+    
+    return caminhos;
+  }
+  
+  /**
+   * Verifica se dois caminhos até o mesmo ancestral só se cruzam nele
+   * @param {Array} caminho1 - Caminho do primeiro genitor até o ancestral
+   * @param {Array} caminho2 - Caminho do segundo genitor até o ancestral
+   * @returns {Boolean} - Se os caminhos não se sobrepõem
+   */
+  caminhosIndependentes(caminho1, caminho2) {
+    const individuos = new Set(caminho1.slice(0, -1));
+    return !caminho2.slice(0, -1).some(id => individuos.has(id));
+  }
+  
+  /**
+   * Combina árvores genealógicas em um único mapa de nós com os vínculos pai/mãe
+   * @param {...Map} arvores - Árvores retornadas por montarArvoreGenealogica
+   * @returns {Map} - Mapa de nós (id -> { nome, pai, mae })
+   */
+  montarGenealogia(...arvores) {
+    const genealogia = new Map();
+    
+    for (const arvore of arvores) {
+      for (const [id, { pet }] of arvore) {
+        if (genealogia.has(id)) continue;
+        
+        genealogia.set(id, {
+          nome: pet.nome,
+          pai: pet.pai ? pet.pai.toString() : null,
+          mae: pet.mae ? pet.mae.toString() : null
+        });
+      }
     }
+    
+    return genealogia;
   }
   
   /**
    * Monta árvore genealógica de um pet até X gerações
+   *
+   * Usa o índice de ancestrais persistido no pet (Pet.ancestrais), carregando
+   * todos os ancestrais da janela em uma única consulta por _id. A geração de cada
+   * ancestral é a menor distância até o pet.
    * @param {String} petId - ID do pet
    * @param {Number} geracoes - Número de gerações a considerar
    * @returns {Promise<Map>} - Mapa de ancestrais (id -> {pet, geracao})
    */
   async montarArvoreGenealogica(petId, geracoes) {
     const arvore = new Map();
-    const fila = [{ id: petId, geracao: 0 }];
     
-    while (fila.length > 0) {
-      const { id, geracao } = fila.shift();
-      
-      // Se já atingimos o limite de gerações, não continuamos
-      if (geracao > geracoes) continue;
+    const dadosRaiz = await Pet.findById(petId).lean();
+    if (!dadosRaiz) return arvore;
+    
+    const indexado = (dadosRaiz.ancestrais || []).length > 0 || (!dadosRaiz.pai && !dadosRaiz.mae);
+    
+    // Pets ainda não indexados (cadastrados antes do índice) são percorridos via $graphLookup
+    if (!indexado) {
+      return this.montarArvoreGenealogicaGraphLookup(petId, geracoes);
+    }
+    
+    // Os ancestrais dentro da janela são lidos pelo índice de _id em uma única consulta
+    const geracaoPorId = new Map(
+      dadosRaiz.ancestrais
+        .filter(({ geracao }) => geracao <= geracoes)
+        .map(({ pet, geracao }) => [pet.toString(), geracao])
+    );
+    const ancestraisEncontrados = await Pet.find({ _id: { $in: [...geracaoPorId.keys()] } }).lean();
+    
+    arvore.set(dadosRaiz._id.toString(), { pet: Pet.hydrate(dadosRaiz), geracao: 0 });
+    
+    // Ordena por geração para manter a mesma ordem da busca em largura
+    ancestraisEncontrados.sort(
+      (a, b) => geracaoPorId.get(a._id.toString()) - geracaoPorId.get(b._id.toString())
+    );
+    
+    for (const dadosAncestral of ancestraisEncontrados) {
+      const id = dadosAncestral._id.toString();
+      if (arvore.has(id)) continue;
       
-      // Se já visitamos este pet, pulamos
-      if (arvore.has(id.toString())) continue;
+      arvore.set(id, { pet: Pet.hydrate(dadosAncestral), geracao: geracaoPorId.get(id) });
+    }
+    
+    return arvore;
+  }
+  
+  /**
+   * Monta as árvores genealógicas de vários pets carregando todos os ancestrais de uma vez
+   * @param {Array} pets - Documentos dos pets (com o índice de ancestrais)
+   * @param {Number} geracoes - Número de gerações a considerar
+   * @returns {Promise<Map>} - Mapa de árvores (id do pet -> árvore genealógica)
+   */
+  async carregarArvoresGenealogicas(pets, geracoes) {
+    const arvores = new Map();
+    const idsAncestrais = new Set();
+    const indexados = [];
+    
+    for (const pet of pets) {
+      const indexado = (pet.ancestrais || []).length > 0 || (!pet.pai && !pet.mae);
       
-      // Busca o pet no banco de dados
-      const pet = await Pet.findById(id);
-      if (!pet) continue;
+      if (!indexado) {
+        // Pets ainda não indexados são percorridos individualmente
+        arvores.set(pet._id.toString(), await this.montarArvoreGenealogica(pet._id, geracoes));
+        continue;
+      }
       
-      // Adiciona à árvore
-      arvore.set(id.toString(), { pet, geracao });
+      indexados.push(pet);
+      for (const ancestral of pet.ancestrais || []) {
+        if (ancestral.geracao <= geracoes) {
+          idsAncestrais.add(ancestral.pet.toString());
+        }
+      }
+    }
+    
+    const ancestrais = idsAncestrais.size > 0
+      ? await Pet.find({ _id: { $in: [...idsAncestrais] } })
+      : [];
+    const porId = new Map(ancestrais.map(ancestral => [ancestral._id.toString(), ancestral]));
+    
+    for (const pet of indexados) {
+      const arvore = new Map([[pet._id.toString(), { pet, geracao: 0 }]]);
       
-      // Adiciona pais à fila
-      if (pet.pai) {
-        fila.push({ id: pet.pai, geracao: geracao + 1 });
+      for (const { pet: ancestralId, geracao } of pet.ancestrais || []) {
+        const ancestral = porId.get(ancestralId.toString());
+        if (geracao > geracoes || !ancestral || arvore.has(ancestralId.toString())) continue;
+        
+        arvore.set(ancestralId.toString(), { pet: ancestral, geracao });
       }
-      if (pet.mae) {
-        fila.push({ id: pet.mae, geracao: geracao + 1 });
+      
+      arvores.set(pet._id.toString(), arvore);
+    }
+    
+    return arvores;
+  }
+  
+  /**
+   * Monta árvore genealógica percorrendo os pais com $graphLookup
+   *
+   * Busca todos os ancestrais em uma única agregação sobre o array de pais,
+   * sem depender do índice de ancestrais persistido.
+   * @param {String} petId - ID do pet
+   * @param {Number} geracoes - Número de gerações a considerar
+   * @returns {Promise<Map>} - Mapa de ancestrais (id -> {pet, geracao})
+   */
+  async montarArvoreGenealogicaGraphLookup(petId, geracoes) {
+    const arvore = new Map();
+    
+    const [raiz] = await Pet.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(petId.toString()) } },
+      {
+        $graphLookup: {
+          from: Pet.collection.name,
+          // Usa pai/mae da raiz diretamente, caso o array de pais ainda não exista
+          startWith: {
+            $filter: {
+              input: ['$pai', '$mae'],
+              cond: { $ne: [{ $ifNull: ['$$this', null] }, null] }
+            }
+          },
+          connectFromField: 'pais',
+          connectToField: '_id',
+          maxDepth: Math.max(geracoes - 1, 0),
+          depthField: 'profundidade',
+          as: 'ancestraisEncontrados'
+        }
       }
+    ]);
+    
+    if (!raiz) return arvore;
+    
+    const { ancestraisEncontrados, ...dadosRaiz } = raiz;
+    arvore.set(dadosRaiz._id.toString(), { pet: Pet.hydrate(dadosRaiz), geracao: 0 });
+    
+    if (geracoes < 1) return arvore;
+    
+    // Ordena por geração para manter a mesma ordem da busca em largura
+    ancestraisEncontrados.sort((a, b) => a.profundidade - b.profundidade);
+    
+    for (const { profundidade, ...dadosAncestral } of ancestraisEncontrados) {
+      const id = dadosAncestral._id.toString();
+      if (arvore.has(id)) continue;
+      
+      // profundidade 0 corresponde aos pais (geração 1)
+      arvore.set(id, { pet: Pet.hydrate(dadosAncestral), geracao: profundidade + 1 });
     }
     
     return arvore;
@@ -204,104 +658,1283 @@ class ParametrosPetService {
   }
   
   /**
-   * Busca ou cria o registro de parâmetros
-   * @returns {Promise<Object>} - Parâmetros atuais
+   * Busca os parâmetros de uma raça, usando os parâmetros globais como padrão
+   * @param {String} [raca] - Raça (sem raça, retorna os parâmetros globais)
+   * @returns {Promise<Object>} - Versão atual dos parâmetros
    */
-  async getParametros() {
-    let parametros = await ParametrosPet.findOne({ ativo: true });
+  async getParametros(raca) {
+    if (raca) {
+      const parametrosRaca = await this.getParametrosRaca(raca);
+      if (parametrosRaca) return parametrosRaca;
+    }
+    
+    let parametros = await ParametrosPet.findOne({ ativo: true, raca: null }).sort({ versao: -1 });
     
     if (!parametros) {
       // Se não existir, cria com valores padrão
-      parametros = await ParametrosPet.create({
-        ativo: true
-      });
+      try {
+        parametros = await ParametrosPet.create({
+          ativo: true,
+          notaAlteracao: 'Parâmetros padrão'
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        
+        // A versão 1 já foi gravada por outra requisição simultânea: usa a versão mais recente
+        parametros = await ParametrosPet.findOneAndUpdate(
+          { raca: null },
+          { ativo: true },
+          { sort: { versao: -1 }, new: true }
+        );
+      }
     }
     
     return parametros;
   }
   
   /**
-   * Atualiza os parâmetros do sistema
-   * @param {Object} novosDados - Novos parâmetros
-   * @returns {Promise<Object>} - Parâmetros atualizados
+   * Busca os parâmetros específicos de uma raça (sem usar os globais)
+   * @param {String} raca - Raça
+   * @returns {Promise<Object|null>} - Versão atual dos parâmetros da raça, ou null se não existirem
+   */
+  async getParametrosRaca(raca) {
+    return await ParametrosPet.findOne({ ativo: true, ...this.filtroEscopo(raca) }).sort({ versao: -1 });
+  }
+  
+  /**
+   * Lista todos os conjuntos de parâmetros específicos por raça
+   * @returns {Promise<Array>} - Versão atual dos parâmetros de cada raça
+   */
+  async listarParametrosRacas() {
+    return await ParametrosPet.find({ ativo: true, raca: { $ne: null } }).sort({ raca: 1 });
+  }
+  
+  /**
+   * Cria o conjunto de parâmetros de uma raça, partindo dos valores globais
+   * @param {String} raca - Raça
+   * @param {Object} novosDados - Parâmetros a sobrescrever
+   * @param {Object} alteracao - Autor e nota da alteração
+   * @returns {Promise<Object>} - Primeira versão dos parâmetros da raça
    */
-  async atualizarParametros(novosDados) {
+  async criarParametrosRaca(raca, novosDados, alteracao) {
     try {
-      const parametros = await this.getParametros();
-      
-      // Atualiza campos se fornecidos
-      if (novosDados.matrizDisplasia) {
-        parametros.matrizDisplasia = novosDados.matrizDisplasia;
+      if (await this.getParametrosRaca(raca)) {
+        const erro = new Error(`Já existem parâmetros para a raça ${raca}`);
+        erro.statusCode = 409;
+        throw erro;
       }
       
-      if (novosDados.limiteConsanguinidade !== undefined) {
-        parametros.limiteConsanguinidade = novosDados.limiteConsanguinidade;
-      }
+      const globais = await this.getParametros();
+      return await this.criarVersao(globais, novosDados, { ...alteracao, raca: raca.trim() });
+    } catch (error) {
+      console.error('Erro ao criar parâmetros da raça:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Atualiza os parâmetros de uma raça (gerando uma nova versão)
+   * @param {String} raca - Raça
+   * @param {Object} novosDados - Novos parâmetros
+   * @param {Object} alteracao - Autor e nota da alteração
+   * @returns {Promise<Object|null>} - Nova versão, ou null se a raça não tiver parâmetros
+   */
+  async atualizarParametrosRaca(raca, novosDados, alteracao) {
+    try {
+      const parametros = await this.getParametrosRaca(raca);
+      if (!parametros) return null;
       
-      if (novosDados.geracoesConsanguinidade !== undefined) {
-        parametros.geracoesConsanguinidade = novosDados.geracoesConsanguinidade;
-      }
+      return await this.criarVersao(parametros, novosDados, alteracao);
+    } catch (error) {
+      console.error('Erro ao atualizar parâmetros da raça:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove os parâmetros de uma raça (a raça volta a usar os parâmetros globais)
+   *
+   * As versões são mantidas no histórico; apenas deixa de haver uma versão ativa.
+   * @param {String} raca - Raça
+   * @returns {Promise<Object|null>} - Versão desativada, ou null se a raça não tiver parâmetros
+   */
+  async removerParametrosRaca(raca) {
+    try {
+      const parametros = await this.getParametrosRaca(raca);
+      if (!parametros) return null;
       
-      await parametros.save();
+      await ParametrosPet.updateOne({ _id: parametros._id }, { ativo: false });
       return parametros;
     } catch (error) {
-      console.error('Erro ao atualizar parâmetros:', error);
+      console.error('Erro ao remover parâmetros da raça:', error);
       throw error;
     }
   }
   
   /**
-   * Verifica compatibilidade geral entre dois pets
-   * @param {String} petId1 - ID do primeiro pet
-   * @param {String} petId2 - ID do segundo pet
-   * @returns {Promise<Object>} - Resultado da compatibilidade
+   * Atualiza os parâmetros globais do sistema (gerando uma nova versão)
+   * @param {Object} novosDados - Novos parâmetros
+   * @param {Object} alteracao - Autor e nota da alteração
+   * @returns {Promise<Object>} - Nova versão dos parâmetros
    */
-  async verificarCompatibilidade(petId1, petId2) {
+  async atualizarParametros(novosDados, alteracao) {
     try {
-      // Busca os pets
-      const [pet1, pet2] = await Promise.all([
-        Pet.findById(petId1),
-        Pet.findById(petId2)
-      ]);
+      const parametros = await this.getParametros();
       
-      // Verifica se os pets foram encontrados
-      if (!pet1 || !pet2) {
-        throw new Error('Um ou ambos os pets não foram encontrados');
+      return await this.criarVersao(parametros, novosDados, alteracao);
+    } catch (error) {
+      console.error('Erro ao atualizar parâmetros:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cria uma nova versão de parâmetros a partir de uma versão base e a torna ativa
+   *
+   * Uma atualização parte da versão ativa do escopo e grava o número seguinte ao dela. Se outra
+   * alteração gravou esse número antes, a atualização é refeita sobre a versão mais recente, sem
+   * descartar a alteração concorrente. Na restauração, a base é a versão restaurada e não muda.
+   * @param {Object} base - Versão usada como ponto de partida
+   * @param {Object} novosDados - Parâmetros a sobrescrever
+   * @param {Object} alteracao - Dados da alteração
+   * @param {String} alteracao.autor - ID do usuário que fez a alteração
+   * @param {String} [alteracao.notaAlteracao] - Descrição da alteração
+   * @param {String} [alteracao.raca] - Escopo da nova versão (padrão: o mesmo da base)
+   * @param {Object} [opcoes]
+   * @param {Boolean} [opcoes.restauracao] - Base é uma versão antiga, mantida em caso de conflito
+   * @returns {Promise<Object>} - Nova versão
+   * @throws {Error} - 409 se o escopo foi criado ou removido por outra alteração simultânea
+   */
+  async criarVersao(base, novosDados, alteracao, opcoes = {}) {
+    const raca = alteracao.raca !== undefined ? alteracao.raca : base.raca || null;
+    const mesmoEscopo = (base.raca || '').toLowerCase() === (raca || '').toLowerCase();
+    const atualizacao = mesmoEscopo && !opcoes.restauracao;
+    
+    for (let tentativa = 1; ; tentativa++) {
+      let versao = (base.versao || 1) + 1;
+      
+      if (!atualizacao) {
+        const ultima = await ParametrosPet.findOne(this.filtroEscopo(raca))
+          .sort({ versao: -1 })
+          .select('versao');
+        versao = ultima ? (ultima.versao || 1) + 1 : 1;
       }
       
-      // Verifica se são de gêneros diferentes
-      const generoCompativel = pet1.genero !== pet2.genero;
+      const parametros = new ParametrosPet({
+        ...this.extrairConfiguracao(base),
+        raca,
+        versao,
+        autor: alteracao.autor,
+        notaAlteracao: alteracao.notaAlteracao,
+        ativo: true
+      });
       
-      // Calcula consanguinidade
-      const consanguinidade = await this.calcularConsanguinidade(petId1, petId2);
+      this.aplicarDados(parametros, novosDados);
       
-      // Busca parâmetros para limite de consanguinidade
-      const parametros = await this.getParametros();
-      const consanguinidadeCompativel = consanguinidade <= parametros.limiteConsanguinidade;
+      try {
+        await parametros.save();
+      } catch (error) {
+        if (error.code !== 11000 || tentativa >= TENTATIVAS_VERSAO) throw error;
+        
+        // Outra alteração simultânea gravou o mesmo número de versão
+        let conflito = null;
+        
+        if (atualizacao) {
+          base = await this.getParametrosRaca(raca);
+          if (!base) conflito = 'Os parâmetros foram removidos por outra alteração';
+        } else if (!mesmoEscopo && await this.getParametrosRaca(raca)) {
+          conflito = `Já existem parâmetros para a raça ${raca}`;
+        }
+        
+        if (conflito) {
+          const erro = new Error(conflito);
+          erro.statusCode = 409;
+          throw erro;
+        }
+        
+        continue;
+      }
       
-      // Verifica compatibilidade de displasia
-      const displasiaCompativel = await this.verificarCompatibilidadeDisplasia(
-        pet1.displasia, 
-        pet2.displasia
+      // Desativa apenas as versões anteriores: entre alterações simultâneas, a de maior
+      // número permanece ativa e o escopo nunca fica sem versão ativa
+      await ParametrosPet.updateMany(
+        { ...this.filtroEscopo(raca), ativo: true, versao: { $lt: parametros.versao } },
+        { ativo: false }
       );
       
-      // Prepara resultado
-      const resultado = {
-        petId1,
-        petId2,
-        generoCompativel,
-        consanguinidade: parseFloat(consanguinidade.toFixed(2)),
-        consanguinidadeCompativel,
-        displasiaCompativel,
-        compativel: generoCompativel && consanguinidadeCompativel && displasiaCompativel
-      };
-      
-      return resultado;
+      return parametros;
+    }
+  }
+  
+  /**
+   * Lista o histórico de versões de um escopo de parâmetros
+   * @param {String} [raca] - Raça (sem raça, lista as versões globais)
+   * @returns {Promise<Array>} - Versões, da mais recente para a mais antiga
+   */
+  async listarVersoes(raca) {
+    return await ParametrosPet.find(this.filtroEscopo(raca))
+      .populate('autor', 'username email')
+      .sort({ versao: -1, createdAt: -1 });
+  }
+  
+  /**
+   * Busca uma versão de parâmetros pelo ID
+   * @param {String} versaoId - ID da versão
+   * @returns {Promise<Object|null>} - Versão encontrada
+   */
+  async getVersao(versaoId) {
+    if (!mongoose.isValidObjectId(versaoId)) return null;
+    
+    return await ParametrosPet.findById(versaoId).populate('autor', 'username email');
+  }
+  
+  /**
+   * Compara duas versões de parâmetros campo a campo
+   * @param {String} versaoId1 - ID da versão de origem
+   * @param {String} versaoId2 - ID da versão de destino
+   * @returns {Promise<Object|null>} - Diferenças encontradas, ou null se alguma versão não existir
+   */
+  async compararVersoes(versaoId1, versaoId2) {
+    try {
+      const [versao1, versao2] = await Promise.all([
+        this.getVersao(versaoId1),
+        this.getVersao(versaoId2)
+      ]);
+      
+      if (!versao1 || !versao2) return null;
+      
+      const campos1 = this.achatarConfiguracao(this.extrairConfiguracao(versao1));
+      const campos2 = this.achatarConfiguracao(this.extrairConfiguracao(versao2));
+      const campos = new Set([...Object.keys(campos1), ...Object.keys(campos2)]);
+      const diferencas = [];
+      
+      for (const campo of [...campos].sort()) {
+        if (JSON.stringify(campos1[campo]) !== JSON.stringify(campos2[campo])) {
+          diferencas.push({ campo, de: campos1[campo], para: campos2[campo] });
+        }
+      }
+      
+      return {
+        de: this.descreverParametros(versao1),
+        para: this.descreverParametros(versao2),
+        diferencas
+      };
+    } catch (error) {
+      console.error('Erro ao comparar versões de parâmetros:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Restaura uma versão antiga, criando uma nova versão com o mesmo conteúdo
+   * @param {String} versaoId - ID da versão a restaurar
+   * @param {Object} alteracao - Autor e nota da alteração
+   * @returns {Promise<Object|null>} - Nova versão, ou null se a versão não existir
+   */
+  async restaurarVersao(versaoId, alteracao) {
+    try {
+      const versao = await this.getVersao(versaoId);
+      if (!versao) return null;
+      
+      return await this.criarVersao(versao, {}, {
+        autor: alteracao.autor,
+        notaAlteracao: alteracao.notaAlteracao || `Restauração da versão ${versao.versao}`
+      }, { restauracao: true });
+    } catch (error) {
+      console.error('Erro ao restaurar versão de parâmetros:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Extrai de uma versão apenas os valores de configuração (sem metadados da versão)
+   * @param {Object} parametros - Documento de parâmetros
+   * @returns {Object} - Configuração da versão
+   */
+  extrairConfiguracao(parametros) {
+    const {
+      _id, __v, raca, versao, autor, notaAlteracao, ativo, createdAt, updatedAt,
+      ...configuracao
+    } = parametros.toObject({ flattenMaps: true, depopulate: true });
+    
+    return configuracao;
+  }
+  
+  /**
+   * Achata uma configuração em pares caminho -> valor (ex.: matrizDisplasia.A.B)
+   * @param {Object} objeto - Configuração a achatar
+   * @param {String} [prefixo] - Caminho acumulado
+   * @returns {Object} - Configuração achatada
+   */
+  achatarConfiguracao(objeto, prefixo = '') {
+    const campos = {};
+    
+    for (const [chave, valor] of Object.entries(objeto)) {
+      const caminho = prefixo ? `${prefixo}.${chave}` : chave;
+      
+      if (valor && typeof valor === 'object' && !Array.isArray(valor) && !(valor instanceof Date)) {
+        Object.assign(campos, this.achatarConfiguracao(valor, caminho));
+      } else {
+        campos[caminho] = valor;
+      }
+    }
+    
+    return campos;
+  }
+  
+  /**
+   * Monta o filtro que identifica um escopo de parâmetros (raça ou global)
+   * @param {String} [raca] - Raça (sem raça, escopo global)
+   * @returns {Object} - Filtro do MongoDB
+   */
+  filtroEscopo(raca) {
+    return raca
+      ? { raca: { $regex: `^${escaparRegex(raca.trim())}$`, $options: 'i' } }
+      : { raca: null };
+  }
+  
+  /**
+   * Copia para o documento de parâmetros os campos informados
+   * @param {Object} parametros - Documento de parâmetros
+   * @param {Object} novosDados - Novos parâmetros
+   */
+  aplicarDados(parametros, novosDados) {
+    // Atualiza campos se fornecidos
+    if (novosDados.matrizDisplasia) {
+      parametros.matrizDisplasia = novosDados.matrizDisplasia;
+    }
+    
+    if (novosDados.limiteConsanguinidade !== undefined) {
+      parametros.limiteConsanguinidade = novosDados.limiteConsanguinidade;
+    }
+    
+    if (novosDados.geracoesConsanguinidade !== undefined) {
+      parametros.geracoesConsanguinidade = novosDados.geracoesConsanguinidade;
+    }
+    
+    // Campos compostos aceitam atualização parcial (apenas as chaves informadas)
+    for (const campo of ['pesosCompatibilidade', 'faixaIdadeIdeal', 'regrasReprodutivas', 'cicloCio', 'conversaoDisplasia']) {
+      for (const [chave, valor] of Object.entries(novosDados[campo] || {})) {
+        parametros.set(`${campo}.${chave}`, valor);
+      }
+    }
+  }
+  
+  /**
+   * Define a raça cujos parâmetros valem para um par de pets
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @returns {String|null} - Raça comum do par, ou null (parâmetros globais) se forem de raças diferentes
+   */
+  racaDoPar(pet1, pet2) {
+    if (!pet1.raca || !pet2.raca) return null;
+    return pet1.raca.toLowerCase() === pet2.raca.toLowerCase() ? pet1.raca : null;
+  }
+  
+  /**
+   * Identifica o conjunto de parâmetros usado em um cálculo
+   * @param {Object} parametros - Documento de parâmetros
+   * @returns {Object} - ID da versão, número da versão, raça e escopo (raca ou global)
+   */
+  descreverParametros(parametros) {
+    return {
+      id: parametros._id,
+      versao: parametros.versao || 1,
+      raca: parametros.raca || null,
+      escopo: parametros.raca ? 'raca' : 'global'
+    };
+  }
+  
+  /**
+   * Verifica compatibilidade geral entre dois pets
+   * @param {String} petId1 - ID do primeiro pet
+   * @param {String} petId2 - ID do segundo pet
+   * @returns {Promise<Object>} - Resultado da compatibilidade
+   */
+  async verificarCompatibilidade(petId1, petId2) {
+    try {
+      // Busca os pets
+      const [pet1, pet2] = await Promise.all([
+        Pet.findById(petId1),
+        Pet.findById(petId2)
+      ]);
+      
+      // Verifica se os pets foram encontrados
+      if (!pet1 || !pet2) {
+        throw new Error('Um ou ambos os pets não foram encontrados');
+      }
+      
+      const parametros = await this.getParametros(this.racaDoPar(pet1, pet2));
+      const geracoes = parametros.geracoesConsanguinidade || 5;
+      const arvores = await this.carregarArvoresGenealogicas([pet1, pet2], geracoes);
+      const contexto = await this.carregarContextoCompatibilidade([pet1, pet2]);
+      
+      return this.avaliarCompatibilidade(pet1, pet2, arvores, parametros, contexto);
     } catch (error) {
       console.error('Erro ao verificar compatibilidade:', error);
       throw error;
     }
   }
+  
+  /**
+   * Avalia a compatibilidade de todos os pares entre uma lista de padreadores e uma de matrizes
+   *
+   * Pets, pedigrees, histórico de ninhadas e catálogo de testes são carregados uma única vez
+   * para toda a matriz; os parâmetros são carregados uma vez por raça.
+   * @param {Array} idsPadreadores - IDs dos padreadores
+   * @param {Array} idsMatrizes - IDs das matrizes
+   * @param {Object} [opcoes]
+   * @param {Boolean} [opcoes.apenasCompativeis] - Retorna só os pares compatíveis, da maior para a menor pontuação
+   * @returns {Promise<Object>} - Padreadores, matrizes e resultados por par
+   */
+  async calcularMatrizCompatibilidade(idsPadreadores, idsMatrizes, opcoes = {}) {
+    try {
+      const erros = [];
+      
+      for (const [campo, ids] of [['padreadores', idsPadreadores], ['matrizes', idsMatrizes]]) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+          erros.push({ campo, mensagem: 'Informe uma lista com ao menos um ID de pet' });
+        } else if (ids.some(id => !mongoose.isValidObjectId(id))) {
+          erros.push({ campo, mensagem: 'A lista contém IDs inválidos' });
+        }
+      }
+      
+      if (erros.length > 0) {
+        const erro = new Error('Listas de pets inválidas');
+        erro.statusCode = 400;
+        erro.erros = erros;
+        throw erro;
+      }
+      
+      const padreadoresUnicos = [...new Set(idsPadreadores.map(String))];
+      const matrizesUnicas = [...new Set(idsMatrizes.map(String))];
+      
+      if (padreadoresUnicos.length * matrizesUnicas.length > LIMITE_PARES_MATRIZ) {
+        const erro = new Error(`A matriz pode ter no máximo ${LIMITE_PARES_MATRIZ} pares`);
+        erro.statusCode = 400;
+        throw erro;
+      }
+      
+      const pets = await Pet.find({ _id: { $in: [...padreadoresUnicos, ...matrizesUnicas] }, ativo: true });
+      const petsPorId = new Map(pets.map(pet => [pet._id.toString(), pet]));
+      const naoEncontrados = [...padreadoresUnicos, ...matrizesUnicas].filter(id => !petsPorId.has(id));
+      
+      if (naoEncontrados.length > 0) {
+        const erro = new Error(`Pets não encontrados: ${[...new Set(naoEncontrados)].join(', ')}`);
+        erro.statusCode = 404;
+        throw erro;
+      }
+      
+      const padreadores = padreadoresUnicos.map(id => petsPorId.get(id));
+      const matrizes = matrizesUnicas.map(id => petsPorId.get(id));
+      
+      // Parâmetros por raça do par (pares de raças diferentes usam os globais)
+      const parametrosPorRaca = new Map();
+      for (const padreador of padreadores) {
+        for (const matriz of matrizes) {
+          const raca = this.racaDoPar(padreador, matriz);
+          const chave = raca ? raca.toLowerCase() : '';
+          if (!parametrosPorRaca.has(chave)) {
+            parametrosPorRaca.set(chave, await this.getParametros(raca));
+          }
+        }
+      }
+      
+      // As árvores são montadas com o maior número de gerações usado entre as raças;
+      // cada par limita o cálculo às gerações dos seus próprios parâmetros
+      const geracoes = Math.max(...[...parametrosPorRaca.values()].map(parametros =>
+        parametros.geracoesConsanguinidade || 5));
+      const arvores = await this.carregarArvoresGenealogicas(pets, geracoes);
+      const contexto = await this.carregarContextoCompatibilidade(pets);
+      
+      let resultados = [];
+      
+      for (const padreador of padreadores) {
+        for (const matriz of matrizes) {
+          if (padreador._id.equals(matriz._id)) continue;
+          
+          const raca = this.racaDoPar(padreador, matriz);
+          const parametros = parametrosPorRaca.get(raca ? raca.toLowerCase() : '');
+          const { contribuicoesConsanguinidade, ...compatibilidade } =
+            this.avaliarCompatibilidade(padreador, matriz, arvores, parametros, contexto);
+          
+          resultados.push({
+            padreador: { id: padreador._id, nome: padreador.nome },
+            matriz: { id: matriz._id, nome: matriz.nome },
+            ...compatibilidade
+          });
+        }
+      }
+      
+      // Pares avaliados (sem contar o pet com ele mesmo), antes do filtro de compatíveis
+      const totalPares = resultados.length;
+      
+      if (opcoes.apenasCompativeis) {
+        resultados = resultados
+          .filter(resultado => resultado.compativel)
+          .sort((a, b) => b.pontuacao - a.pontuacao || a.consanguinidade - b.consanguinidade);
+      }
+      
+      return {
+        padreadores: padreadores.map(pet => ({ id: pet._id, nome: pet.nome, raca: pet.raca })),
+        matrizes: matrizes.map(pet => ({ id: pet._id, nome: pet.nome, raca: pet.raca })),
+        totalPares,
+        totalCompativeis: opcoes.apenasCompativeis
+          ? resultados.length
+          : resultados.filter(resultado => resultado.compativel).length,
+        resultados
+      };
+    } catch (error) {
+      console.error('Erro ao calcular matriz de compatibilidade:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Exporta os resultados de uma matriz de compatibilidade em CSV (um par por linha)
+   * @param {Object} matriz - Resultado de calcularMatrizCompatibilidade
+   * @returns {String} - Conteúdo CSV com cabeçalho
+   */
+  exportarMatrizCsv(matriz) {
+    const motivos = (fatores, severidade) => fatores
+      .filter(fator => fator.severidade === severidade)
+      .map(fator => fator.motivo)
+      .join(' | ');
+    
+    const linhas = matriz.resultados.map(resultado => [
+      resultado.padreador.id,
+      resultado.padreador.nome,
+      resultado.matriz.id,
+      resultado.matriz.nome,
+      resultado.compativel,
+      resultado.pontuacao,
+      resultado.consanguinidade,
+      resultado.displasiaCompativel,
+      resultado.elegibilidade.elegivel,
+      motivos(resultado.fatores, 'bloqueante'),
+      motivos(resultado.fatores, 'alerta')
+    ]);
+    
+    return montarCsv(COLUNAS_CSV_MATRIZ, linhas);
+  }
+  
+  /**
+   * Verifica a compatibilidade de um par em que um ou ambos os pets podem ser virtuais
+   * (pets planejados, cujos pais podem ser reais ou também virtuais)
+   * @param {Object} pet1 - Primeiro pet (real ou virtual)
+   * @param {Object} pet2 - Segundo pet (real ou virtual)
+   * @param {Map} virtuais - Pets virtuais do plano (id -> pet não persistido)
+   * @param {Date} [dataCruzamento] - Data planejada do cruzamento, em que as idades são avaliadas;
+   * sem ela, as regras de idade não se aplicam aos pets virtuais (o resultado lista quais)
+   * @returns {Promise<Object>} - Resultado da compatibilidade
+   */
+  async verificarCompatibilidadeMista(pet1, pet2, virtuais, dataCruzamento) {
+    try {
+      const parametros = await this.getParametros(this.racaDoPar(pet1, pet2));
+      const geracoes = parametros.geracoesConsanguinidade || 5;
+      const arvores = new Map();
+      
+      for (const pet of [pet1, pet2]) {
+        arvores.set(pet._id.toString(), await this.montarArvoreMista(pet, virtuais, geracoes));
+      }
+      
+      // Histórico de ninhadas só existe para os pets reais
+      const reais = [pet1, pet2].filter(pet => !virtuais.has(pet._id.toString()));
+      const contexto = await this.carregarContextoCompatibilidade(reais);
+      
+      // Um pet virtual ainda não nasceu: hoje ele sempre estaria abaixo da idade mínima
+      const idadeNaoAvaliada = new Set(dataCruzamento ? [] : [pet1, pet2]
+        .map(pet => pet._id.toString())
+        .filter(id => virtuais.has(id)));
+      
+      const resultado = this.avaliarCompatibilidade(pet1, pet2, arvores, parametros, {
+        ...contexto,
+        dataReferencia: dataCruzamento || new Date(),
+        idadeNaoAvaliada
+      });
+      
+      return {
+        ...resultado,
+        dataCruzamento: dataCruzamento || null,
+        idadeNaoAvaliada: [...idadeNaoAvaliada]
+      };
+    } catch (error) {
+      console.error('Erro ao verificar compatibilidade com pets virtuais:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Calcula o COI individual de um pet virtual a partir dos seus pais (reais ou virtuais)
+   * @param {Object} pet - Pet virtual
+   * @param {Map} virtuais - Pets virtuais do plano (id -> pet não persistido)
+   * @returns {Promise<Object>} - Coeficiente (0-100%) e contribuições
+   */
+  async calcularConsanguinidadeIndividualMista(pet, virtuais) {
+    try {
+      const resultado = {
+        petId: pet._id.toString(),
+        nome: pet.nome,
+        metrica: 'coiIndividual',
+        descricao: METRICAS.coiIndividual,
+        paisCadastrados: false,
+        coeficiente: 0,
+        contribuicoes: []
+      };
+      
+      const [pai, mae] = await Promise.all([pet.pai, pet.mae].map(id => {
+        if (!id) return null;
+        return virtuais.get(id.toString()) || Pet.findById(id);
+      }));
+      
+      if (!pai || !mae) {
+        return resultado;
+      }
+      
+      const parametros = await this.getParametros(this.racaDoPar(pai, mae));
+      const geracoes = parametros.geracoesConsanguinidade || 5;
+      const arvorePai = await this.montarArvoreMista(pai, virtuais, geracoes);
+      const arvoreMae = await this.montarArvoreMista(mae, virtuais, geracoes);
+      
+      return {
+        ...resultado,
+        paisCadastrados: true,
+        ...this.calcularConsanguinidadeArvores(pai._id, mae._id, arvorePai, arvoreMae, geracoes)
+      };
+    } catch (error) {
+      console.error('Erro ao calcular consanguinidade de pet virtual:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Monta a árvore genealógica de um pet cuja genealogia mistura pets virtuais e reais
+   *
+   * Os pets virtuais são percorridos em memória; ao chegar a um genitor real, a árvore
+   * dele é carregada pelo índice de ancestrais e deslocada para a geração correspondente.
+   * @param {Object} pet - Pet raiz (real ou virtual)
+   * @param {Map} virtuais - Pets virtuais (id -> pet não persistido)
+   * @param {Number} geracoes - Número de gerações a considerar
+   * @returns {Promise<Map>} - Mapa de ancestrais (id -> {pet, geracao})
+   */
+  async montarArvoreMista(pet, virtuais, geracoes) {
+    if (!virtuais.has(pet._id.toString())) {
+      return this.montarArvoreGenealogica(pet._id, geracoes);
+    }
+    
+    const arvore = new Map();
+    const fila = [{ pet, geracao: 0 }];
+    
+    while (fila.length > 0) {
+      const { pet: atual, geracao } = fila.shift();
+      const id = atual._id.toString();
+      
+      // A busca em largura garante que a primeira visita é a de menor geração
+      if (arvore.has(id)) continue;
+      arvore.set(id, { pet: atual, geracao });
+      
+      if (geracao >= geracoes) continue;
+      
+      for (const genitorId of [atual.pai, atual.mae].filter(Boolean).map(String)) {
+        if (virtuais.has(genitorId)) {
+          fila.push({ pet: virtuais.get(genitorId), geracao: geracao + 1 });
+          continue;
+        }
+        
+        // Pets reais nunca têm ancestrais virtuais: a árvore deles vem inteira do índice
+        const subarvore = await this.montarArvoreGenealogica(genitorId, geracoes - geracao - 1);
+        
+        for (const [idAncestral, { pet: ancestral, geracao: geracaoAncestral }] of subarvore) {
+          const geracaoMista = geracao + 1 + geracaoAncestral;
+          const existente = arvore.get(idAncestral);
+          
+          if (!existente || existente.geracao > geracaoMista) {
+            arvore.set(idAncestral, { pet: ancestral, geracao: geracaoMista });
+          }
+        }
+      }
+    }
+    
+    return arvore;
+  }
+  
+  /**
+   * Avalia a compatibilidade de um par usando árvores genealógicas já carregadas
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @param {Map} arvores - Árvores genealógicas (id do pet -> árvore)
+   * @param {Object} parametros - Parâmetros do sistema
+   * @param {Object} [contexto] - Dados auxiliares carregados com carregarContextoCompatibilidade
+   * @param {Map} [contexto.historicoNinhadas] - Histórico de ninhadas das fêmeas (id -> { total, ultimaNinhada })
+   * @param {Array} [contexto.catalogoTestes] - Testes de saúde ativos do catálogo
+   * @param {Date} [contexto.dataReferencia] - Data em que idades e intervalos são avaliados (padrão: hoje)
+   * @param {Set} [contexto.idadeNaoAvaliada] - IDs dos pets cujas regras de idade não são avaliadas
+   * @returns {Object} - Resultado da compatibilidade
+   */
+  avaliarCompatibilidade(pet1, pet2, arvores, parametros, contexto = {}) {
+    const {
+      historicoNinhadas = new Map(),
+      catalogoTestes = [],
+      dataReferencia = new Date(),
+      idadeNaoAvaliada = new Set()
+    } = contexto;
+    const opcoesIdade = { dataReferencia, idadeNaoAvaliada };
+    const geracoes = parametros.geracoesConsanguinidade || 5;
+    
+    // Verifica se são de gêneros diferentes
+    const generoCompativel = pet1.genero !== pet2.genero;
+    
+    // Calcula o COI projetado da ninhada pelo método de Wright
+    const { coeficiente: consanguinidade, contribuicoes } = this.calcularConsanguinidadeArvores(
+      pet1._id,
+      pet2._id,
+      arvores.get(pet1._id.toString()),
+      arvores.get(pet2._id.toString()),
+      geracoes
+    );
+    
+    // O limite de consanguinidade se aplica ao COI projetado da ninhada
+    const consanguinidadeCompativel = consanguinidade <= parametros.limiteConsanguinidade;
+    
+    // Verifica compatibilidade de displasia
+    const displasiaCompativel = this.compararDisplasia(
+      parametros.matrizDisplasia,
+      pet1.displasia,
+      pet2.displasia
+    );
+    
+    // Verifica as regras de elegibilidade reprodutiva de cada pet
+    const violacoes = [
+      ...this.verificarElegibilidade(pet1, parametros.regrasReprodutivas, historicoNinhadas, opcoesIdade),
+      ...this.verificarElegibilidade(pet2, parametros.regrasReprodutivas, historicoNinhadas, opcoesIdade)
+    ];
+    
+    // Aplica as regras de pareamento dos demais testes de saúde do catálogo
+    const testesSaude = this.avaliarTestesSaude(pet1, pet2, catalogoTestes);
+    
+    // Avalia cada fator da pontuação, com motivo e severidade
+    const fatores = [
+      this.avaliarFatorElegibilidade(violacoes),
+      this.avaliarFatorGenero(pet1, pet2),
+      this.avaliarFatorConsanguinidade(consanguinidade, parametros.limiteConsanguinidade),
+      this.avaliarFatorDisplasia(pet1, pet2, displasiaCompativel),
+      this.avaliarFatorIdade(pet1, pet2, parametros.faixaIdadeIdeal, opcoesIdade),
+      this.avaliarFatorSaude(pet1, pet2, arvores),
+      this.avaliarFatorTestesSaude(testesSaude)
+    ];
+    
+    // Fatores bloqueantes tornam o par incompatível, qualquer que seja a pontuação
+    const bloqueios = fatores.filter(fator => fator.severidade === 'bloqueante');
+    
+    // Prepara resultado
+    return {
+      petId1: pet1._id.toString(),
+      petId2: pet2._id.toString(),
+      generoCompativel,
+      metricaConsanguinidade: 'coiNinhadaProjetada',
+      consanguinidade: parseFloat(consanguinidade.toFixed(2)),
+      consanguinidadeCompativel,
+      contribuicoesConsanguinidade: contribuicoes,
+      displasiaCompativel,
+      testesSaude,
+      elegibilidade: {
+        elegivel: violacoes.length === 0,
+        violacoes
+      },
+      pontuacao: this.calcularPontuacao(fatores, parametros.pesosCompatibilidade),
+      fatores,
+      compativel: bloqueios.length === 0,
+      parametrosUtilizados: this.descreverParametros(parametros)
+    };
+  }
+  
+  /**
+   * Verifica as regras de elegibilidade reprodutiva de um pet
+   * @param {Object} pet - Pet avaliado
+   * @param {Object} regras - Regras reprodutivas dos parâmetros
+   * @param {Map} historicoNinhadas - Histórico de ninhadas das fêmeas (id -> { total, ultimaNinhada })
+   * @param {Object} [opcoes]
+   * @param {Date} [opcoes.dataReferencia] - Data do cruzamento avaliado (padrão: hoje)
+   * @param {Set} [opcoes.idadeNaoAvaliada] - IDs dos pets cujas regras de idade não são avaliadas
+   * @returns {Array} - Regras violadas ({ regra, petId, nome, mensagem })
+   */
+  verificarElegibilidade(pet, regras, historicoNinhadas, opcoes = {}) {
+    if (!regras) return [];
+    
+    const { dataReferencia = new Date(), idadeNaoAvaliada = new Set() } = opcoes;
+    const violacoes = [];
+    const femea = pet.genero === 'fêmea';
+    const avaliarIdade = !idadeNaoAvaliada.has(pet._id.toString());
+    const idade = pet.getIdade(dataReferencia);
+    const idadeMinima = femea ? regras.idadeMinimaFemea : regras.idadeMinimaMacho;
+    const idadeMaxima = femea ? regras.idadeMaximaFemea : regras.idadeMaximaMacho;
+    const sufixo = femea ? 'Femea' : 'Macho';
+    
+    const violar = (regra, mensagem) => violacoes.push({
+      regra,
+      petId: pet._id.toString(),
+      nome: pet.nome,
+      mensagem
+    });
+    
+    if (avaliarIdade && idadeMinima != null && idade < idadeMinima) {
+      violar(`idadeMinima${sufixo}`, `${pet.nome} tem ${idade} ano(s); a idade mínima para reprodução é ${idadeMinima}`);
+    }
+    
+    if (avaliarIdade && idadeMaxima != null && idade > idadeMaxima) {
+      violar(`idadeMaxima${sufixo}`, `${pet.nome} tem ${idade} ano(s); a idade máxima para reprodução é ${idadeMaxima}`);
+    }
+    
+    if (!femea) return violacoes;
+    
+    const historico = historicoNinhadas.get(pet._id.toString());
+    if (!historico) return violacoes;
+    
+    if (regras.maximoNinhadasFemea != null && historico.total >= regras.maximoNinhadasFemea) {
+      violar('maximoNinhadasFemea',
+        `${pet.nome} já teve ${historico.total} ninhada(s); o máximo permitido é ${regras.maximoNinhadasFemea}`);
+    }
+    
+    if (regras.intervaloMinimoNinhadasMeses != null && historico.ultimaNinhada) {
+      const proximaPermitida = new Date(historico.ultimaNinhada);
+      proximaPermitida.setMonth(proximaPermitida.getMonth() + regras.intervaloMinimoNinhadasMeses);
+      
+      if (proximaPermitida > dataReferencia) {
+        violar('intervaloMinimoNinhadasMeses',
+          `A última ninhada de ${pet.nome} foi há menos de ${regras.intervaloMinimoNinhadasMeses} meses; ` +
+          `novo cruzamento permitido a partir de ${proximaPermitida.toISOString().slice(0, 10)}`);
+      }
+    }
+    
+    return violacoes;
+  }
+  
+  /**
+   * Carrega os dados auxiliares da avaliação de compatibilidade de um lote de pets
+   * @param {Array} pets - Pets avaliados
+   * @returns {Promise<Object>} - Histórico de ninhadas das fêmeas e catálogo de testes de saúde
+   */
+  async carregarContextoCompatibilidade(pets) {
+    const [historicoNinhadas, catalogoTestes] = await Promise.all([
+      this.carregarHistoricoNinhadas(pets),
+      TesteSaude.carregarCatalogo()
+    ]);
+    
+    return { historicoNinhadas, catalogoTestes };
+  }
+  
+  /**
+   * Carrega o total de ninhadas e a data da última ninhada das fêmeas informadas
+   * @param {Array} pets - Pets avaliados (apenas as fêmeas são consideradas)
+   * @returns {Promise<Map>} - Histórico por fêmea (id -> { total, ultimaNinhada })
+   */
+  async carregarHistoricoNinhadas(pets) {
+    const femeas = pets.filter(pet => pet.genero === 'fêmea').map(pet => pet._id);
+    if (femeas.length === 0) return new Map();
+    
+    const historico = await Ninhada.aggregate([
+      { $match: { mae: { $in: femeas }, ativo: true } },
+      {
+        $group: {
+          _id: '$mae',
+          total: { $sum: 1 },
+          ultimaNinhada: { $max: { $ifNull: ['$dataParto', '$dataCruzamento'] } }
+        }
+      }
+    ]);
+    
+    return new Map(historico.map(({ _id, total, ultimaNinhada }) => [
+      _id.toString(),
+      { total, ultimaNinhada }
+    ]));
+  }
+  
+  /**
+   * Fator de elegibilidade: qualquer regra reprodutiva violada bloqueia o cruzamento
+   * @param {Array} violacoes - Regras violadas pelo par
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorElegibilidade(violacoes) {
+    return {
+      fator: 'elegibilidade',
+      pontuacao: violacoes.length === 0 ? 100 : 0,
+      severidade: violacoes.length === 0 ? 'info' : 'bloqueante',
+      motivo: violacoes.length === 0
+        ? 'Ambos os pets atendem às regras de elegibilidade reprodutiva'
+        : violacoes.map(violacao => violacao.mensagem).join('; ')
+    };
+  }
+  
+  /**
+   * Fator de gênero: pets do mesmo gênero não podem cruzar
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorGenero(pet1, pet2) {
+    const compativel = pet1.genero !== pet2.genero;
+    
+    return {
+      fator: 'genero',
+      pontuacao: compativel ? 100 : 0,
+      severidade: compativel ? 'info' : 'bloqueante',
+      motivo: compativel
+        ? 'Os pets são de gêneros diferentes'
+        : `Os dois pets são do gênero ${pet1.genero}`
+    };
+  }
+  
+  /**
+   * Fator de consanguinidade: margem do COI projetado em relação ao limite
+   *
+   * Dentro do limite a pontuação vai de 100 (COI zero) a 50 (COI igual ao limite);
+   * acima dele cai de 50 até 0 quando o COI chega ao dobro do limite.
+   * @param {Number} consanguinidade - COI projetado da ninhada (%)
+   * @param {Number} limite - Limite de consanguinidade (%)
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorConsanguinidade(consanguinidade, limite) {
+    const coi = parseFloat(consanguinidade.toFixed(2));
+    let pontuacao;
+    
+    if (limite <= 0) {
+      pontuacao = coi === 0 ? 100 : 0;
+    } else if (coi <= limite) {
+      pontuacao = 100 - 50 * (coi / limite);
+    } else {
+      pontuacao = Math.max(0, 50 - 50 * ((coi - limite) / limite));
+    }
+    
+    if (coi > limite) {
+      return {
+        fator: 'consanguinidade',
+        pontuacao: Math.round(pontuacao),
+        severidade: 'bloqueante',
+        motivo: `O COI projetado da ninhada (${coi}%) ultrapassa o limite de ${limite}%`
+      };
+    }
+    
+    return {
+      fator: 'consanguinidade',
+      pontuacao: Math.round(pontuacao),
+      severidade: coi > limite * 0.75 ? 'alerta' : 'info',
+      motivo: coi > limite * 0.75
+        ? `O COI projetado da ninhada (${coi}%) está próximo do limite de ${limite}%`
+        : `O COI projetado da ninhada (${coi}%) está dentro do limite de ${limite}%`
+    };
+  }
+  
+  /**
+   * Fator de displasia: combinação dos graus do par segundo a matriz de compatibilidade
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @param {Boolean} compativel - Resultado da matriz de displasia
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorDisplasia(pet1, pet2, compativel) {
+    const pontuacao = (PONTUACAO_DISPLASIA[pet1.displasia] + PONTUACAO_DISPLASIA[pet2.displasia]) / 2;
+    const combinacao = `${pet1.displasia} x ${pet2.displasia}`;
+    
+    if (!compativel) {
+      return {
+        fator: 'displasia',
+        pontuacao: Math.round(pontuacao || 0),
+        severidade: 'bloqueante',
+        motivo: `A combinação de displasia ${combinacao} não é permitida pela matriz de compatibilidade`
+      };
+    }
+    
+    const afetado = ['C', 'D', 'E'].includes(pet1.displasia) || ['C', 'D', 'E'].includes(pet2.displasia);
+    
+    return {
+      fator: 'displasia',
+      pontuacao: Math.round(pontuacao),
+      severidade: afetado ? 'alerta' : 'info',
+      motivo: afetado
+        ? `A combinação de displasia ${combinacao} é permitida, mas envolve um pet com displasia`
+        : `A combinação de displasia ${combinacao} é adequada`
+    };
+  }
+  
+  /**
+   * Fator de idade: adequação das idades do par à faixa ideal de reprodução
+   *
+   * Perde 25 pontos por ano fora da faixa; vale a pior idade do par.
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @param {Object} faixa - Faixa de idade ideal ({ minima, maxima } em anos)
+   * @param {Object} [opcoes]
+   * @param {Date} [opcoes.dataReferencia] - Data do cruzamento avaliado (padrão: hoje)
+   * @param {Set} [opcoes.idadeNaoAvaliada] - IDs dos pets cuja idade não é avaliada
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorIdade(pet1, pet2, faixa = {}, opcoes = {}) {
+    const { dataReferencia = new Date(), idadeNaoAvaliada = new Set() } = opcoes;
+    const minima = faixa.minima !== undefined ? faixa.minima : 2;
+    const maxima = faixa.maxima !== undefined ? faixa.maxima : 7;
+    const foraDaFaixa = [];
+    const naoAvaliados = [];
+    let pontuacao = 100;
+    
+    for (const pet of [pet1, pet2]) {
+      if (idadeNaoAvaliada.has(pet._id.toString())) {
+        naoAvaliados.push(pet.nome);
+        continue;
+      }
+      
+      const idade = pet.getIdade(dataReferencia);
+      const distancia = idade < minima ? minima - idade : Math.max(0, idade - maxima);
+      
+      if (distancia > 0) {
+        foraDaFaixa.push(`${pet.nome} tem ${idade} ano(s)`);
+        pontuacao = Math.min(pontuacao, Math.max(0, 100 - 25 * distancia));
+      }
+    }
+    
+    const motivos = [
+      foraDaFaixa.length > 0
+        ? `Fora da faixa ideal de ${minima} a ${maxima} anos: ${foraDaFaixa.join('; ')}`
+        : naoAvaliados.length === 0 && `Ambos os pets estão na faixa ideal de ${minima} a ${maxima} anos`,
+      naoAvaliados.length > 0 && `Idade não avaliada para ${naoAvaliados.join(' e ')} (sem data de cruzamento)`
+    ];
+    
+    return {
+      fator: 'idade',
+      pontuacao,
+      severidade: foraDaFaixa.length > 0 ? 'alerta' : 'info',
+      motivo: motivos.filter(Boolean).join('; ')
+    };
+  }
+  
+  /**
+   * Fator de saúde: incidência de displasia entre os ancestrais conhecidos do par
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @param {Map} arvores - Árvores genealógicas (id do pet -> árvore)
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorSaude(pet1, pet2, arvores) {
+    const ancestrais = new Map();
+    
+    for (const pet of [pet1, pet2]) {
+      for (const [id, { pet: ancestral, geracao }] of arvores.get(pet._id.toString()) || []) {
+        if (geracao > 0) ancestrais.set(id, ancestral);
+      }
+    }
+    
+    if (ancestrais.size === 0) {
+      return {
+        fator: 'saude',
+        pontuacao: 100,
+        severidade: 'info',
+        motivo: 'Não há ancestrais cadastrados para avaliar o histórico de saúde'
+      };
+    }
+    
+    const notas = [...ancestrais.values()].map(ancestral => PONTUACAO_DISPLASIA[ancestral.displasia] || 0);
+    const afetados = [...ancestrais.values()].filter(a => ['C', 'D', 'E'].includes(a.displasia)).length;
+    const pontuacao = Math.round(notas.reduce((soma, nota) => soma + nota, 0) / notas.length);
+    const percentual = Math.round((afetados / ancestrais.size) * 100);
+    
+    return {
+      fator: 'saude',
+      pontuacao,
+      severidade: percentual > 25 ? 'alerta' : 'info',
+      motivo: `${afetados} de ${ancestrais.size} ancestrais (${percentual}%) têm displasia grau C ou pior`
+    };
+  }
+  
+  /**
+   * Avalia o par em cada teste de saúde do catálogo aplicável às suas raças
+   *
+   * A displasia coxofemoral é avaliada à parte, pela matrizDisplasia dos parâmetros.
+   * @param {Object} pet1 - Primeiro pet
+   * @param {Object} pet2 - Segundo pet
+   * @param {Array} catalogo - Testes de saúde ativos
+   * @returns {Array} - Avaliação por teste ({ teste, nome, resultado1, resultado2, compativel, severidade, motivo })
+   */
+  avaliarTestesSaude(pet1, pet2, catalogo) {
+    const racas = [pet1.raca, pet2.raca].filter(Boolean).map(raca => raca.toLowerCase());
+    const avaliacoes = [];
+    
+    for (const teste of catalogo) {
+      if (teste.codigo === TesteSaude.CODIGO_DISPLASIA) continue;
+      
+      const aplicavel = teste.racas.length === 0 ||
+        teste.racas.some(raca => racas.includes(raca.toLowerCase()));
+      if (!aplicavel) continue;
+      
+      const resultado1 = pet1.getResultadoTeste(teste.codigo);
+      const resultado2 = pet2.getResultadoTeste(teste.codigo);
+      const avaliacao = {
+        teste: teste.codigo,
+        nome: teste.nome,
+        resultado1: resultado1 ? resultado1.resultado : null,
+        resultado2: resultado2 ? resultado2.resultado : null
+      };
+      
+      if (!resultado1 || !resultado2) {
+        // Testes opcionais sem resultado não entram na avaliação
+        if (!teste.obrigatorio) continue;
+        
+        const semResultado = [!resultado1 && pet1.nome, !resultado2 && pet2.nome].filter(Boolean);
+        avaliacoes.push({
+          ...avaliacao,
+          compativel: null,
+          severidade: 'alerta',
+          motivo: `${teste.nome}: sem resultado para ${semResultado.join(' e ')}`
+        });
+        continue;
+      }
+      
+      // Teste sem matriz (ex.: grau ou certificação apenas informativos) não restringe o par
+      if (!teste.matrizPareamento || teste.matrizPareamento.size === 0) continue;
+      
+      const linha = teste.matrizPareamento.get(avaliacao.resultado1);
+      const compativel = Boolean(linha && linha.get(avaliacao.resultado2));
+      const combinacao = `${avaliacao.resultado1} x ${avaliacao.resultado2}`;
+      
+      avaliacoes.push({
+        ...avaliacao,
+        compativel,
+        severidade: compativel ? 'info' : teste.severidade,
+        motivo: compativel
+          ? `${teste.nome}: a combinação ${combinacao} é permitida`
+          : `${teste.nome}: a combinação ${combinacao} não é permitida`
+      });
+    }
+    
+    return avaliacoes;
+  }
+  
+  /**
+   * Fator de testes de saúde: proporção de testes do catálogo em que o par é compatível
+   * @param {Array} avaliacoes - Avaliações por teste (avaliarTestesSaude)
+   * @returns {Object} - Fator avaliado
+   */
+  avaliarFatorTestesSaude(avaliacoes) {
+    if (avaliacoes.length === 0) {
+      return {
+        fator: 'testesSaude',
+        pontuacao: 100,
+        severidade: 'info',
+        motivo: 'Não há testes de saúde com resultado para ambos os pets'
+      };
+    }
+    
+    const compativeis = avaliacoes.filter(avaliacao => avaliacao.compativel).length;
+    const problemas = avaliacoes.filter(avaliacao => avaliacao.severidade !== 'info');
+    const severidade = problemas.some(avaliacao => avaliacao.severidade === 'bloqueante')
+      ? 'bloqueante'
+      : problemas.length > 0 ? 'alerta' : 'info';
+    
+    return {
+      fator: 'testesSaude',
+      pontuacao: Math.round((compativeis / avaliacoes.length) * 100),
+      severidade,
+      motivo: problemas.length > 0
+        ? problemas.map(avaliacao => avaliacao.motivo).join('; ')
+        : `O par é compatível nos ${avaliacoes.length} teste(s) de saúde avaliados`
+    };
+  }
+  
+  /**
+   * Calcula a pontuação final (0-100) como média ponderada dos fatores
+   * @param {Array} fatores - Fatores avaliados
+   * @param {Object} pesos - Peso de cada fator
+   * @returns {Number} - Pontuação de compatibilidade
+   */
+  calcularPontuacao(fatores, pesos = {}) {
+    let somaPesos = 0;
+    let soma = 0;
+    
+    for (const fator of fatores) {
+      fator.peso = pesos[fator.fator] || 0;
+      somaPesos += fator.peso;
+      soma += fator.peso * fator.pontuacao;
+    }
+    
+    return somaPesos > 0 ? Math.round(soma / somaPesos) : 0;
+  }
+  
+  /**
+   * Sugere parceiros compatíveis para um pet, ordenados pela menor consanguinidade
+   * e pela melhor combinação de displasia
+   * @param {String} petId - ID do pet
+   * @param {Object} filtros - Filtros da busca
+   * @param {String} [filtros.proprietario] - ID do proprietário dos candidatos
+   * @param {Number} [filtros.idadeMinima] - Idade mínima dos candidatos (anos)
+   * @param {Number} [filtros.idadeMaxima] - Idade máxima dos candidatos (anos)
+   * @param {Number} [filtros.consanguinidadeMaxima] - Consanguinidade máxima aceita (%)
+   * @param {Number} page - Página atual
+   * @param {Number} limit - Limite de itens por página
+   * @returns {Promise<Object|null>} - Candidatos e informações de paginação, ou null se o pet não existir
+   */
+  async sugerirParceiros(petId, filtros = {}, page = 1, limit = 10) {
+    try {
+      const pet = await Pet.findById(petId);
+      if (!pet) return null;
+      
+      // Candidatos ativos do gênero oposto e da mesma raça
+      const query = {
+        _id: { $ne: pet._id },
+        ativo: true,
+        genero: pet.genero === 'macho' ? 'fêmea' : 'macho',
+        raca: { $regex: `^${escaparRegex(pet.raca)}$`, $options: 'i' }
+      };
+      
+      if (filtros.proprietario) {
+        query.proprietario = filtros.proprietario;
+      }
+      
+      let candidatos = await Pet.find(query).populate('proprietario', 'username email');
+      
+      if (filtros.idadeMinima !== undefined) {
+        candidatos = candidatos.filter(candidato => candidato.getIdade() >= filtros.idadeMinima);
+      }
+      
+      if (filtros.idadeMaxima !== undefined) {
+        candidatos = candidatos.filter(candidato => candidato.getIdade() <= filtros.idadeMaxima);
+      }
+      
+      // Parâmetros e pedigrees são carregados uma única vez para todo o lote
+      const parametros = await this.getParametros(pet.raca);
+      const geracoes = parametros.geracoesConsanguinidade || 5;
+      const arvores = await this.carregarArvoresGenealogicas([pet, ...candidatos], geracoes);
+      const contexto = await this.carregarContextoCompatibilidade([pet, ...candidatos]);
+      const grauDisplasia = displasia => 'ABCDE'.indexOf(displasia);
+      
+      const compativeis = candidatos
+        .map(candidato => ({
+          pet: candidato,
+          compatibilidade: this.avaliarCompatibilidade(pet, candidato, arvores, parametros, contexto)
+        }))
+        .filter(({ compatibilidade }) => compatibilidade.compativel &&
+          (filtros.consanguinidadeMaxima === undefined ||
+            compatibilidade.consanguinidade <= filtros.consanguinidadeMaxima))
+        .sort((a, b) =>
+          a.compatibilidade.consanguinidade - b.compatibilidade.consanguinidade ||
+          grauDisplasia(a.pet.displasia) - grauDisplasia(b.pet.displasia));
+      
+      // Converter página e limite para números
+      const pageNumber = parseInt(page, 10);
+      const limitNumber = parseInt(limit, 10);
+      const skip = (pageNumber - 1) * limitNumber;
+      
+      return {
+        candidatos: compativeis.slice(skip, skip + limitNumber),
+        pagination: {
+          total: compativeis.length,
+          page: pageNumber,
+          limit: limitNumber,
+          pages: Math.ceil(compativeis.length / limitNumber)
+        }
+      };
+    } catch (error) {
+      console.error('Erro ao sugerir parceiros:', error);
+      throw error;
+    }
+  }
 }
 
-module.exports = new ParametrosPetService();
\ No newline at end of file
+module.exports = new ParametrosPetService();
@@ -0,0 +1,374 @@
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { montarCsv } = require('../utils/csv');
+
+// Formatos aceitos na exportação do pedigree (tipo de conteúdo e extensão do arquivo)
+const FORMATOS_EXPORTACAO = {
+  json: { tipoConteudo: 'application/json', extensao: 'json' },
+  csv: { tipoConteudo: 'text/csv; charset=utf-8', extensao: 'csv' },
+  gedcom: { tipoConteudo: 'text/plain; charset=utf-8', extensao: 'ged' },
+  dot: { tipoConteudo: 'text/vnd.graphviz; charset=utf-8', extensao: 'dot' }
+};
+
+// Colunas da exportação CSV (uma linha por posição do pedigree)
+const COLUNAS_CSV = [
+  'posicao', 'geracao', 'id', 'nome', 'genero', 'raca', 'dataNascimento',
+  'registroOficial', 'displasia', 'paiId', 'maeId', 'ocorrencias'
+];
+
+const MESES_GEDCOM = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Escapa um texto para uso entre aspas no formato DOT
+const escaparDot = texto => String(texto).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Data no formato GEDCOM (ex.: 05 MAR 2020)
+const dataGedcom = data => {
+  const valor = new Date(data);
+  return `${String(valor.getUTCDate()).padStart(2, '0')} ${MESES_GEDCOM[valor.getUTCMonth()]} ${valor.getUTCFullYear()}`;
+};
+
+// Data no formato AAAA-MM-DD
+const dataIso = data => (data ? new Date(data).toISOString().slice(0, 10) : '');
+
+/**
+ * Serviço responsável por montar o pedigree (árvore pai/mãe) de um pet
+ */
+class PedigreeService {
+  /**
+   * Monta o pedigree de um pet preservando a estrutura pai/mãe
+   * @param {String} petId - ID do pet
+   * @param {Number} [geracoes] - Número de gerações (padrão: geracoesConsanguinidade)
+   * @returns {Promise<Object|null>} - Árvore aninhada e ancestrais repetidos, ou null se o pet não existir
+   */
+  async montarPedigree(petId, geracoes) {
+    const dados = await this.carregarPedigree(petId, geracoes);
+    if (!dados) return null;
+
+    return {
+      geracoes: dados.geracoes,
+      pedigree: dados.pedigree,
+      ancestraisRepetidos: dados.ancestraisRepetidos
+    };
+  }
+
+  /**
+   * Exporta o pedigree de um pet em JSON, CSV, texto no estilo GEDCOM ou Graphviz DOT
+   *
+   * Todos os formatos partem da mesma árvore do cálculo de consanguinidade. O COI exportado
+   * é o mesmo do cálculo individual (e do certificado), com os parâmetros da raça do pet,
+   * independentemente do número de gerações exportadas.
+   * @param {String} petId - ID do pet
+   * @param {String} formato - json, csv, gedcom ou dot
+   * @param {Number} [geracoes] - Número de gerações (padrão: geracoesConsanguinidade)
+   * @returns {Promise<Object|null>} - { tipoConteudo, extensao, conteudo }, ou null se o pet não existir
+   */
+  async exportarPedigree(petId, formato, geracoes) {
+    try {
+      if (!FORMATOS_EXPORTACAO[formato]) {
+        const erro = new Error(`Formato inválido. Use: ${Object.keys(FORMATOS_EXPORTACAO).join(', ')}`);
+        erro.statusCode = 400;
+        throw erro;
+      }
+
+      const { tipoConteudo, extensao } = FORMATOS_EXPORTACAO[formato];
+      const [dados, consanguinidade] = await Promise.all([
+        this.carregarPedigree(petId, geracoes),
+        parametrosPetService.calcularConsanguinidadeIndividual(petId)
+      ]);
+      if (!dados || !consanguinidade) return null;
+
+      const { pet } = dados.arvore.get(petId.toString());
+      dados.coi = parseFloat(consanguinidade.coeficiente.toFixed(2));
+
+      const geradores = {
+        json: () => ({
+          geracoes: dados.geracoes,
+          coi: dados.coi,
+          pedigree: dados.pedigree,
+          ancestraisRepetidos: dados.ancestraisRepetidos
+        }),
+        csv: () => this.gerarCsv(dados),
+        gedcom: () => this.gerarGedcom(dados),
+        dot: () => this.gerarDot(dados)
+      };
+
+      return {
+        tipoConteudo,
+        extensao,
+        nomeArquivo: `pedigree-${pet.nome.normalize('NFD').replace(/[^\w-]+/g, '-').toLowerCase()}.${extensao}`,
+        conteudo: geradores[formato]()
+      };
+    } catch (error) {
+      console.error('Erro ao exportar pedigree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Carrega a árvore do pet e monta o pedigree aninhado e a contagem de ocorrências
+   * @param {String} petId - ID do pet
+   * @param {Number} [geracoes] - Número de gerações (padrão: geracoesConsanguinidade da raça do pet)
+   * @returns {Promise<Object|null>} - Árvore, ocorrências, pedigree e ancestrais repetidos
+   */
+  async carregarPedigree(petId, geracoes) {
+    try {
+      if (!geracoes) {
+        const pet = await Pet.findById(petId).select('raca');
+        if (!pet) return null;
+
+        const parametros = await parametrosPetService.getParametros(pet.raca);
+        geracoes = parametros.geracoesConsanguinidade || 5;
+      }
+
+      // Reaproveita a mesma travessia usada no cálculo de consanguinidade
+      const arvore = await parametrosPetService.montarArvoreGenealogica(petId, geracoes);
+
+      if (!arvore.has(petId.toString())) {
+        return null;
+      }
+
+      // Conta quantas vezes cada ancestral aparece no pedigree
+      const ocorrencias = new Map();
+      this.contarOcorrencias(petId.toString(), arvore, geracoes, 0, ocorrencias);
+
+      const pedigree = this.montarNo(petId.toString(), arvore, geracoes, 0, ocorrencias);
+
+      const ancestraisRepetidos = [];
+      for (const [id, total] of ocorrencias) {
+        if (total > 1 && id !== petId.toString()) {
+          ancestraisRepetidos.push({
+            _id: id,
+            nome: arvore.get(id).pet.nome,
+            ocorrencias: total
+          });
+        }
+      }
+
+      return {
+        geracoes,
+        arvore,
+        ocorrencias,
+        pedigree,
+        ancestraisRepetidos
+      };
+    } catch (error) {
+      console.error('Erro ao montar pedigree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Conta as ocorrências de cada indivíduo nas posições do pedigree
+   * @param {String} id - ID do pet na posição atual
+   * @param {Map} arvore - Árvore retornada por montarArvoreGenealogica
+   * @param {Number} geracoes - Número máximo de gerações
+   * @param {Number} geracao - Geração da posição atual
+   * @param {Map} ocorrencias - Contador (id -> ocorrências)
+   */
+  contarOcorrencias(id, arvore, geracoes, geracao, ocorrencias) {
+    if (!id || geracao > geracoes || !arvore.has(id)) return;
+
+    ocorrencias.set(id, (ocorrencias.get(id) || 0) + 1);
+
+    const { pet } = arvore.get(id);
+    this.contarOcorrencias(pet.pai && pet.pai.toString(), arvore, geracoes, geracao + 1, ocorrencias);
+    this.contarOcorrencias(pet.mae && pet.mae.toString(), arvore, geracoes, geracao + 1, ocorrencias);
+  }
+
+  /**
+   * Monta recursivamente um nó do pedigree com seu pai e sua mãe
+   * @param {String} id - ID do pet na posição atual
+   * @param {Map} arvore - Árvore retornada por montarArvoreGenealogica
+   * @param {Number} geracoes - Número máximo de gerações
+   * @param {Number} geracao - Geração da posição atual
+   * @param {Map} ocorrencias - Contador (id -> ocorrências)
+   * @returns {Object|null} - Nó do pedigree
+   */
+  montarNo(id, arvore, geracoes, geracao, ocorrencias) {
+    if (!id || geracao > geracoes || !arvore.has(id)) return null;
+
+    const { pet } = arvore.get(id);
+
+    return {
+      _id: pet._id,
+      nome: pet.nome,
+      raca: pet.raca,
+      genero: pet.genero,
+      displasia: pet.displasia,
+      registroOficial: pet.registroOficial,
+      dataNascimento: pet.dataNascimento,
+      geracao,
+      repetido: geracao > 0 && ocorrencias.get(id) > 1,
+      pai: this.montarNo(pet.pai && pet.pai.toString(), arvore, geracoes, geracao + 1, ocorrencias),
+      mae: this.montarNo(pet.mae && pet.mae.toString(), arvore, geracoes, geracao + 1, ocorrencias)
+    };
+  }
+
+  /**
+   * Lista as posições do pedigree em ordem (pet, pai, mãe, avós...), com o código da posição
+   * formado por P (pai) e M (mãe) a partir do pet (ex.: PM = mãe do pai)
+   * @param {Object} no - Nó do pedigree
+   * @param {String} [posicao] - Código da posição do nó
+   * @returns {Array} - Posições ({ posicao, no })
+   */
+  listarPosicoes(no, posicao = '') {
+    const posicoes = [];
+    const fila = [{ no, posicao }];
+
+    while (fila.length > 0) {
+      const atual = fila.shift();
+      if (!atual.no) continue;
+
+      posicoes.push(atual);
+      fila.push({ no: atual.no.pai, posicao: `${atual.posicao}P` });
+      fila.push({ no: atual.no.mae, posicao: `${atual.posicao}M` });
+    }
+
+    return posicoes;
+  }
+
+  /**
+   * Gera o CSV do pedigree: uma linha por posição, com as ocorrências de cada ancestral
+   * @param {Object} dados - Pedigree carregado por carregarPedigree
+   * @returns {String} - Conteúdo CSV
+   */
+  gerarCsv(dados) {
+    const linhas = this.listarPosicoes(dados.pedigree).map(({ posicao, no }) => [
+      posicao || 'pet',
+      no.geracao,
+      no._id,
+      no.nome,
+      no.genero,
+      no.raca,
+      dataIso(no.dataNascimento),
+      no.registroOficial,
+      no.displasia,
+      no.pai ? no.pai._id : '',
+      no.mae ? no.mae._id : '',
+      dados.ocorrencias.get(no._id.toString())
+    ]);
+
+    return montarCsv(COLUNAS_CSV, linhas);
+  }
+
+  /**
+   * Gera o pedigree em texto no estilo GEDCOM 5.5.1 (indivíduos e famílias pai/mãe)
+   * @param {Object} dados - Pedigree carregado por carregarPedigree
+   * @returns {String} - Conteúdo GEDCOM
+   */
+  gerarGedcom(dados) {
+    const individuos = new Map();
+    const familias = new Map();
+
+    // Cada ancestral aparece uma única vez, mesmo que ocupe várias posições
+    for (const { no } of this.listarPosicoes(dados.pedigree)) {
+      const id = no._id.toString();
+      if (!individuos.has(id)) {
+        individuos.set(id, { no, referencia: `@I${individuos.size + 1}@`, familiaComoFilho: null, familiasComoPai: new Set() });
+      }
+
+      if (!no.pai && !no.mae) continue;
+
+      const chave = `${no.pai ? no.pai._id : ''}|${no.mae ? no.mae._id : ''}`;
+      if (!familias.has(chave)) {
+        familias.set(chave, { referencia: `@F${familias.size + 1}@`, pai: no.pai, mae: no.mae, filhos: new Set() });
+      }
+
+      const familia = familias.get(chave);
+      familia.filhos.add(id);
+      individuos.get(id).familiaComoFilho = familia.referencia;
+    }
+
+    for (const familia of familias.values()) {
+      for (const genitor of [familia.pai, familia.mae].filter(Boolean)) {
+        const individuo = individuos.get(genitor._id.toString());
+        if (individuo) individuo.familiasComoPai.add(familia.referencia);
+      }
+    }
+
+    const linhas = [
+      '0 HEAD',
+      '1 SOUR PEDIGREE-PETS',
+      '1 GEDC',
+      '2 VERS 5.5.1',
+      '2 FORM LINEAGE-LINKED',
+      '1 CHAR UTF-8',
+      `1 NOTE Pedigree de ${dados.pedigree.nome} em ${dados.geracoes} gerações; COI ${dados.coi}%`
+    ];
+
+    for (const { no, referencia, familiaComoFilho, familiasComoPai } of individuos.values()) {
+      linhas.push(`0 ${referencia} INDI`);
+      linhas.push(`1 NAME ${no.nome}`);
+      linhas.push(`1 SEX ${no.genero === 'macho' ? 'M' : 'F'}`);
+
+      if (no.dataNascimento) {
+        linhas.push('1 BIRT');
+        linhas.push(`2 DATE ${dataGedcom(no.dataNascimento)}`);
+      }
+
+      if (no.registroOficial) linhas.push(`1 REFN ${no.registroOficial}`);
+      linhas.push(`1 NOTE Raça: ${no.raca}; Displasia: ${no.displasia}; Ocorrências: ${dados.ocorrencias.get(no._id.toString())}`);
+      if (familiaComoFilho) linhas.push(`1 FAMC ${familiaComoFilho}`);
+      familiasComoPai.forEach(familia => linhas.push(`1 FAMS ${familia}`));
+    }
+
+    for (const { referencia, pai, mae, filhos } of familias.values()) {
+      linhas.push(`0 ${referencia} FAM`);
+      if (pai) linhas.push(`1 HUSB ${individuos.get(pai._id.toString()).referencia}`);
+      if (mae) linhas.push(`1 WIFE ${individuos.get(mae._id.toString()).referencia}`);
+      filhos.forEach(filho => linhas.push(`1 CHIL ${individuos.get(filho).referencia}`));
+    }
+
+    linhas.push('0 TRLR');
+    return linhas.join('\n') + '\n';
+  }
+
+  /**
+   * Gera o pedigree em Graphviz DOT; ancestrais que aparecem mais de uma vez são
+   * destacados para evidenciar a consanguinidade (linebreeding) na renderização
+   * @param {Object} dados - Pedigree carregado por carregarPedigree
+   * @returns {String} - Conteúdo DOT
+   */
+  gerarDot(dados) {
+    const nos = new Map();
+    const arestas = new Set();
+
+    for (const { no } of this.listarPosicoes(dados.pedigree)) {
+      nos.set(no._id.toString(), no);
+
+      for (const [genitor, rotulo, cor] of [[no.pai, 'pai', '#1f77b4'], [no.mae, 'mãe', '#d6336c']]) {
+        if (genitor) {
+          arestas.add(`  "${no._id}" -> "${genitor._id}" [label="${rotulo}", color="${cor}"];`);
+        }
+      }
+    }
+
+    const linhas = [
+      'digraph pedigree {',
+      '  rankdir=LR;',
+      `  label="${escaparDot(`Pedigree de ${dados.pedigree.nome} - ${dados.geracoes} gerações - COI ${dados.coi}%`)}";`,
+      '  node [shape=box, style="rounded"];'
+    ];
+
+    for (const [id, no] of nos) {
+      const ocorrencias = dados.ocorrencias.get(id);
+      const rotulo = [
+        no.nome,
+        no.registroOficial,
+        `Displasia ${no.displasia}`,
+        ocorrencias > 1 && id !== dados.pedigree._id.toString() ? `aparece ${ocorrencias}x` : null
+      ].filter(Boolean).map(escaparDot).join('\\n');
+
+      const destaque = id === dados.pedigree._id.toString()
+        ? ', style="rounded,bold"'
+        : (ocorrencias > 1 ? ', style="rounded,filled", fillcolor="#ffd966", penwidth=2' : '');
+
+      linhas.push(`  "${id}" [label="${rotulo}"${destaque}];`);
+    }
+
+    linhas.push(...arestas, '}');
+    return linhas.join('\n') + '\n';
+  }
+}
+
+module.exports = new PedigreeService();
@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const PetPerdido = require('../models/PetPerdido');
+const Pet = require('../models/Pet');
+const { criarErro } = require('../utils/erros');
+const { escaparRegex } = require('../utils/regex');
+
+// Filtro de texto exato, sem diferenciar maiúsculas e minúsculas
+const textoIgual = valor => ({ $regex: `^${escaparRegex(String(valor).trim())}$`, $options: 'i' });
+
+// Valida um documento e converte os erros do Mongoose em { campo, mensagem }
+const validarDocumento = (documento, mensagem) => {
+  const validacao = documento.validateSync();
+  if (!validacao) return;
+
+  throw criarErro(mensagem, 422, Object.entries(validacao.errors).map(([campo, erro]) => ({
+    campo,
+    mensagem: erro.message
+  })));
+};
+
+// Datas informadas não podem estar no futuro
+const validarData = (valor, campo, descricao) => {
+  const data = new Date(valor);
+
+  if (!valor || isNaN(data)) {
+    throw criarErro(`${descricao} inválida`, 422, [{ campo, mensagem: `${descricao} inválida` }]);
+  }
+
+  if (data > new Date()) {
+    throw criarErro(`${descricao} não pode estar no futuro`, 422, [{ campo, mensagem: `${descricao} não pode estar no futuro` }]);
+  }
+
+  return data;
+};
+
+// Dados visíveis a qualquer pessoa: sem proprietário, microchip ou informantes
+const cartaoPublico = caso => {
+  const ultimo = caso.avistamentos[caso.avistamentos.length - 1];
+
+  return {
+    _id: caso._id,
+    status: caso.status,
+    pet: {
+      nome: caso.pet.nome,
+      especie: caso.pet.especie,
+      raca: caso.pet.raca,
+      genero: caso.pet.genero,
+      dataNascimento: caso.pet.dataNascimento
+    },
+    vistoPorUltimo: caso.vistoPorUltimo,
+    instrucoes: caso.preferenciasContato.instrucoes,
+    recompensa: caso.preferenciasContato.recompensa,
+    totalAvistamentos: caso.avistamentos.length,
+    ultimoAvistamento: ultimo
+      ? { data: ultimo.data, bairro: ultimo.local.bairro, cidade: ultimo.local.cidade, estado: ultimo.local.estado }
+      : null,
+    abertoEm: caso.createdAt
+  };
+};
+
+const CAMPOS_PET_PUBLICO = 'nome especie raca genero dataNascimento';
+
+/**
+ * Serviço responsável pelo modo perdido e encontrado: casos abertos pelos proprietários,
+ * listagem pública, avistamentos (inclusive pela leitura do microchip) e notificação do proprietário
+ */
+class PetPerdidoService {
+  /**
+   * Marca um pet como perdido, abrindo um caso
+   * @param {Object} dados - { pet, vistoPorUltimo: { local, data }, preferenciasContato, observacao }
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Caso aberto, ou null se o pet não existir
+   */
+  async marcarPerdido(dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(dados.pet)) return null;
+
+      const pet = await Pet.findOne({ _id: dados.pet, ativo: true });
+      if (!pet) return null;
+
+      if (pet.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+        throw criarErro('Apenas o proprietário pode marcar este pet como perdido', 403);
+      }
+
+      if (await PetPerdido.exists({ pet: pet._id, status: 'perdido' })) {
+        throw criarErro('Este pet já está marcado como perdido', 409);
+      }
+
+      const vistoPorUltimo = dados.vistoPorUltimo || {};
+
+      const caso = new PetPerdido({
+        pet: pet._id,
+        proprietario: pet.proprietario,
+        especie: pet.especie,
+        raca: pet.raca,
+        vistoPorUltimo: {
+          local: vistoPorUltimo.local,
+          data: validarData(vistoPorUltimo.data, 'vistoPorUltimo.data', 'Data em que o pet foi visto pela última vez')
+        },
+        preferenciasContato: dados.preferenciasContato,
+        historico: [{ status: 'perdido', usuario: usuario.id, observacao: dados.observacao }]
+      });
+
+      validarDocumento(caso, 'Dados do caso inválidos');
+
+      return await caso.save();
+    } catch (error) {
+      console.error('Erro ao marcar pet como perdido:', error);
+
+      // Dois pedidos simultâneos esbarram no índice de um caso aberto por pet
+      if (error.code === 11000) {
+        throw criarErro('Este pet já está marcado como perdido', 409);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza o local e a data em que o pet foi visto pela última vez e as preferências de contato
+   * @param {String} casoId - ID do caso
+   * @param {Object} dados - { vistoPorUltimo, preferenciasContato }
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Caso atualizado, ou null se não existir
+   */
+  async atualizarCaso(casoId, dados, usuario) {
+    try {
+      const caso = await this.getCaso(casoId, usuario);
+      if (!caso) return null;
+
+      if (caso.status !== 'perdido') {
+        throw criarErro('Casos encerrados não podem ser alterados', 409);
+      }
+
+      if (dados.vistoPorUltimo) {
+        if (dados.vistoPorUltimo.local) caso.vistoPorUltimo.local = dados.vistoPorUltimo.local;
+
+        if (dados.vistoPorUltimo.data !== undefined) {
+          caso.vistoPorUltimo.data = validarData(
+            dados.vistoPorUltimo.data,
+            'vistoPorUltimo.data',
+            'Data em que o pet foi visto pela última vez'
+          );
+        }
+      }
+
+      if (dados.preferenciasContato) {
+        caso.set('preferenciasContato', dados.preferenciasContato, { merge: true });
+      }
+
+      validarDocumento(caso, 'Dados do caso inválidos');
+
+      return await caso.save();
+    } catch (error) {
+      console.error('Erro ao atualizar caso de pet perdido:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca o pet como encontrado, encerrando o caso (que permanece no histórico)
+   * @param {String} casoId - ID do caso
+   * @param {Object} dados - { data, observacao }
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Caso encerrado, ou null se não existir
+   */
+  async marcarEncontrado(casoId, dados, usuario) {
+    try {
+      const caso = await this.getCaso(casoId, usuario);
+      if (!caso) return null;
+
+      if (caso.status !== 'perdido') {
+        throw criarErro('Este caso já foi encerrado', 409);
+      }
+
+      caso.status = 'encontrado';
+      caso.dataEncontrado = dados.data !== undefined
+        ? validarData(dados.data, 'data', 'Data em que o pet foi encontrado')
+        : new Date();
+      caso.historico.push({ status: 'encontrado', usuario: usuario.id, observacao: dados.observacao });
+
+      return await caso.save();
+    } catch (error) {
+      console.error('Erro ao marcar pet como encontrado:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um caso com todos os dados (avistamentos e informantes), para o proprietário ou admin
+   * @param {String} casoId - ID do caso
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Caso, ou null se não existir
+   */
+  async getCaso(casoId, usuario) {
+    if (!mongoose.isValidObjectId(casoId)) return null;
+
+    const caso = await PetPerdido.findById(casoId);
+    if (!caso) return null;
+
+    if (caso.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+      throw criarErro('Usuário não autorizado a acessar este caso', 403);
+    }
+
+    return caso;
+  }
+
+  /**
+   * Lista os casos do usuário, com os avistamentos recebidos
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @param {String} [status] - Filtra por situação
+   * @returns {Promise<Array>} - Casos, do mais recente para o mais antigo
+   */
+  async listarMeusCasos(usuario, status) {
+    const query = { proprietario: usuario.id };
+
+    if (status) {
+      if (!PetPerdido.STATUS.includes(status)) {
+        throw criarErro(`Status inválido. Use: ${PetPerdido.STATUS.join(', ')}`, 400);
+      }
+      query.status = status;
+    }
+
+    return await PetPerdido.find(query)
+      .populate('pet', CAMPOS_PET_PUBLICO)
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Histórico de casos de um pet (abertos e encerrados)
+   * @param {String} petId - ID do pet
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Array|null>} - Casos, ou null se o pet não existir
+   */
+  async historicoPet(petId, usuario) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+
+    const pet = await Pet.findById(petId).select('proprietario');
+    if (!pet) return null;
+
+    if (pet.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+      throw criarErro('Usuário não autorizado a acessar o histórico deste pet', 403);
+    }
+
+    return await PetPerdido.find({ pet: pet._id }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Notificações do proprietário: avistamentos ainda não lidos dos seus casos abertos
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Array>} - Avistamentos não lidos, do mais recente para o mais antigo
+   */
+  async listarNotificacoes(usuario) {
+    const casos = await PetPerdido.find({
+      proprietario: usuario.id,
+      status: 'perdido',
+      'avistamentos.lido': false
+    }).populate('pet', 'nome');
+
+    return casos
+      .flatMap(caso => caso.avistamentos
+        .filter(avistamento => !avistamento.lido)
+        .map(avistamento => ({
+          caso: caso._id,
+          pet: caso.pet,
+          avistamento
+        })))
+      .sort((a, b) => b.avistamento.registradoEm - a.avistamento.registradoEm);
+  }
+
+  /**
+   * Marca como lidos os avistamentos de um caso
+   * @param {String} casoId - ID do caso
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Caso atualizado, ou null se não existir
+   */
+  async marcarAvistamentosLidos(casoId, usuario) {
+    const caso = await this.getCaso(casoId, usuario);
+    if (!caso) return null;
+
+    caso.avistamentos.forEach(avistamento => {
+      avistamento.lido = true;
+    });
+
+    return await caso.save();
+  }
+
+  /**
+   * Lista pública dos pets perdidos, filtrada por raça e região
+   * @param {Object} filtros - Filtros opcionais (especie, raca, cidade, estado, bairro)
+   * @param {Number} page - Página
+   * @param {Number} limit - Itens por página
+   * @returns {Promise<Object>} - Cartões públicos e paginação
+   */
+  async listarPerdidos(filtros, page = 1, limit = 10) {
+    const query = { status: 'perdido' };
+
+    if (filtros.especie) query.especie = filtros.especie;
+    if (filtros.raca) query.raca = textoIgual(filtros.raca);
+    if (filtros.cidade) query['vistoPorUltimo.local.cidade'] = textoIgual(filtros.cidade);
+    if (filtros.estado) query['vistoPorUltimo.local.estado'] = String(filtros.estado).trim().toUpperCase();
+    if (filtros.bairro) query['vistoPorUltimo.local.bairro'] = textoIgual(filtros.bairro);
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const [total, casos] = await Promise.all([
+      PetPerdido.countDocuments(query),
+      PetPerdido.find(query)
+        .populate('pet', CAMPOS_PET_PUBLICO)
+        .sort({ 'vistoPorUltimo.data': -1 })
+        .skip(skip)
+        .limit(limitNumber)
+    ]);
+
+    return {
+      casos: casos.map(cartaoPublico),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber)
+      }
+    };
+  }
+
+  /**
+   * Cartão público de um caso
+   * @param {String} casoId - ID do caso
+   * @returns {Promise<Object|null>} - Cartão público, ou null se não existir
+   */
+  async getCasoPublico(casoId) {
+    if (!mongoose.isValidObjectId(casoId)) return null;
+
+    const caso = await PetPerdido.findById(casoId).populate('pet', CAMPOS_PET_PUBLICO);
+
+    return caso ? cartaoPublico(caso) : null;
+  }
+
+  /**
+   * Busca o caso aberto de um pet pelo microchip lido por quem o encontrou
+   * @param {String} microchip - Número do microchip
+   * @returns {Promise<Object|null>} - Caso aberto (com o pet populado), ou null se não houver
+   */
+  async buscarCasoPorMicrochip(microchip) {
+    const numero = Pet.normalizarMicrochip(microchip);
+    if (!numero) return null;
+
+    const pet = await Pet.findOne({ microchip: numero, ativo: true }).select('_id');
+    if (!pet) return null;
+
+    return await PetPerdido.findOne({ pet: pet._id, status: 'perdido' }).populate('pet', CAMPOS_PET_PUBLICO);
+  }
+
+  /**
+   * Cartão público do pet perdido com o microchip informado
+   * @param {String} microchip - Número do microchip
+   * @returns {Promise<Object|null>} - Cartão público, ou null se não houver caso aberto
+   */
+  async consultarMicrochip(microchip) {
+    const caso = await this.buscarCasoPorMicrochip(microchip);
+    return caso ? cartaoPublico(caso) : null;
+  }
+
+  /**
+   * Registra um avistamento em um caso aberto; o proprietário é notificado pelo aplicativo
+   * e quem informa não recebe nenhum dado pessoal do proprietário
+   * @param {String} casoId - ID do caso
+   * @param {Object} dados - { data, local, observacoes, informante: { nome, contato } }
+   * @returns {Promise<Object|null>} - Confirmação com o cartão público, ou null se o caso não existir
+   */
+  async registrarAvistamento(casoId, dados) {
+    if (!mongoose.isValidObjectId(casoId)) return null;
+
+    const caso = await PetPerdido.findById(casoId).populate('pet', CAMPOS_PET_PUBLICO);
+    if (!caso) return null;
+
+    return await this.adicionarAvistamento(caso, dados, false);
+  }
+
+  /**
+   * Registra um avistamento identificando o pet pelo microchip
+   * @param {String} microchip - Número do microchip
+   * @param {Object} dados - { data, local, observacoes, informante: { nome, contato } }
+   * @returns {Promise<Object|null>} - Confirmação com o cartão público, ou null se não houver caso aberto
+   */
+  async registrarAvistamentoPorMicrochip(microchip, dados) {
+    const caso = await this.buscarCasoPorMicrochip(microchip);
+    if (!caso) return null;
+
+    return await this.adicionarAvistamento(caso, dados, true);
+  }
+
+  /**
+   * Adiciona o avistamento ao caso, respeitando as preferências de contato do proprietário.
+   * O caso guarda no máximo PetPerdido.LIMITE_AVISTAMENTOS avistamentos; os mais antigos são descartados
+   * @param {Object} caso - Caso (com o pet populado)
+   * @param {Object} dados - Dados do avistamento
+   * @param {Boolean} viaMicrochip - Se o pet foi identificado pelo microchip
+   * @returns {Promise<Object>} - Confirmação com o cartão público
+   */
+  async adicionarAvistamento(caso, dados, viaMicrochip) {
+    try {
+      if (caso.status !== 'perdido') {
+        throw criarErro('Este pet já foi encontrado', 409);
+      }
+
+      const informante = dados.informante || {};
+
+      caso.avistamentos.push({
+        data: dados.data !== undefined ? validarData(dados.data, 'data', 'Data do avistamento') : new Date(),
+        local: dados.local,
+        observacoes: dados.observacoes,
+        informante: {
+          nome: informante.nome,
+          contato: caso.preferenciasContato.receberContatoInformante ? informante.contato : undefined
+        },
+        viaMicrochip
+      });
+
+      validarDocumento(caso, 'Dados do avistamento inválidos');
+
+      // Inclusão atômica, mantendo apenas os avistamentos mais recentes do caso
+      const avistamento = caso.avistamentos[caso.avistamentos.length - 1].toObject();
+      const resultado = await PetPerdido.updateOne(
+        { _id: caso._id, status: 'perdido' },
+        { $push: { avistamentos: { $each: [avistamento], $slice: -PetPerdido.LIMITE_AVISTAMENTOS } } }
+      );
+
+      if (resultado.matchedCount === 0) {
+        throw criarErro('Este pet já foi encontrado', 409);
+      }
+
+      const excedentes = caso.avistamentos.length - PetPerdido.LIMITE_AVISTAMENTOS;
+      if (excedentes > 0) caso.avistamentos.splice(0, excedentes);
+
+      return {
+        mensagem: 'Avistamento registrado. O proprietário foi notificado.',
+        caso: cartaoPublico(caso)
+      };
+    } catch (error) {
+      console.error('Erro ao registrar avistamento:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PetPerdidoService();
@@ -0,0 +1,487 @@
+const mongoose = require('mongoose');
+const PlanoCruzamento = require('../models/PlanoCruzamento');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const identificacaoPetService = require('./identificacaoPet.service');
+const { criarErro } = require('../utils/erros');
+
+// Verifica se o usuário pode gerenciar o plano (dono ou administrador)
+const podeGerenciar = (plano, usuario) =>
+  usuario.role === 'admin' || plano.proprietario.toString() === usuario.id;
+
+// Pior grau de displasia entre os informados (A é o melhor, E o pior)
+const piorGrau = graus => graus.filter(Boolean).sort().pop();
+
+const GENITORES = [
+  { campo: 'pai', genero: 'macho', descricao: 'O pai' },
+  { campo: 'mae', genero: 'fêmea', descricao: 'A mãe' }
+];
+
+/**
+ * Carrega os pets reais referenciados pelo plano e monta os pets virtuais como
+ * documentos de Pet não persistidos, para reutilizar os cálculos de compatibilidade
+ *
+ * Pets virtuais já convertidos são representados pelo pet real correspondente.
+ * Sem displasia informada, o pet virtual assume o pior grau entre os pais.
+ * @param {Object} plano - Plano de cruzamento
+ * @returns {Promise<Object>} - { virtuais: Map id -> pet, resolver: referência -> pet }
+ */
+const montarPetsVirtuais = async plano => {
+  const idsReais = new Set();
+
+  for (const virtual of plano.petsVirtuais) {
+    if (virtual.petReal) idsReais.add(virtual.petReal.toString());
+    for (const { campo } of GENITORES) {
+      if (virtual[campo] && virtual[campo].tipo === 'real') idsReais.add(virtual[campo].id.toString());
+    }
+  }
+
+  const reais = new Map(
+    (await Pet.find({ _id: { $in: [...idsReais] } })).map(pet => [pet._id.toString(), pet])
+  );
+  const virtuais = new Map();
+
+  const resolver = referencia => {
+    if (!referencia) return null;
+    if (referencia.tipo === 'real') return reais.get(referencia.id.toString()) || null;
+
+    const virtual = plano.petsVirtuais.id(referencia.id);
+    if (!virtual) return null;
+    return virtual.petReal
+      ? reais.get(virtual.petReal.toString()) || null
+      : virtuais.get(virtual._id.toString()) || null;
+  };
+
+  // Os genitores virtuais sempre são cadastrados antes dos filhos, então a ordem do plano basta
+  for (const virtual of plano.petsVirtuais) {
+    if (virtual.petReal) continue;
+
+    const pai = resolver(virtual.pai);
+    const mae = resolver(virtual.mae);
+
+    virtuais.set(virtual._id.toString(), new Pet({
+      _id: virtual._id,
+      nome: virtual.nome,
+      genero: virtual.genero,
+      raca: virtual.raca || (mae && mae.raca) || (pai && pai.raca),
+      especie: (mae && mae.especie) || (pai && pai.especie) || 'cão',
+      dataNascimento: virtual.dataNascimentoPrevista || new Date(),
+      displasia: virtual.displasia || piorGrau([pai && pai.displasia, mae && mae.displasia]),
+      pai: pai ? pai._id : undefined,
+      mae: mae ? mae._id : undefined,
+      proprietario: plano.proprietario
+    }));
+  }
+
+  return { virtuais, resolver };
+};
+
+/**
+ * Serviço responsável pelos planos de cruzamento com pets virtuais (filhotes hipotéticos),
+ * permitindo simular cruzamentos de várias gerações antes de eles acontecerem
+ */
+class PlanoCruzamentoService {
+  /**
+   * Cria um plano de cruzamento para o usuário
+   * @param {Object} dados - Dados do plano ({ nome, descricao })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object>} - Plano criado
+   */
+  async criarPlano(dados, usuario) {
+    try {
+      if (!dados.nome) {
+        throw criarErro('Plano inválido', 422, [{ campo: 'nome', mensagem: 'Informe o nome do plano' }]);
+      }
+
+      return await PlanoCruzamento.create({
+        nome: dados.nome,
+        descricao: dados.descricao,
+        proprietario: usuario.id
+      });
+    } catch (error) {
+      console.error('Erro ao criar plano de cruzamento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os planos de cruzamento ativos do usuário
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Array>} - Planos, do mais recente para o mais antigo
+   */
+  async listarPlanos(usuario) {
+    return await PlanoCruzamento.find({ proprietario: usuario.id, ativo: true })
+      .sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Obtém um plano de cruzamento do usuário
+   * @param {String} planoId - ID do plano
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Plano, ou null se não existir
+   */
+  async getPlano(planoId, usuario) {
+    if (!mongoose.isValidObjectId(planoId)) return null;
+
+    const plano = await PlanoCruzamento.findOne({ _id: planoId, ativo: true });
+    if (!plano) return null;
+
+    if (!podeGerenciar(plano, usuario)) {
+      throw criarErro('Usuário não autorizado a acessar este plano', 403);
+    }
+
+    return plano;
+  }
+
+  /**
+   * Atualiza nome e descrição de um plano de cruzamento
+   * @param {String} planoId - ID do plano
+   * @param {Object} dados - Campos a atualizar
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Plano atualizado, ou null se não existir
+   */
+  async atualizarPlano(planoId, dados, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano) return null;
+
+      // Os pets virtuais têm endpoints próprios
+      for (const campo of ['nome', 'descricao']) {
+        if (dados[campo] !== undefined) {
+          plano[campo] = dados[campo];
+        }
+      }
+
+      await plano.save();
+      return plano;
+    } catch (error) {
+      console.error('Erro ao atualizar plano de cruzamento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove (desativa) um plano de cruzamento
+   * @param {String} planoId - ID do plano
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Plano desativado, ou null se não existir
+   */
+  async removerPlano(planoId, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano) return null;
+
+      plano.ativo = false;
+      await plano.save();
+      return plano;
+    } catch (error) {
+      console.error('Erro ao remover plano de cruzamento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adiciona um pet virtual ao plano, com pai e mãe reais ou virtuais
+   * @param {String} planoId - ID do plano
+   * @param {Object} dados - Pet virtual ({ nome, genero, raca, dataNascimentoPrevista, displasia, pai, mae })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Plano atualizado, ou null se não existir
+   */
+  async adicionarPetVirtual(planoId, dados, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano) return null;
+
+      const erros = await this.validarPetVirtual(plano, dados);
+      if (erros.length > 0) {
+        throw criarErro('Pet virtual inválido', 422, erros);
+      }
+
+      plano.petsVirtuais.push({
+        nome: dados.nome,
+        genero: dados.genero,
+        raca: dados.raca,
+        dataNascimentoPrevista: dados.dataNascimentoPrevista,
+        displasia: dados.displasia,
+        pai: dados.pai,
+        mae: dados.mae
+      });
+
+      await plano.save();
+      return plano;
+    } catch (error) {
+      console.error('Erro ao adicionar pet virtual:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove um pet virtual do plano, desde que não seja genitor de outro pet virtual
+   * @param {String} planoId - ID do plano
+   * @param {String} virtualId - ID do pet virtual
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Plano atualizado, ou null se o plano ou o pet não existirem
+   */
+  async removerPetVirtual(planoId, virtualId, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano || !mongoose.isValidObjectId(virtualId)) return null;
+
+      const virtual = plano.petsVirtuais.id(virtualId);
+      if (!virtual) return null;
+
+      const dependentes = plano.petsVirtuais.filter(outro => GENITORES.some(({ campo }) =>
+        outro[campo] && outro[campo].tipo === 'virtual' && outro[campo].id.toString() === virtualId
+      ));
+
+      if (dependentes.length > 0) {
+        throw criarErro(
+          `O pet virtual é genitor de: ${dependentes.map(outro => outro.nome).join(', ')}. Remova-os primeiro`,
+          409
+        );
+      }
+
+      virtual.deleteOne();
+      await plano.save();
+      return plano;
+    } catch (error) {
+      console.error('Erro ao remover pet virtual:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Avalia a compatibilidade de um par do plano (reais, virtuais ou mistos)
+   * @param {String} planoId - ID do plano
+   * @param {Object} referencia1 - Primeiro pet ({ tipo: 'real' | 'virtual', id })
+   * @param {Object} referencia2 - Segundo pet ({ tipo: 'real' | 'virtual', id })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @param {String} [dataCruzamento] - Data planejada do cruzamento (idades avaliadas nessa data)
+   * @returns {Promise<Object|null>} - Resultado da compatibilidade, ou null se o plano não existir
+   */
+  async avaliarPar(planoId, referencia1, referencia2, usuario, dataCruzamento) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano) return null;
+
+      const erros = [];
+      [['pet1', referencia1], ['pet2', referencia2]].forEach(([campo, referencia]) => {
+        const erro = this.validarReferencia(referencia);
+        if (erro) erros.push({ campo, mensagem: erro });
+      });
+
+      const data = dataCruzamento ? new Date(dataCruzamento) : null;
+      if (data && isNaN(data)) {
+        erros.push({ campo: 'dataCruzamento', mensagem: 'Data do cruzamento inválida' });
+      }
+
+      if (erros.length > 0) {
+        throw criarErro('Par inválido', 400, erros);
+      }
+
+      const { virtuais, resolver } = await montarPetsVirtuais(plano);
+      const [pet1, pet2] = await Promise.all([referencia1, referencia2].map(referencia =>
+        referencia.tipo === 'real'
+          ? Pet.findOne({ _id: referencia.id, ativo: true })
+          : resolver(referencia)
+      ));
+
+      if (!pet1 || !pet2) {
+        throw criarErro('Um ou ambos os pets não foram encontrados', 404);
+      }
+
+      const resultado = await parametrosPetService.verificarCompatibilidadeMista(pet1, pet2, virtuais, data);
+
+      return {
+        ...resultado,
+        petsVirtuais: [pet1, pet2]
+          .filter(pet => virtuais.has(pet._id.toString()))
+          .map(pet => pet._id.toString())
+      };
+    } catch (error) {
+      console.error('Erro ao avaliar par do plano:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcula o COI projetado de um pet virtual a partir da sua genealogia mista
+   * @param {String} planoId - ID do plano
+   * @param {String} virtualId - ID do pet virtual
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - COI do pet virtual, ou null se o plano ou o pet não existirem
+   */
+  async calcularConsanguinidade(planoId, virtualId, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano || !mongoose.isValidObjectId(virtualId)) return null;
+
+      const { virtuais, resolver } = await montarPetsVirtuais(plano);
+      const pet = resolver({ tipo: 'virtual', id: virtualId });
+      if (!pet) return null;
+
+      if (!virtuais.has(pet._id.toString())) {
+        throw criarErro('O pet virtual já foi convertido; consulte a consanguinidade do pet real', 409);
+      }
+
+      return await parametrosPetService.calcularConsanguinidadeIndividualMista(pet, virtuais);
+    } catch (error) {
+      console.error('Erro ao calcular consanguinidade do pet virtual:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Converte um pet virtual em pet real depois do nascimento, mantendo o vínculo no plano
+   *
+   * Pai e mãe precisam ser pets reais (ou pets virtuais já convertidos). Se o plano não puder
+   * ser gravado, o pet criado é removido.
+   * @param {String} planoId - ID do plano
+   * @param {String} virtualId - ID do pet virtual
+   * @param {Object} dados - Dados do pet real (dataNascimento, displasia, microchip, ...)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - { pet, plano }, ou null se o plano ou o pet não existirem
+   */
+  async converterPetVirtual(planoId, virtualId, dados, usuario) {
+    try {
+      const plano = await this.getPlano(planoId, usuario);
+      if (!plano || !mongoose.isValidObjectId(virtualId)) return null;
+
+      const virtual = plano.petsVirtuais.id(virtualId);
+      if (!virtual) return null;
+
+      if (virtual.petReal) {
+        throw criarErro('Este pet virtual já foi convertido em pet real', 409);
+      }
+
+      const { virtuais, resolver } = await montarPetsVirtuais(plano);
+      const erros = [];
+      const genitores = {};
+
+      for (const { campo, descricao } of GENITORES) {
+        const genitor = resolver(virtual[campo]);
+
+        if (!genitor || virtuais.has(genitor._id.toString())) {
+          erros.push({ campo, mensagem: `${descricao} precisa ser um pet real antes da conversão` });
+          continue;
+        }
+
+        genitores[campo] = genitor;
+      }
+
+      if (erros.length > 0) {
+        throw criarErro('Pet virtual não pode ser convertido', 422, erros);
+      }
+
+      const { pai, mae } = genitores;
+      const mesmaRaca = pai.raca.toLowerCase() === mae.raca.toLowerCase();
+
+      const novoPet = {
+        ...dados,
+        nome: dados.nome || virtual.nome,
+        genero: virtual.genero,
+        raca: dados.raca || virtual.raca || mae.raca,
+        especie: mae.especie,
+        mestico: !mesmaRaca,
+        dataNascimento: dados.dataNascimento || virtual.dataNascimentoPrevista,
+        displasia: dados.displasia || virtual.displasia,
+        pai: pai._id,
+        mae: mae._id,
+        proprietario: usuario.id
+      };
+
+      await parametrosPetService.prepararDisplasia(novoPet, novoPet.raca);
+
+      const errosPedigree = await Pet.validarPedigree(novoPet);
+      if (errosPedigree.length > 0) {
+        throw criarErro('Pedigree inválido', 422, errosPedigree);
+      }
+
+      await identificacaoPetService.garantirIdentificacao(novoPet);
+
+      const pet = await Pet.create(novoPet);
+
+      virtual.petReal = pet._id;
+
+      try {
+        await plano.save();
+      } catch (error) {
+        // Sem o vínculo no plano, o pet criado ficaria duplicado em uma nova conversão
+        await Pet.deleteOne({ _id: pet._id }).catch(erroRemocao => {
+          console.error(`Erro ao remover o pet ${pet._id} da conversão interrompida:`, erroRemocao);
+        });
+        throw error;
+      }
+
+      return { pet, plano };
+    } catch (error) {
+      console.error('Erro ao converter pet virtual:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Valida uma referência a pet ({ tipo: 'real' | 'virtual', id })
+   * @param {Object} referencia - Referência informada
+   * @returns {String|null} - Mensagem de erro, ou null se válida
+   */
+  validarReferencia(referencia) {
+    if (!referencia || !['real', 'virtual'].includes(referencia.tipo)) {
+      return 'Informe o tipo do pet (real ou virtual)';
+    }
+
+    if (!mongoose.isValidObjectId(referencia.id)) {
+      return 'ID do pet inválido';
+    }
+
+    return null;
+  }
+
+  /**
+   * Valida os dados de um novo pet virtual e as referências aos seus genitores
+   * @param {Object} plano - Plano de cruzamento
+   * @param {Object} dados - Dados do pet virtual
+   * @returns {Promise<Array>} - Lista de erros ({ campo, mensagem })
+   */
+  async validarPetVirtual(plano, dados) {
+    const erros = [];
+
+    if (!dados.nome) {
+      erros.push({ campo: 'nome', mensagem: 'Informe o nome do pet virtual' });
+    }
+
+    if (!['macho', 'fêmea'].includes(dados.genero)) {
+      erros.push({ campo: 'genero', mensagem: 'Gênero deve ser macho ou fêmea' });
+    }
+
+    if (dados.displasia && !['A', 'B', 'C', 'D', 'E'].includes(dados.displasia)) {
+      erros.push({ campo: 'displasia', mensagem: 'Displasia deve ser um grau de A a E' });
+    }
+
+    for (const { campo, genero, descricao } of GENITORES) {
+      const referencia = dados[campo];
+      if (!referencia) continue;
+
+      const erro = this.validarReferencia(referencia);
+      if (erro) {
+        erros.push({ campo, mensagem: erro });
+        continue;
+      }
+
+      // Pets virtuais só podem descender de pets virtuais já existentes no plano
+      const genitor = referencia.tipo === 'virtual'
+        ? plano.petsVirtuais.id(referencia.id)
+        : await Pet.findOne({ _id: referencia.id, ativo: true }).select('genero');
+
+      if (!genitor) {
+        erros.push({ campo, mensagem: `${descricao} informado não foi encontrado` });
+      } else if (genitor.genero !== genero) {
+        erros.push({ campo, mensagem: `${descricao} deve ser ${genero === 'macho' ? 'um macho' : 'uma fêmea'}` });
+      }
+    }
+
+    return erros;
+  }
+}
+
+module.exports = new PlanoCruzamentoService();
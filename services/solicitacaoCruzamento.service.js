@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const SolicitacaoCruzamento = require('../models/SolicitacaoCruzamento');
+const Pet = require('../models/Pet');
+const parametrosPetService = require('./parametrosPet.service');
+const { criarErro } = require('../utils/erros');
+const { escaparRegex } = require('../utils/regex');
+
+/**
+ * Transições permitidas a partir de cada situação, com o lado que pode executá-las
+ * (solicitante, solicitado ou ambos)
+ */
+const TRANSICOES = {
+  pendente: {
+    aceita: 'solicitado',
+    recusada: 'solicitado',
+    cancelada: 'solicitante'
+  },
+  aceita: {
+    concluída: 'ambos',
+    cancelada: 'ambos'
+  }
+};
+
+// Solicitações ainda em aberto (impedem uma nova solicitação para o mesmo par)
+const STATUS_EM_ABERTO = ['pendente', 'aceita'];
+
+// Identifica o lado do usuário na solicitação (solicitante, solicitado ou null)
+const ladoDoUsuario = (solicitacao, usuario) => {
+  if (solicitacao.proprietarioSolicitante.toString() === usuario.id) return 'solicitante';
+  if (solicitacao.proprietarioSolicitado.toString() === usuario.id) return 'solicitado';
+  return null;
+};
+
+/**
+ * Serviço responsável pela disponibilidade de pets para cruzamento
+ * e pelas solicitações de cruzamento entre proprietários
+ */
+class SolicitacaoCruzamentoService {
+  /**
+   * Marca (ou desmarca) um pet como disponível para cruzamento
+   * @param {String} petId - ID do pet
+   * @param {Object} dados - Disponibilidade ({ disponivel, termos, observacoes })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Pet atualizado, ou null se não existir
+   */
+  async definirDisponibilidade(petId, dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(petId)) return null;
+
+      const pet = await Pet.findOne({ _id: petId, ativo: true });
+      if (!pet) return null;
+
+      if (pet.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+        throw criarErro('Usuário não autorizado a modificar este pet', 403);
+      }
+
+      if (typeof dados.disponivel !== 'boolean') {
+        throw criarErro('Informe se o pet está disponível (disponivel: true ou false)', 400);
+      }
+
+      pet.disponibilidadeReproducao = {
+        disponivel: dados.disponivel,
+        termos: dados.termos,
+        observacoes: dados.observacoes,
+        atualizadoEm: new Date()
+      };
+
+      await pet.save();
+      return pet;
+    } catch (error) {
+      console.error('Erro ao definir disponibilidade do pet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os pets disponíveis para cruzamento
+   * @param {Object} filtros - Filtros opcionais (raca, genero)
+   * @param {Object} usuario - Usuário autenticado (seus próprios pets não são listados)
+   * @returns {Promise<Array>} - Pets disponíveis com os termos informados pelo proprietário
+   */
+  async listarDisponiveis(filtros, usuario) {
+    const query = {
+      'disponibilidadeReproducao.disponivel': true,
+      ativo: true,
+      proprietario: { $ne: usuario.id }
+    };
+
+    if (filtros.raca) {
+      query.raca = { $regex: `^${escaparRegex(filtros.raca.trim())}$`, $options: 'i' };
+    }
+
+    if (filtros.genero) {
+      query.genero = filtros.genero;
+    }
+
+    return await Pet.find(query)
+      .select('nome especie raca genero dataNascimento displasia registroOficial disponibilidadeReproducao')
+      .sort({ 'disponibilidadeReproducao.atualizadoEm': -1 });
+  }
+
+  /**
+   * Envia uma solicitação de cruzamento de um pet do usuário para um pet disponível
+   * @param {Object} dados - Dados da solicitação (petSolicitante, petSolicitado, mensagem)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object>} - Solicitação criada, com o resultado de compatibilidade
+   */
+  async criarSolicitacao(dados, usuario) {
+    try {
+      if (!dados.petSolicitante || !dados.petSolicitado) {
+        throw criarErro('É necessário informar o pet solicitante e o pet solicitado', 400);
+      }
+
+      if (!mongoose.isValidObjectId(dados.petSolicitante) || !mongoose.isValidObjectId(dados.petSolicitado)) {
+        throw criarErro('Pet solicitante ou solicitado com ID inválido', 400);
+      }
+
+      const [petSolicitante, petSolicitado] = await Promise.all([
+        Pet.findOne({ _id: dados.petSolicitante, ativo: true }),
+        Pet.findOne({ _id: dados.petSolicitado, ativo: true })
+      ]);
+
+      if (!petSolicitante || !petSolicitado) {
+        throw criarErro('Um ou ambos os pets não foram encontrados', 404);
+      }
+
+      if (petSolicitante.proprietario.toString() !== usuario.id) {
+        throw criarErro('A solicitação deve partir de um pet do próprio usuário', 403);
+      }
+
+      if (petSolicitado.proprietario.toString() === usuario.id) {
+        throw criarErro('Não é possível solicitar cruzamento com um pet do próprio usuário', 422);
+      }
+
+      if (!petSolicitado.disponibilidadeReproducao || !petSolicitado.disponibilidadeReproducao.disponivel) {
+        throw criarErro('O pet solicitado não está disponível para cruzamento', 422);
+      }
+
+      const emAberto = await SolicitacaoCruzamento.findOne({
+        petSolicitante: petSolicitante._id,
+        petSolicitado: petSolicitado._id,
+        status: { $in: STATUS_EM_ABERTO }
+      });
+
+      if (emAberto) {
+        throw criarErro('Já existe uma solicitação em aberto para este par', 409);
+      }
+
+      const compatibilidade = await parametrosPetService.verificarCompatibilidade(
+        petSolicitante._id,
+        petSolicitado._id
+      );
+
+      return await SolicitacaoCruzamento.create({
+        petSolicitante: petSolicitante._id,
+        petSolicitado: petSolicitado._id,
+        proprietarioSolicitante: usuario.id,
+        proprietarioSolicitado: petSolicitado.proprietario,
+        mensagem: dados.mensagem,
+        compatibilidade,
+        historico: [{ status: 'pendente', usuario: usuario.id, observacao: dados.mensagem }]
+      });
+    } catch (error) {
+      console.error('Erro ao criar solicitação de cruzamento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as solicitações enviadas ou recebidas pelo usuário
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @param {String} lado - 'enviadas' ou 'recebidas'
+   * @param {String} [status] - Filtra por situação
+   * @returns {Promise<Array>} - Solicitações, da mais recente para a mais antiga
+   */
+  async listarSolicitacoes(usuario, lado, status) {
+    const query = lado === 'enviadas'
+      ? { proprietarioSolicitante: usuario.id }
+      : { proprietarioSolicitado: usuario.id };
+
+    if (status) {
+      if (!SolicitacaoCruzamento.STATUS.includes(status)) {
+        throw criarErro(`Status inválido. Use: ${SolicitacaoCruzamento.STATUS.join(', ')}`, 400);
+      }
+      query.status = status;
+    }
+
+    return await SolicitacaoCruzamento.find(query)
+      .populate('petSolicitante', 'nome raca genero displasia')
+      .populate('petSolicitado', 'nome raca genero displasia')
+      .select('-compatibilidade.contribuicoesConsanguinidade')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Busca uma solicitação visível ao usuário (proprietários envolvidos ou admin)
+   * @param {String} solicitacaoId - ID da solicitação
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Solicitação, ou null se não existir
+   */
+  async getSolicitacao(solicitacaoId, usuario) {
+    if (!mongoose.isValidObjectId(solicitacaoId)) return null;
+
+    const solicitacao = await SolicitacaoCruzamento.findById(solicitacaoId)
+      .populate('petSolicitante', 'nome raca genero displasia registroOficial')
+      .populate('petSolicitado', 'nome raca genero displasia registroOficial disponibilidadeReproducao');
+
+    if (!solicitacao) return null;
+
+    if (!ladoDoUsuario(solicitacao, usuario) && usuario.role !== 'admin') {
+      throw criarErro('Usuário não autorizado a visualizar esta solicitação', 403);
+    }
+
+    return solicitacao;
+  }
+
+  /**
+   * Altera a situação de uma solicitação, respeitando as transições permitidas
+   * e o lado de cada proprietário
+   * @param {String} solicitacaoId - ID da solicitação
+   * @param {String} novoStatus - Nova situação (aceita, recusada, cancelada, concluída)
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @param {String} [observacao] - Resposta ou justificativa registrada no histórico
+   * @returns {Promise<Object|null>} - Solicitação atualizada, ou null se não existir
+   */
+  async alterarStatus(solicitacaoId, novoStatus, usuario, observacao) {
+    try {
+      if (!mongoose.isValidObjectId(solicitacaoId)) return null;
+
+      const solicitacao = await SolicitacaoCruzamento.findById(solicitacaoId);
+      if (!solicitacao) return null;
+
+      // Apenas os proprietários envolvidos podem agir sobre a solicitação
+      const lado = ladoDoUsuario(solicitacao, usuario);
+      if (!lado) {
+        throw criarErro('Usuário não autorizado a modificar esta solicitação', 403);
+      }
+
+      const permitido = (TRANSICOES[solicitacao.status] || {})[novoStatus];
+      if (!permitido) {
+        throw criarErro(`Não é possível passar a solicitação de ${solicitacao.status} para ${novoStatus}`, 409);
+      }
+
+      if (permitido !== 'ambos' && permitido !== lado) {
+        throw criarErro(`Apenas o proprietário ${permitido} pode marcar a solicitação como ${novoStatus}`, 403);
+      }
+
+      solicitacao.status = novoStatus;
+      solicitacao.historico.push({ status: novoStatus, usuario: usuario.id, observacao });
+
+      await solicitacao.save();
+      return solicitacao;
+    } catch (error) {
+      console.error('Erro ao alterar status da solicitação de cruzamento:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SolicitacaoCruzamentoService();
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const TesteSaude = require('../models/TesteSaude');
+const Pet = require('../models/Pet');
+const { criarErro } = require('../utils/erros');
+
+// Campos do catálogo que podem ser alterados após a criação do teste
+const CAMPOS_EDITAVEIS = ['nome', 'descricao', 'resultadosPossiveis', 'matrizPareamento', 'severidade', 'racas', 'obrigatorio'];
+
+/**
+ * Serviço responsável pelo catálogo de testes de saúde
+ * e pelos resultados registrados para cada pet
+ */
+class TesteSaudeService {
+  /**
+   * Lista os testes ativos do catálogo
+   * @returns {Promise<Array>} - Testes de saúde
+   */
+  async listarCatalogo() {
+    return await TesteSaude.carregarCatalogo();
+  }
+
+  /**
+   * Busca um teste ativo do catálogo pelo código
+   * @param {String} codigo - Código do teste
+   * @returns {Promise<Object|null>} - Teste, ou null se não existir
+   */
+  async getTeste(codigo) {
+    await TesteSaude.carregarCatalogo();
+    return await TesteSaude.findOne({ codigo: codigo.toLowerCase(), ativo: true });
+  }
+
+  /**
+   * Cadastra um novo teste no catálogo
+   * @param {Object} dados - Dados do teste (codigo, nome, tipo, resultadosPossiveis, matrizPareamento, ...)
+   * @returns {Promise<Object>} - Teste criado
+   */
+  async criarTeste(dados) {
+    try {
+      if (!dados.codigo || !dados.nome || !dados.tipo) {
+        throw criarErro('É necessário informar código, nome e tipo do teste', 400);
+      }
+
+      await TesteSaude.carregarCatalogo();
+
+      const existente = await TesteSaude.findOne({ codigo: dados.codigo.toLowerCase() });
+      if (existente && existente.ativo) {
+        throw criarErro(`Já existe um teste com o código ${dados.codigo}`, 409);
+      }
+
+      // Um teste removido pode ser recadastrado com o mesmo código
+      const teste = existente || new TesteSaude({ codigo: dados.codigo, tipo: dados.tipo });
+      teste.ativo = true;
+      teste.tipo = dados.tipo;
+      this.aplicarDados(teste, dados);
+
+      const erros = this.validarMatriz(teste);
+      if (erros.length > 0) {
+        throw criarErro('Teste de saúde inválido', 422, erros);
+      }
+
+      await teste.save();
+      return teste;
+    } catch (error) {
+      console.error('Erro ao criar teste de saúde:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um teste do catálogo
+   * @param {String} codigo - Código do teste
+   * @param {Object} dados - Campos a atualizar
+   * @returns {Promise<Object|null>} - Teste atualizado, ou null se não existir
+   */
+  async atualizarTeste(codigo, dados) {
+    try {
+      const teste = await this.getTeste(codigo);
+      if (!teste) return null;
+
+      if (teste.codigo === TesteSaude.CODIGO_DISPLASIA &&
+          (dados.resultadosPossiveis !== undefined || dados.matrizPareamento !== undefined)) {
+        throw criarErro('Os graus e o pareamento da displasia coxofemoral são definidos por matrizDisplasia nos parâmetros', 422);
+      }
+
+      this.aplicarDados(teste, dados);
+
+      const erros = this.validarMatriz(teste);
+      if (erros.length > 0) {
+        throw criarErro('Teste de saúde inválido', 422, erros);
+      }
+
+      await teste.save();
+      return teste;
+    } catch (error) {
+      console.error('Erro ao atualizar teste de saúde:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove um teste do catálogo (os resultados já registrados nos pets são mantidos)
+   * @param {String} codigo - Código do teste
+   * @returns {Promise<Object|null>} - Teste removido, ou null se não existir
+   */
+  async removerTeste(codigo) {
+    try {
+      const teste = await this.getTeste(codigo);
+      if (!teste) return null;
+
+      if (teste.codigo === TesteSaude.CODIGO_DISPLASIA) {
+        throw criarErro('A displasia coxofemoral não pode ser removida do catálogo', 422);
+      }
+
+      await TesteSaude.updateOne({ _id: teste._id }, { ativo: false });
+      return teste;
+    } catch (error) {
+      console.error('Erro ao remover teste de saúde:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra o resultado de um teste de saúde para um pet
+   * @param {String} petId - ID do pet
+   * @param {Object} dados - Resultado ({ teste, resultado, data, laboratorio, observacoes })
+   * @param {Object} usuario - Usuário autenticado ({ id, role })
+   * @returns {Promise<Object|null>} - Resultados do pet, ou null se o pet não existir
+   */
+  async registrarResultado(petId, dados, usuario) {
+    try {
+      if (!mongoose.isValidObjectId(petId)) return null;
+
+      const pet = await Pet.findOne({ _id: petId, ativo: true });
+      if (!pet) return null;
+
+      if (pet.proprietario.toString() !== usuario.id && usuario.role !== 'admin') {
+        throw criarErro('Usuário não autorizado a modificar este pet', 403);
+      }
+
+      if (!dados.teste || !dados.resultado || !dados.data) {
+        throw criarErro('É necessário informar teste, resultado e data', 400);
+      }
+
+      const teste = await this.getTeste(dados.teste);
+      const erros = [];
+
+      if (!teste) {
+        erros.push({ campo: 'teste', mensagem: `Teste ${dados.teste} não encontrado no catálogo` });
+      } else if (!teste.resultadosPossiveis.includes(String(dados.resultado))) {
+        erros.push({
+          campo: 'resultado',
+          mensagem: `Resultado inválido para ${teste.nome}. Use: ${teste.resultadosPossiveis.join(', ')}`
+        });
+      }
+
+      const data = new Date(dados.data);
+      if (isNaN(data) || data > new Date()) {
+        erros.push({ campo: 'data', mensagem: 'A data do teste deve ser uma data válida e não futura' });
+      }
+
+      if (erros.length > 0) {
+        throw criarErro('Resultado de teste inválido', 422, erros);
+      }
+
+      pet.testesSaude.push({
+        teste: teste.codigo,
+        resultado: String(dados.resultado),
+        data,
+        laboratorio: dados.laboratorio,
+        observacoes: dados.observacoes
+      });
+
+      await pet.save();
+      return this.montarResultados(pet, await TesteSaude.carregarCatalogo());
+    } catch (error) {
+      console.error('Erro ao registrar resultado de teste de saúde:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os resultados de testes de saúde de um pet, agrupados por teste
+   * @param {String} petId - ID do pet
+   * @returns {Promise<Object|null>} - Resultados do pet, ou null se o pet não existir
+   */
+  async listarResultados(petId) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+
+    const pet = await Pet.findOne({ _id: petId, ativo: true });
+    if (!pet) return null;
+
+    return this.montarResultados(pet, await TesteSaude.carregarCatalogo());
+  }
+
+  /**
+   * Agrupa os resultados de um pet por teste, com o resultado atual de cada um
+   * @param {Object} pet - Pet
+   * @param {Array} catalogo - Testes do catálogo
+   * @returns {Object} - Resultados do pet
+   */
+  montarResultados(pet, catalogo) {
+    const nomes = new Map(catalogo.map(teste => [teste.codigo, teste.nome]));
+    const codigos = new Set(pet.testesSaude.map(resultado => resultado.teste));
+
+    // Pets cadastrados antes do catálogo têm apenas o campo displasia
+    if (pet.displasia) codigos.add(TesteSaude.CODIGO_DISPLASIA);
+
+    return {
+      petId: pet._id,
+      nome: pet.nome,
+      testes: [...codigos].sort().map(codigo => ({
+        teste: codigo,
+        nome: nomes.get(codigo) || codigo,
+        resultadoAtual: pet.getResultadoTeste(codigo),
+        historico: pet.testesSaude
+          .filter(resultado => resultado.teste === codigo)
+          .sort((a, b) => b.data - a.data)
+      }))
+    };
+  }
+
+  /**
+   * Copia para o teste os campos editáveis informados
+   * @param {Object} teste - Documento do teste
+   * @param {Object} dados - Novos dados
+   */
+  aplicarDados(teste, dados) {
+    for (const campo of CAMPOS_EDITAVEIS) {
+      if (dados[campo] !== undefined) {
+        teste[campo] = dados[campo];
+      }
+    }
+  }
+
+  /**
+   * Verifica se a matriz de pareamento usa apenas resultados possíveis do teste
+   * @param {Object} teste - Documento do teste
+   * @returns {Array} - Erros encontrados ({ campo, mensagem })
+   */
+  validarMatriz(teste) {
+    if (!teste.matrizPareamento) return [];
+
+    const resultados = new Set(teste.resultadosPossiveis);
+    const usados = new Set();
+
+    for (const [resultado1, linha] of teste.matrizPareamento) {
+      usados.add(resultado1);
+      for (const resultado2 of linha.keys()) usados.add(resultado2);
+    }
+
+    return [...usados]
+      .filter(resultado => !resultados.has(resultado))
+      .map(resultado => ({
+        campo: 'matrizPareamento',
+        mensagem: `O resultado ${resultado} não está entre os resultados possíveis do teste`
+      }));
+  }
+}
+
+module.exports = new TesteSaudeService();
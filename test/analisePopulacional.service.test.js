@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const analisePopulacionalService = require('../services/analisePopulacional.service');
+
+describe('calcularPerdaAncestrais', () => {
+  it('retorna 100% quando nenhum ancestral se repete', () => {
+    const genealogia = new Map([
+      ['pai', { nome: 'Pai', pai: 'avo1', mae: 'avo2' }],
+      ['mae', { nome: 'Mãe', pai: 'avo3', mae: 'avo4' }]
+    ]);
+
+    const perda = analisePopulacionalService.calcularPerdaAncestrais({ pai: 'pai', mae: 'mae' }, genealogia, 2);
+
+    assert.equal(perda, 100);
+  });
+
+  it('conta os ancestrais repetidos uma única vez', () => {
+    // Pais irmãos completos: 6 posições em 2 gerações, 4 ancestrais distintos
+    const genealogia = new Map([
+      ['pai', { nome: 'Pai', pai: 'avo', mae: 'avoMae' }],
+      ['mae', { nome: 'Mãe', pai: 'avo', mae: 'avoMae' }]
+    ]);
+
+    const perda = analisePopulacionalService.calcularPerdaAncestrais({ pai: 'pai', mae: 'mae' }, genealogia, 2);
+
+    assert.equal(perda, 66.67);
+  });
+
+  it('considera apenas as gerações informadas', () => {
+    const genealogia = new Map([
+      ['pai', { nome: 'Pai', pai: 'avo', mae: 'avoMae' }],
+      ['mae', { nome: 'Mãe', pai: 'avo', mae: 'avoMae' }]
+    ]);
+
+    const perda = analisePopulacionalService.calcularPerdaAncestrais({ pai: 'pai', mae: 'mae' }, genealogia, 1);
+
+    assert.equal(perda, 100);
+  });
+
+  it('retorna null sem pais cadastrados', () => {
+    assert.equal(analisePopulacionalService.calcularPerdaAncestrais({}, new Map(), 5), null);
+  });
+});
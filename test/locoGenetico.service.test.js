@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LocoGenetico = require('../models/LocoGenetico');
+const locoGeneticoService = require('../services/locoGenetico.service');
+
+// Loci do catálogo padrão (sem banco de dados)
+const criarLoco = codigo => new LocoGenetico(LocoGenetico.CATALOGO_PADRAO.find(loco => loco.codigo === codigo));
+
+describe('calcularDistribuicaoLoco', () => {
+  it('segue o quadro de Punnett para dois heterozigotos', () => {
+    const loco = criarLoco('E');
+
+    const distribuicao = locoGeneticoService.calcularDistribuicaoLoco(loco, ['e', 'E'], ['E', 'e']);
+
+    assert.deepEqual(Object.fromEntries(distribuicao), { 'E/E': 0.25, 'E/e': 0.5, 'e/e': 0.25 });
+  });
+
+  it('normaliza os genótipos na ordem de dominância', () => {
+    const loco = criarLoco('K');
+
+    const distribuicao = locoGeneticoService.calcularDistribuicaoLoco(loco, ['ky', 'KB'], ['ky', 'ky']);
+
+    assert.deepEqual(Object.fromEntries(distribuicao), { 'KB/ky': 0.5, 'ky/ky': 0.5 });
+  });
+});
+
+describe('combinarFenotipos', () => {
+  it('combina loci independentes e aplica a epistasia', () => {
+    const locoE = criarLoco('E');
+    const locoK = criarLoco('K');
+
+    const fenotipos = locoGeneticoService.combinarFenotipos([
+      { loco: locoE, genotipos: locoGeneticoService.calcularDistribuicaoLoco(locoE, ['E', 'e'], ['E', 'e']) },
+      { loco: locoK, genotipos: locoGeneticoService.calcularDistribuicaoLoco(locoK, ['KB', 'ky'], ['ky', 'ky']) }
+    ]);
+
+    // e/e esconde o locus K: 1/4 amarelo, o restante dividido entre preto sólido e padrão do locus A
+    assert.deepEqual(fenotipos, [
+      { fenotipo: 'Extensão: Pigmento preto/marrom na pelagem, sem máscara; Preto dominante: Preto sólido', probabilidade: 37.5 },
+      { fenotipo: 'Extensão: Pigmento preto/marrom na pelagem, sem máscara; Preto dominante: Padrão do locus A expresso', probabilidade: 37.5 },
+      { fenotipo: 'Extensão: Amarelo/vermelho recessivo', probabilidade: 25 }
+    ]);
+  });
+
+  it('retorna lista vazia sem loci', () => {
+    assert.deepEqual(locoGeneticoService.combinarFenotipos([]), []);
+  });
+});
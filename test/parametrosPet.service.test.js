@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const parametrosPetService = require('../services/parametrosPet.service');
+
+/**
+ * Monta a árvore genealógica de um pet a partir de uma genealogia em memória,
+ * no mesmo formato de montarArvoreGenealogica (id -> { pet, geracao })
+ * @param {Object} pets - Genealogia (id -> { nome, pai, mae })
+ * @param {String} petId - ID do pet
+ * @param {Number} geracoes - Número de gerações a considerar
+ * @returns {Map} - Árvore genealógica do pet
+ */
+const montarArvore = (pets, petId, geracoes) => {
+  const arvore = new Map();
+  let nivel = [petId];
+
+  for (let geracao = 0; geracao <= geracoes && nivel.length > 0; geracao++) {
+    const proximo = [];
+
+    for (const id of nivel) {
+      if (arvore.has(id) || !pets[id]) continue;
+
+      arvore.set(id, { pet: { _id: id, ...pets[id] }, geracao });
+      proximo.push(pets[id].pai, pets[id].mae);
+    }
+
+    nivel = proximo.filter(Boolean);
+  }
+
+  return arvore;
+};
+
+// COI (%) da cria de dois pets da genealogia
+const calcularCoi = (pets, petId1, petId2, geracoes = 5) =>
+  parametrosPetService.calcularConsanguinidadeArvores(
+    petId1,
+    petId2,
+    montarArvore(pets, petId1, geracoes + 1),
+    montarArvore(pets, petId2, geracoes + 1),
+    geracoes
+  );
+
+describe('calcularConsanguinidadeArvores', () => {
+  it('retorna 0 sem ancestrais comuns', () => {
+    const pets = {
+      macho: { nome: 'Macho', pai: 'pai1', mae: 'mae1' },
+      femea: { nome: 'Fêmea', pai: 'pai2', mae: 'mae2' },
+      pai1: { nome: 'Pai 1' },
+      mae1: { nome: 'Mãe 1' },
+      pai2: { nome: 'Pai 2' },
+      mae2: { nome: 'Mãe 2' }
+    };
+
+    const { coeficiente, contribuicoes } = calcularCoi(pets, 'macho', 'femea');
+
+    assert.equal(coeficiente, 0);
+    assert.deepEqual(contribuicoes, []);
+  });
+
+  it('calcula 25% para irmãos completos', () => {
+    const pets = {
+      irmao: { nome: 'Irmão', pai: 'pai', mae: 'mae' },
+      irma: { nome: 'Irmã', pai: 'pai', mae: 'mae' },
+      pai: { nome: 'Pai' },
+      mae: { nome: 'Mãe' }
+    };
+
+    const { coeficiente, contribuicoes } = calcularCoi(pets, 'irmao', 'irma');
+
+    assert.equal(coeficiente, 25);
+    // Pai e mãe em comum contribuem com 12,5% cada
+    assert.deepEqual(contribuicoes.map(({ ancestral }) => ancestral).sort(), ['mae', 'pai']);
+    assert.ok(contribuicoes.every(({ caminhos, contribuicao }) => caminhos === 1 && contribuicao === 12.5));
+  });
+
+  it('calcula 12,5% para meio-irmãos', () => {
+    const pets = {
+      irmao: { nome: 'Meio-irmão', pai: 'pai', mae: 'mae1' },
+      irma: { nome: 'Meio-irmã', pai: 'pai', mae: 'mae2' },
+      pai: { nome: 'Pai' },
+      mae1: { nome: 'Mãe 1' },
+      mae2: { nome: 'Mãe 2' }
+    };
+
+    const { coeficiente, contribuicoes } = calcularCoi(pets, 'irmao', 'irma');
+
+    assert.equal(coeficiente, 12.5);
+    assert.equal(contribuicoes.length, 1);
+    assert.equal(contribuicoes[0].ancestral, 'pai');
+  });
+
+  it('aumenta o coeficiente quando o ancestral comum é consanguíneo', () => {
+    // O pai em comum é filho de irmãos completos (F = 25%): 12,5% * (1 + 0,25)
+    const pets = {
+      irmao: { nome: 'Meio-irmão', pai: 'pai', mae: 'mae1' },
+      irma: { nome: 'Meio-irmã', pai: 'pai', mae: 'mae2' },
+      pai: { nome: 'Pai', pai: 'avo', mae: 'avoMae' },
+      mae1: { nome: 'Mãe 1' },
+      mae2: { nome: 'Mãe 2' },
+      avo: { nome: 'Avô', pai: 'bisavo', mae: 'bisavoMae' },
+      avoMae: { nome: 'Avó', pai: 'bisavo', mae: 'bisavoMae' },
+      bisavo: { nome: 'Bisavô' },
+      bisavoMae: { nome: 'Bisavó' }
+    };
+
+    const { coeficiente, contribuicoes } = calcularCoi(pets, 'irmao', 'irma');
+
+    assert.equal(coeficiente, 15.625);
+    assert.equal(contribuicoes[0].ancestral, 'pai');
+    assert.equal(contribuicoes[0].endogamiaAncestral, 25);
+  });
+
+  it('ignora ancestrais comuns fora das gerações consideradas', () => {
+    const pets = {
+      macho: { nome: 'Macho', pai: 'pai1', mae: 'mae1' },
+      femea: { nome: 'Fêmea', pai: 'pai2', mae: 'mae2' },
+      pai1: { nome: 'Pai 1', pai: 'avo' },
+      pai2: { nome: 'Pai 2', pai: 'avo' },
+      mae1: { nome: 'Mãe 1' },
+      mae2: { nome: 'Mãe 2' },
+      avo: { nome: 'Avô' }
+    };
+
+    assert.equal(calcularCoi(pets, 'macho', 'femea', 5).coeficiente, 3.125);
+    assert.equal(calcularCoi(pets, 'macho', 'femea', 1).coeficiente, 0);
+  });
+});
+
+describe('enumerarCaminhos', () => {
+  it('lista um caminho por linha de ascendência até cada ancestral', () => {
+    const genealogia = new Map([
+      ['filho', { nome: 'Filho', pai: 'pai', mae: 'mae' }],
+      ['pai', { nome: 'Pai', pai: 'avo', mae: null }],
+      ['mae', { nome: 'Mãe', pai: 'avo', mae: null }],
+      ['avo', { nome: 'Avô', pai: null, mae: null }]
+    ]);
+
+    const caminhos = parametrosPetService.enumerarCaminhos('filho', genealogia, 5);
+
+    assert.deepEqual(caminhos.get('avo').map(caminho => caminho.join('>')).sort(), [
+      'filho>mae>avo',
+      'filho>pai>avo'
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Geração de arquivos CSV para exportação (matriz de compatibilidade, pedigree)
+ */
+
+// Caracteres que fazem planilhas interpretarem a célula como fórmula
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+
+/**
+ * Escapa um valor para uma célula CSV: textos que começam como fórmula recebem um apóstrofo
+ * (evita injeção de fórmulas ao abrir o arquivo em planilhas) e aspas são usadas quando houver
+ * separador, aspas ou quebra de linha. Números e booleanos são mantidos como estão.
+ * @param {*} valor - Valor da célula
+ * @returns {String} - Célula escapada
+ */
+const escaparCsv = valor => {
+  let texto = valor === undefined || valor === null ? '' : String(valor);
+
+  if (typeof valor === 'string' && INICIO_FORMULA.test(texto)) {
+    texto = `'${texto}`;
+  }
+
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Monta o conteúdo CSV a partir das colunas e das linhas
+ * @param {Array} colunas - Cabeçalho
+ * @param {Array} linhas - Linhas (arrays de valores na ordem das colunas)
+ * @returns {String} - Conteúdo CSV com cabeçalho
+ */
+const montarCsv = (colunas, linhas) => [colunas, ...linhas]
+  .map(linha => linha.map(escaparCsv).join(','))
+  .join('\n') + '\n';
+
+module.exports = {
+  escaparCsv,
+  montarCsv
+};
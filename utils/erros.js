@@ -0,0 +1,39 @@
+/**
+ * Erros com status HTTP, lançados pelos services e respondidos pelos controllers
+ */
+
+/**
+ * Cria um erro com status HTTP (e, opcionalmente, a lista de erros por campo)
+ * @param {String} mensagem - Mensagem do erro
+ * @param {Number} statusCode - Status HTTP da resposta
+ * @param {Array} [erros] - Erros por campo ({ campo, mensagem })
+ * @returns {Error} - Erro com statusCode e erros
+ */
+const criarErro = (mensagem, statusCode, erros) => {
+  const erro = new Error(mensagem);
+  erro.statusCode = statusCode;
+  if (erros) erro.erros = erros;
+  return erro;
+};
+
+/**
+ * Monta a resposta de erro, incluindo os erros por campo quando houver
+ * @param {Object} res - Objeto de resposta
+ * @param {Error} error - Erro lançado (statusCode ausente = 500)
+ * @param {String} mensagemPadrao - Mensagem usada se o erro não tiver mensagem
+ * @returns {Object} - Resposta enviada
+ */
+const responderErro = (res, error, mensagemPadrao) => {
+  const resposta = {
+    success: false,
+    message: error.message || mensagemPadrao
+  };
+
+  if (error.erros) {
+    resposta.erros = error.erros;
+  }
+
+  return res.status(error.statusCode || 500).json(resposta);
+};
+
+module.exports = { criarErro, responderErro };
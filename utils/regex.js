@@ -0,0 +1,12 @@
+/**
+ * Utilitários de expressões regulares para buscas no MongoDB
+ */
+
+/**
+ * Escapa caracteres especiais para usar um texto literal em uma expressão regular
+ * @param {String} texto - Texto literal
+ * @returns {String} - Texto escapado
+ */
+const escaparRegex = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escaparRegex };